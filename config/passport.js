@@ -0,0 +1,55 @@
+import passport from "passport";
+import { Strategy as GoogleStrategy } from "passport-google-oauth20";
+import { findOrCreateGoogleUser } from "../utils/userService.js";
+
+/**
+ * Passport configuration
+ * Google sign-in is only enabled when the OAuth client credentials are set
+ */
+
+export const isGoogleAuthConfigured = Boolean(
+  process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET
+);
+
+if (isGoogleAuthConfigured) {
+  passport.use(
+    new GoogleStrategy(
+      {
+        clientID: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        callbackURL: process.env.GOOGLE_CALLBACK_URL || "/api/auth/google/callback",
+        passReqToCallback: true,
+      },
+      async (req, accessToken, refreshToken, profile, done) => {
+        try {
+          const primaryEmail = profile.emails?.[0];
+          const googleProfile = {
+            googleId: profile.id,
+            email: primaryEmail?.value?.toLowerCase().trim() || null,
+            emailVerified: primaryEmail?.verified === true || primaryEmail?.verified === "true",
+            name: profile.displayName || primaryEmail?.value || "Google user",
+            avatar: profile.photos?.[0]?.value || null,
+          };
+
+          // A signed-in user asked to link a Google account (see googleLinkStart).
+          // Nothing is linked yet: the user confirms from their own session.
+          const linkUserId = req.session?.googleLinkUserId;
+          if (linkUserId) {
+            delete req.session.googleLinkUserId;
+            return done(null, { pendingLink: { userId: linkUserId, googleProfile } });
+          }
+
+          const result = await findOrCreateGoogleUser(googleProfile);
+          return result.user ? done(null, result.user) : done(null, false, { message: result.error });
+        } catch (error) {
+          console.error("Google sign-in error:", error);
+          return done(error);
+        }
+      }
+    )
+  );
+} else {
+  console.warn("GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET not set. Google sign-in is disabled.");
+}
+
+export default passport;
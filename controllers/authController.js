@@ -1,6 +1,29 @@
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import { PrismaClient } from "@prisma/client";
+import passport, { isGoogleAuthConfigured } from "../config/passport.js";
+import {
+    getDeviceInfo,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllRefreshTokens,
+    createAuthToken,
+    consumeAuthToken,
+    signPurposeToken,
+    verifyPurposeToken,
+    EMAIL_VERIFICATION_TTL_MS,
+    PASSWORD_RESET_TTL_MS,
+    GOOGLE_LINK_TTL_MS,
+} from "../utils/tokenService.js";
+import { sendVerificationEmail, sendPasswordResetEmail } from "../utils/mailer.js";
+import { updateLastLogin, linkGoogleAccount, unlinkGoogleAccount } from "../utils/userService.js";
+import {
+    getAttemptKeys,
+    reserveAttempt,
+    recordFailedAttempt,
+    clearAttempts,
+    tooManyAttemptsError,
+} from "../utils/attemptLimiter.js";
 
 const prisma = new PrismaClient();
 
@@ -36,19 +59,21 @@ export const signup = async(req, res) =>{
         const hashed =await bcrypt.hash(password, 10);
 
         const user= await prisma.user.create({
-            data:{ name, email: normalizedEmail, password:hashed},
+            data:{ name, email: normalizedEmail, password:hashed, emailVerified: false},
         });
 
-        // Generate token for signup (same as login)
-        const token = jwt.sign(
-            { id: user.id, email: user.email},
-            process.env.JWT_SECRET,
-            { expiresIn: "7d"}
-        );
+        // The account can't log in until the emailed link is used
+        const verificationToken = await createAuthToken(user.id, "email_verification", EMAIL_VERIFICATION_TTL_MS);
+        try{
+            await sendVerificationEmail(user, verificationToken);
+        }catch(mailErr){
+            // User can request another link via /resend-verification
+            console.error("Failed to send verification email:", mailErr);
+        }
 
         res.status(201).json({
-            message: "Signup Successful",
-            token,
+            message: "Signup Successful. Check your email to verify your account.",
+            emailVerificationRequired: true,
             user: {
                 id: user.id,
                 name: user.name,
@@ -69,30 +94,60 @@ export const login = async(req, res) =>{
     try{
         const{ email , password } = req.body;
 
+        if(typeof email !== "string" || typeof password !== "string")
+            return res.status(400).json({error: "Email and password are required"});
+
         // Normalize email to lowercase for case-insensitive lookup
         const normalizedEmail = email.toLowerCase().trim();
 
+        // Guessing is slowed down per email and per address (see attemptLimiter.js)
+        const attempt = getAttemptKeys("login", normalizedEmail, req);
+        const blocked = await reserveAttempt(attempt);
+        if(blocked){
+            res.set("Retry-After", String(blocked.retryAfter));
+            return res.status(429).json(tooManyAttemptsError(blocked));
+        }
+
         // Case-insensitive email lookup using raw SQL query
         const users = await prisma.$queryRaw`
             SELECT * FROM "User" WHERE LOWER(email) = LOWER(${normalizedEmail}) LIMIT 1
         `;
 
-        if(!users || users.length === 0) return res.status(400).json({error: "Invalid email or password"});
+        if(!users || users.length === 0){
+            await recordFailedAttempt(attempt, { action: "login_failed", req, details: { email: normalizedEmail, reason: "unknown_email" } });
+            return res.status(400).json({error: "Invalid email or password"});
+        }
 
         const user = users[0];
 
+        // Accounts created through Google have no password to compare against;
+        // they fail like a wrong password so the answer doesn't reveal them
+        if(!user.password){
+            await recordFailedAttempt(attempt, { action: "login_failed", userId: user.id, req, details: { email: normalizedEmail, reason: "no_password" } });
+            return res.status(400).json({ error: "Invalid email or password"});
+        }
+
         const match = await bcrypt.compare(password , user.password);
-        if(!match) return res.status(400).json({ error: "Invalid email or password"});
+        if(!match){
+            await recordFailedAttempt(attempt, { action: "login_failed", userId: user.id, req, details: { email: normalizedEmail, reason: "wrong_password" } });
+            return res.status(400).json({ error: "Invalid email or password"});
+        }
 
-        const token = jwt.sign(
-            { id: user.id, email: user.email},
-            process.env.JWT_SECRET,
-            { expiresIn: "7d"}
-        );
+        await clearAttempts(attempt);
+
+        if(!user.emailVerified) return res.status(403).json({
+            error: "Please verify your email before logging in.",
+            emailVerificationRequired: true,
+        });
+
+        const { token, refreshToken, expiresIn } = await issueTokens(user, getDeviceInfo(req));
+        await updateLastLogin(user.id);
 
         res.json({
   message: "Login Successful",
   token,
+  refreshToken,
+  expiresIn,
   user: {
     id: user.id,
     name: user.name,
@@ -105,7 +160,288 @@ export const login = async(req, res) =>{
     }
 };
 
-//logout
+//verify email - redeem the token from the signup email
+export const verifyEmail = async(req, res) =>{
+    try{
+        const { token } = req.body || {};
+        if(!token || typeof token !== "string")
+            return res.status(400).json({error: "Verification token required"});
+
+        const userId = await consumeAuthToken(token, "email_verification");
+        if(!userId)
+            return res.status(400).json({error: "Verification link is invalid or has expired"});
+
+        await prisma.user.update({
+            where: { id: userId },
+            data: { emailVerified: true },
+        });
+
+        res.json({message: "Email verified. You can now log in."});
+    }catch(err){
+        res.status(500).json({error: err.message});
+    }
+};
+
+//resend verification - always answers the same way so emails can't be probed
+export const resendVerification = async(req, res) =>{
+    try{
+        const { email } = req.body || {};
+        if(!email || typeof email !== "string")
+            return res.status(400).json({error: "Email is required"});
+
+        const normalizedEmail = email.toLowerCase().trim();
+
+        // Mail is throttled per email and per address, whether or not the account exists
+        const blocked = await reserveAttempt(getAttemptKeys("verification_email", normalizedEmail, req));
+        if(blocked){
+            res.set("Retry-After", String(blocked.retryAfter));
+            return res.status(429).json(tooManyAttemptsError(blocked));
+        }
+
+        const users = await prisma.$queryRaw`
+            SELECT id, name, email, "emailVerified" FROM "User" WHERE LOWER(email) = LOWER(${normalizedEmail}) LIMIT 1
+        `;
+        const user = users?.[0];
+
+        if(user && !user.emailVerified){
+            const verificationToken = await createAuthToken(user.id, "email_verification", EMAIL_VERIFICATION_TTL_MS);
+            try{
+                await sendVerificationEmail(user, verificationToken);
+            }catch(mailErr){
+                // A failure here must look like success, or it would reveal the account
+                console.error("Failed to send verification email:", mailErr);
+            }
+        }
+
+        res.json({message: "If that account needs verification, a new link has been sent."});
+    }catch(err){
+        res.status(500).json({error: err.message});
+    }
+};
+
+//forgot password - mails a single-use reset link
+export const forgotPassword = async(req, res) =>{
+    try{
+        const { email } = req.body || {};
+        if(!email || typeof email !== "string")
+            return res.status(400).json({error: "Email is required"});
+
+        const normalizedEmail = email.toLowerCase().trim();
+
+        // Mail is throttled per email and per address, whether or not the account exists
+        const blocked = await reserveAttempt(getAttemptKeys("password_reset_email", normalizedEmail, req));
+        if(blocked){
+            res.set("Retry-After", String(blocked.retryAfter));
+            return res.status(429).json(tooManyAttemptsError(blocked));
+        }
+
+        const users = await prisma.$queryRaw`
+            SELECT id, name, email, "isActive" FROM "User" WHERE LOWER(email) = LOWER(${normalizedEmail}) LIMIT 1
+        `;
+        const user = users?.[0];
+
+        if(user && user.isActive){
+            const resetToken = await createAuthToken(user.id, "password_reset", PASSWORD_RESET_TTL_MS);
+            try{
+                await sendPasswordResetEmail(user, resetToken);
+            }catch(mailErr){
+                // A failure here must look like success, or it would reveal the account
+                console.error("Failed to send password reset email:", mailErr);
+            }
+        }
+
+        // Same response whether or not the account exists
+        res.json({message: "If an account exists for that email, a reset link has been sent."});
+    }catch(err){
+        res.status(500).json({error: err.message});
+    }
+};
+
+//reset password - redeem the reset token and sign out every device
+export const resetPassword = async(req, res) =>{
+    try{
+        const { token, password } = req.body || {};
+        if(!token || typeof token !== "string" || !password || typeof password !== "string")
+            return res.status(400).json({error: "Token and new password are required"});
+
+        const userId = await consumeAuthToken(token, "password_reset");
+        if(!userId)
+            return res.status(400).json({error: "Reset link is invalid or has expired"});
+
+        const user = await prisma.user.findUnique({ where: { id: userId } });
+        const hashed = await bcrypt.hash(password, 10);
+
+        await prisma.user.update({
+            where: { id: userId },
+            data: {
+                password: hashed,
+                // Receiving the reset email proves ownership of the address
+                emailVerified: true,
+                authMethod: user.googleId ? "both" : "local",
+            },
+        });
+        await revokeAllRefreshTokens(userId);
+
+        res.json({message: "Password has been reset. Please log in with your new password."});
+    }catch(err){
+        res.status(500).json({error: err.message});
+    }
+};
+
+//refresh - exchange a refresh token for a new access/refresh pair
+export const refresh = async(req, res) =>{
+    try{
+        const { refreshToken } = req.body || {};
+
+        if(!refreshToken || typeof refreshToken !== "string")
+            return res.status(400).json({error: "Refresh token required"});
+
+        const rotated = await rotateRefreshToken(refreshToken, getDeviceInfo(req));
+        if(!rotated)
+            return res.status(401).json({error: "Invalid or expired refresh token"});
+
+        res.json({
+            message: "Token refreshed",
+            token: rotated.token,
+            refreshToken: rotated.refreshToken,
+            expiresIn: rotated.expiresIn,
+        });
+    }catch(err){
+        res.status(500).json({error: err.message});
+    }
+};
+
+//logout - revokes this device's refresh token
 export const logout = async(req, res)=>{
-    return res.json({message: "Logged out (client should delete token"});
-};
\ No newline at end of file
+    try{
+        const { refreshToken } = req.body || {};
+
+        if(refreshToken && typeof refreshToken === "string"){
+            await revokeRefreshToken(refreshToken);
+        }
+
+        // Access tokens are short-lived and expire on their own
+        return res.json({message: "Logged out"});
+    }catch(err){
+        res.status(500).json({error: err.message});
+    }
+};
+
+//logout everywhere - revokes every refresh token the user holds
+export const logoutAll = async(req, res)=>{
+    try{
+        const revoked = await revokeAllRefreshTokens(req.user.id);
+
+        return res.json({message: "Logged out from all devices", sessionsRevoked: revoked});
+    }catch(err){
+        res.status(500).json({error: err.message});
+    }
+};
+
+// Where the frontend picks up the result of a Google sign-in
+const googleRedirectUrl = () =>
+    `${process.env.FRONTEND_URL || "https://frontend-fy.vercel.app"}/auth/google/callback`;
+
+const GOOGLE_LINK_CONFIRM = "google_link_confirm";
+
+//google - start the OAuth flow (optionally linking to a signed-in account via ?linkToken=)
+export const googleAuth = async(req, res, next) =>{
+    if(!isGoogleAuthConfigured)
+        return res.status(503).json({error: "Google sign-in is not configured"});
+
+    const { linkToken } = req.query;
+    if(linkToken){
+        try{
+            // Single use, so a leaked link URL can't be replayed
+            const userId = await consumeAuthToken(String(linkToken), "google_link");
+            if(!userId) return res.status(400).json({error: "Invalid or expired link token"});
+            req.session.googleLinkUserId = userId;
+        }catch(err){
+            return res.status(500).json({error: err.message});
+        }
+    }
+
+    passport.authenticate("google", {
+        scope: ["profile", "email"],
+        session: false,
+        state: true,
+    })(req, res, next);
+};
+
+//google callback - issue the same tokens as login and hand them to the frontend
+export const googleCallback = (req, res, next) =>{
+    if(!isGoogleAuthConfigured)
+        return res.status(503).json({error: "Google sign-in is not configured"});
+
+    passport.authenticate("google", { session: false }, async(err, user, info) =>{
+        try{
+            if(err || !user){
+                const reason = info?.message || "google_auth_failed";
+                return res.redirect(`${googleRedirectUrl()}?error=${encodeURIComponent(reason)}`);
+            }
+
+            // Linking finishes in googleLinkConfirm, from the session that asked for it
+            if(user.pendingLink){
+                const { userId, googleProfile } = user.pendingLink;
+                const linkConfirmToken = signPurposeToken({ id: userId, google: googleProfile }, GOOGLE_LINK_CONFIRM, "10m");
+                return res.redirect(`${googleRedirectUrl()}#${new URLSearchParams({ linkConfirmToken }).toString()}`);
+            }
+
+            const { token, refreshToken, expiresIn } = await issueTokens(user, getDeviceInfo(req));
+            await updateLastLogin(user.id);
+
+            // Tokens go in the fragment so they never reach server logs or Referer headers
+            const params = new URLSearchParams({ token, refreshToken, expiresIn });
+            res.redirect(`${googleRedirectUrl()}#${params.toString()}`);
+        }catch(callbackErr){
+            console.error("Google callback error:", callbackErr);
+            res.redirect(`${googleRedirectUrl()}?error=google_auth_failed`);
+        }
+    })(req, res, next);
+};
+
+//google link - returns a URL the signed-in user opens to attach a Google account
+export const googleLinkStart = async(req, res) =>{
+    if(!isGoogleAuthConfigured)
+        return res.status(503).json({error: "Google sign-in is not configured"});
+
+    try{
+        const linkToken = await createAuthToken(req.user.id, "google_link", GOOGLE_LINK_TTL_MS);
+
+        res.json({ url: `${req.protocol}://${req.get("host")}/api/auth/google?linkToken=${linkToken}` });
+    }catch(err){
+        res.status(500).json({error: err.message});
+    }
+};
+
+//google link confirm - attaches the Google account once the user who started
+//the link sends back the linkConfirmToken from the callback redirect
+export const googleLinkConfirm = async(req, res) =>{
+    try{
+        const decoded = verifyPurposeToken(req.body?.linkConfirmToken, GOOGLE_LINK_CONFIRM);
+        if(!decoded) return res.status(400).json({error: "Invalid or expired link confirmation"});
+
+        // A link URL opened in someone else's browser ends up here with their session
+        if(decoded.id !== req.user.id)
+            return res.status(403).json({error: "This Google link was started from another account"});
+
+        const result = await linkGoogleAccount(req.user.id, decoded.google);
+        if(result.error) return res.status(result.error === "account_disabled" ? 403 : 409).json({error: result.error});
+
+        res.json({message: "Google account linked", googleEmail: result.user.googleEmail});
+    }catch(err){
+        res.status(500).json({error: err.message});
+    }
+};
+
+//google unlink
+export const googleUnlink = async(req, res) =>{
+    try{
+        const result = await unlinkGoogleAccount(req.user.id);
+        if(result.error) return res.status(400).json({error: result.error});
+
+        res.json({message: "Google account unlinked"});
+    }catch(err){
+        res.status(500).json({error: err.message});
+    }
+};
@@ -1,64 +1,159 @@
 import { PrismaClient } from "@prisma/client";
-import path from "path";
 import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { moveFileToTrash } from "../utils/trashService.js";
+import {
+    createFileWithVersion,
+    getFileVersion,
+    restoreFileVersion,
+} from "../utils/fileVersionService.js";
+import { resolveUploadTarget, saveUpload } from "../utils/uploadService.js";
+import { withQuota, quotaExceededError } from "../utils/quotaService.js";
+import { getStorage, getStorageKey } from "../utils/storage.js";
+import {
+    THUMBNAIL_SIZES,
+    DEFAULT_THUMBNAIL_SIZE,
+    canHaveThumbnail,
+    getThumbnail,
+} from "../utils/thumbnailService.js";
+import {
+    canAccessFile,
+    canAccessFolder,
+    isFileInVault,
+    getVaultKey,
+    visibleFilesWhere,
+    vaultLockedError,
+} from "../utils/vaultService.js";
+import { syncFileEncryption } from "../utils/vaultEncryption.js";
+import { ENCRYPTION_OVERHEAD, openDecryptedStream } from "../utils/vaultCrypto.js";
+import {
+    parseConflictPolicy,
+    findSibling,
+    resolveNameConflict,
+    getAvailableName,
+    isNameTakenError,
+    nameConflictError,
+} from "../utils/nameConflict.js";
 const prisma = new PrismaClient();
 
-// Upload file inside folder (or root if folderId is null or "root")
+// Move the file a replace policy displaces to the trash; sends the error
+// response and returns false when it is in the vault and the vault is closed
+async function trashReplacedFile(req, res, existing) {
+    if (!(await canAccessFile(req, existing))) {
+        res.status(403).json(vaultLockedError());
+        return false;
+    }
+    await moveFileToTrash(existing);
+    return true;
+}
+
+// Upload file inside folder (or root if folderId is null or "root").
+// Re-uploading a file with the same name to the same folder, or passing
+// replaceFileId, stores a new version of the existing file instead;
+// onConflict=rename keeps both and onConflict=fail refuses.
 export const uploadFile = async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: "No file uploaded" });
         }
 
-        const { folderId, locked } = req.body;
+        const { folderId, locked, replaceFileId, onConflict } = req.body;
         const userId = req.user.id;
 
-        // If folderId is "root" or empty, upload to root (folderId = null)
-        let finalFolderId = null;
-        if (folderId && folderId !== "root" && folderId !== "") {
-            finalFolderId = Number(folderId);
-            
-            // Check folder exists and user owns it
-            const folder = await prisma.folder.findUnique({ where: { id: finalFolderId } });
-            if (!folder) {
-                return res.status(404).json({ error: "Folder not found" });
-            }
+        // Multer has already written the file; drop it if it can't be kept
+        const rejectUpload = (status, body) => {
+            try { fs.unlinkSync(req.file.path); } catch (e) {}
+            return res.status(status).json(body);
+        };
+
+        const target = await resolveUploadTarget(userId, {
+            folderId,
+            replaceFileId,
+            name: req.file.originalname,
+            onConflict,
+        });
+        if (target.conflict) {
+            return rejectUpload(409, nameConflictError("file", target.conflict));
+        }
+        if (target.error) {
+            return rejectUpload(target.status, { error: target.error });
+        }
 
-            if (folder.userId !== userId) {
-                return res.status(403).json({ error: "Unauthorized" });
-            }
+        // Vault uploads are encrypted as they are saved
+        const vaultKey = await getVaultKey(req);
+        if ((target.inVault || locked === "true") && !vaultKey) {
+            return rejectUpload(403, vaultLockedError());
         }
 
-        // Create file record
-        const file = await prisma.file.create({
-            data: {
-                name: req.file.originalname,
-                url: `/uploads/${req.file.filename}`,
-                size: req.file.size,
-                mimetype: req.file.mimetype,
-                folderId: finalFolderId,
-                userId,
-                isLocked: locked === "true",
-            }
-        });
+        const { quota, result } = await withQuota(userId, req.file.size, () => saveUpload(userId, target, {
+            name: req.file.originalname,
+            path: req.file.path,
+            mimetype: req.file.mimetype,
+        }, { locked: locked === "true", vaultKey }));
+        if (!quota.allowed) {
+            return rejectUpload(413, quotaExceededError(quota));
+        }
+        const { file, isNewVersion, analysisJobId } = result;
+
+        if (isNewVersion) {
+            return res.status(201).json({ message: "New version uploaded", file, version: file.currentVersion, analysisJobId });
+        }
 
-        console.log(`File uploaded: ID=${file.id}, Name=${file.name}, UserID=${file.userId}`);
-        res.status(201).json({ message: "File uploaded successfully", file });
+        res.status(201).json({ message: "File uploaded successfully", file, analysisJobId });
 
     } catch (error) {
+        if (isNameTakenError(error)) {
+            return res.status(409).json(nameConflictError("file"));
+        }
         console.error("File upload error:", error);
         res.status(500).json({ error: error.message });
     }
 };
 
-// Unlock a locked file (clear isLocked flag)
+// Lock a file - its content is encrypted, so the vault must be open
+export const lockFile = async (req, res) => {
+    try {
+        const fileId = Number(req.params.id);
+        const userId = req.user.id;
+
+        const file = await prisma.file.findUnique({ where: { id: fileId } });
+        if (!file || file.deletedAt) return res.status(404).json({ error: "File not found" });
+
+        if (file.userId !== userId) {
+            return res.status(403).json({ error: "Unauthorized" });
+        }
+
+        if (file.isLocked) {
+            return res.status(400).json({ error: "File is already locked" });
+        }
+
+        const vaultKey = await getVaultKey(req);
+        if (!vaultKey) {
+            return res.status(403).json(vaultLockedError());
+        }
+
+        const updated = await prisma.file.update({
+            where: { id: fileId },
+            data: { isLocked: true },
+        });
+
+        res.json({ message: "File locked", file: await syncFileEncryption(updated, vaultKey) });
+    } catch (error) {
+        console.error("Lock file error:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Unlock a locked file (clear isLocked flag); needs an open vault or the
+// lock password (see requireVaultOrLockPassword)
 export const unlockFile = async (req, res) => {
     try {
         const fileId = Number(req.params.id);
         const userId = req.user.id;
 
         const file = await prisma.file.findUnique({ where: { id: fileId } });
-        if (!file) return res.status(404).json({ error: "File not found" });
+        if (!file || file.deletedAt) return res.status(404).json({ error: "File not found" });
 
         if (file.userId !== userId) {
             return res.status(403).json({ error: "Unauthorized" });
@@ -68,11 +163,15 @@ export const unlockFile = async (req, res) => {
             return res.status(400).json({ error: "File is not locked" });
         }
 
-        const updated = await prisma.file.update({
+        let updated = await prisma.file.update({
             where: { id: fileId },
             data: { isLocked: false },
         });
 
+        // Decrypted unless it is still inside a locked folder
+        const vaultKey = await getVaultKey(req);
+        if (vaultKey) updated = await syncFileEncryption(updated, vaultKey);
+
         res.json({ message: "File unlocked", file: updated });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -90,21 +189,23 @@ export const createFile = async (req, res) => {
         }
 
         const folder = await prisma.folder.findUnique({ where: { id: Number(folderId) } });
-        if (!folder) return res.status(404).json({ error: "Folder not found" });
+        if (!folder || folder.deletedAt) return res.status(404).json({ error: "Folder not found" });
 
         if (folder.userId !== userId) {
             return res.status(403).json({ error: "Unauthorized" });
         }
 
-        const file = await prisma.file.create({
-            data: {
-                name,
-                folderId: Number(folderId),
-                userId,
-                url: "placeholder.txt",
-                size: 0,
-                mimetype: "text/plain"
-            }
+        if (!(await canAccessFolder(req, folder))) {
+            return res.status(403).json(vaultLockedError());
+        }
+
+        const file = await createFileWithVersion({
+            name: await getAvailableName("file", { userId, parentId: folder.id, name }),
+            folderId: Number(folderId),
+            userId,
+            url: "placeholder.txt",
+            size: 0,
+            mimetype: "text/plain"
         });
 
         res.json({ message: "File created", file });
@@ -124,10 +225,25 @@ export const getFilesInFolder = async (req, res) => {
         // If folderId is "root" or not provided, get root files (folderId = null)
         const folderId = folderIdParam === "root" || !folderIdParam ? null : Number(folderIdParam);
 
+        if (folderId !== null) {
+            const folder = await prisma.folder.findUnique({ where: { id: folderId } });
+            if (!folder || folder.deletedAt) return res.status(404).json({ error: "Folder not found" });
+
+            if (folder.userId !== userId) {
+                return res.status(403).json({ error: "Unauthorized" });
+            }
+
+            if (!(await canAccessFolder(req, folder))) {
+                return res.status(403).json(vaultLockedError());
+            }
+        }
+
         const files = await prisma.file.findMany({
             where: {
                 folderId: folderId,
                 userId: userId,
+                deletedAt: null,
+                ...(await visibleFilesWhere(req)),
             },
             orderBy: { createdAt: "desc" }
         });
@@ -148,6 +264,7 @@ export const getLockedFiles = async (req, res) => {
             where: {
                 userId,
                 isLocked: true,
+                deletedAt: null,
             },
             orderBy: { createdAt: "desc" },
         });
@@ -172,6 +289,8 @@ export const getRootFiles = async (req, res) => {
             where: {
                 folderId: null,
                 userId,
+                deletedAt: null,
+                ...(await visibleFilesWhere(req)),
             },
             // Order by ID to avoid relying on createdAt column existence
             orderBy: { id: "desc" },
@@ -186,7 +305,7 @@ export const getRootFiles = async (req, res) => {
     }
 };
 
-// Get most recently updated files for the authenticated user (global Recents)
+// Get most recently edited files for the authenticated user (global Recents)
 // Supports GET /api/files/recent
 export const getRecentFiles = async (req, res) => {
     try {
@@ -200,11 +319,12 @@ export const getRecentFiles = async (req, res) => {
         const files = await prisma.file.findMany({
             where: {
                 userId,
+                deletedAt: null,
+                ...(await visibleFilesWhere(req)),
             },
-            // Order by ID to avoid relying on createdAt column existence
-            orderBy: {
-                id: "desc",
-            },
+            // New content, renames and edits bring a file back up; analysis,
+            // locking and moving don't
+            orderBy: [{ editedAt: "desc" }, { id: "desc" }],
             take: 50,
         });
 
@@ -215,6 +335,65 @@ export const getRecentFiles = async (req, res) => {
     }
 };
 
+// Find the user's files with identical content (same SHA-256)
+// Supports GET /api/files/duplicates
+// Groups are ordered by the space the extra copies take up in the quota
+export const getDuplicateFiles = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const visible = await visibleFilesWhere(req);
+
+        const groups = await prisma.file.groupBy({
+            by: ["contentHash"],
+            where: { userId, deletedAt: null, contentHash: { not: null }, ...visible },
+            _count: { _all: true },
+            having: { contentHash: { _count: { gt: 1 } } },
+        });
+
+        const files = await prisma.file.findMany({
+            where: {
+                userId,
+                deletedAt: null,
+                contentHash: { in: groups.map((group) => group.contentHash) },
+                ...visible,
+            },
+            select: {
+                id: true,
+                name: true,
+                size: true,
+                mimetype: true,
+                folderId: true,
+                isLocked: true,
+                contentHash: true,
+                createdAt: true,
+            },
+            orderBy: { createdAt: "asc" },
+        });
+
+        const duplicates = groups
+            .map(({ contentHash }) => {
+                const matching = files.filter((file) => file.contentHash === contentHash);
+                const size = matching[0]?.size || 0;
+                return {
+                    contentHash,
+                    size,
+                    count: matching.length,
+                    duplicateBytes: size * (matching.length - 1),
+                    files: matching,
+                };
+            })
+            .sort((a, b) => b.duplicateBytes - a.duplicateBytes);
+
+        res.json({
+            groups: duplicates,
+            duplicateBytes: duplicates.reduce((sum, group) => sum + group.duplicateBytes, 0),
+        });
+    } catch (error) {
+        console.error("getDuplicateFiles error:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
 // Get files by category name for the authenticated user
 // Supports GET /api/files?category=name
 // - Always returns JSON and never 404s for missing categories
@@ -234,6 +413,8 @@ export const getFilesByCategory = async (req, res) => {
                 where: {
                     userId,
                     folderId: null,
+                    deletedAt: null,
+                    ...(await visibleFilesWhere(req)),
                 },
                 orderBy: { createdAt: "desc" },
             });
@@ -264,6 +445,8 @@ export const getFilesByCategory = async (req, res) => {
             where: {
                 userId,
                 categoryId: categoryRecord.id,
+                deletedAt: null,
+                ...(await visibleFilesWhere(req)),
             },
             orderBy: { createdAt: "desc" },
         });
@@ -275,6 +458,183 @@ export const getFilesByCategory = async (req, res) => {
     }
 };
 
+const DISPOSITIONS = ["inline", "attachment"];
+
+// Strong ETag from the content hash; content stored before deduplication
+// only gets a weak one from its size and modification time
+function getStoredETag(stored, info) {
+    return stored.contentHash
+        ? `"${stored.contentHash}"`
+        : `W/"${info.size.toString(16)}-${info.lastModified.getTime().toString(16)}"`;
+}
+
+// If-Range lets a client resume only while the content is unchanged; when it
+// doesn't match, the whole file is sent instead of the requested ranges
+function ifRangeMatches(req, etag, lastModified) {
+    const ifRange = req.get("If-Range");
+    if (!ifRange) return true;
+
+    if (ifRange.includes('"')) {
+        // Ranges need a strong validator
+        return !etag.startsWith("W/") && ifRange === etag;
+    }
+
+    const date = Date.parse(ifRange);
+    return !Number.isNaN(date) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(date / 1000);
+}
+
+// Pipe part of the stored content into res and wait for it to finish
+async function pipeStoredRange(storage, key, res, range, { end = true } = {}) {
+    await pipeStream(await storage.openReadStream(key, range), res, { end });
+}
+
+// Pipe a readable stream into res and wait for it to finish
+async function pipeStream(stream, res, { end = true } = {}) {
+    await new Promise((resolve, reject) => {
+        // A client that disconnects (e.g. seeking in a video) stops the read
+        const onClose = () => {
+            stream.destroy();
+            resolve();
+        };
+        res.once("close", onClose);
+        stream.on("error", (err) => {
+            res.off("close", onClose);
+            reject(err);
+        });
+        stream.on("end", () => {
+            res.off("close", onClose);
+            resolve();
+        });
+        stream.pipe(res, { end });
+    });
+}
+
+// Stream stored content (a file or one of its versions) to the client.
+// Supports HEAD, byte ranges (206, several ranges as multipart/byteranges),
+// ETag / Last-Modified revalidation (304) and ?disposition=inline|attachment
+async function sendStoredFile(req, res, stored) {
+    const disposition = req.query.disposition;
+    if (disposition !== undefined && !DISPOSITIONS.includes(disposition)) {
+        return res.status(400).json({ error: "disposition must be inline or attachment" });
+    }
+
+    const storage = getStorage();
+    const key = getStorageKey(stored.url);
+    const info = key && await storage.stat(key);
+
+    if (!info) {
+        return res.status(404).json({ error: "File content not found on server" });
+    }
+
+    // Vault content is decrypted on the way out. It can only be read from
+    // the start, so byte ranges aren't offered for it.
+    const vaultKey = stored.isEncrypted ? await getVaultKey(req) : null;
+    if (stored.isEncrypted && !vaultKey) {
+        return res.status(403).json(vaultLockedError());
+    }
+    const size = stored.isEncrypted ? info.size - ENCRYPTION_OVERHEAD : info.size;
+
+    const mimeType = stored.mimetype || "application/octet-stream";
+    const etag = getStoredETag(stored, info);
+
+    res.setHeader("Accept-Ranges", stored.isEncrypted ? "none" : "bytes");
+    res.setHeader("ETag", etag);
+    res.setHeader("Last-Modified", info.lastModified.toUTCString());
+    // Private content: browsers may keep it but must check it is still current
+    res.setHeader("Cache-Control", "private, no-cache");
+
+    // If-None-Match / If-Modified-Since
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    const inlineTypes = [
+        "application/pdf",
+    ];
+    const shouldInline =
+        inlineTypes.includes(mimeType) ||
+        mimeType.startsWith("image/") ||
+        mimeType.startsWith("text/") ||
+        mimeType === "application/json";
+
+    const dispositionType = disposition || (shouldInline ? "inline" : "attachment");
+    const safeFileName = encodeURIComponent(stored.name || "download");
+    res.setHeader(
+        "Content-Disposition",
+        `${dispositionType}; filename="${safeFileName}"`
+    );
+
+    // Malformed or non-byte ranges are ignored and the whole file is sent
+    let ranges = !stored.isEncrypted && req.get("Range") && ifRangeMatches(req, etag, info.lastModified)
+        ? req.range(size, { combine: true })
+        : undefined;
+    if (ranges === -2 || (Array.isArray(ranges) && ranges.type !== "bytes")) {
+        ranges = undefined;
+    }
+
+    if (ranges === -1) {
+        res.setHeader("Content-Range", `bytes */${size}`);
+        return res.status(416).json({ error: "Requested range not satisfiable" });
+    }
+
+    const isHead = req.method === "HEAD";
+
+    try {
+        if (!ranges) {
+            res.setHeader("Content-Type", mimeType);
+            res.setHeader("Content-Length", size);
+            if (isHead || size === 0) return res.end();
+
+            if (stored.isEncrypted) {
+                return await pipeStream(await openDecryptedStream(key, vaultKey), res);
+            }
+            return await pipeStoredRange(storage, key, res);
+        }
+
+        res.status(206);
+
+        if (ranges.length === 1) {
+            const [{ start, end }] = ranges;
+            res.setHeader("Content-Type", mimeType);
+            res.setHeader("Content-Range", `bytes ${start}-${end}/${size}`);
+            res.setHeader("Content-Length", end - start + 1);
+            if (isHead) return res.end();
+
+            return await pipeStoredRange(storage, key, res, { start, end });
+        }
+
+        // Several ranges: one multipart/byteranges body
+        const boundary = crypto.randomBytes(12).toString("hex");
+        const partHeaders = ranges.map(({ start, end }) =>
+            `--${boundary}\r\nContent-Type: ${mimeType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+        );
+        const closing = `--${boundary}--\r\n`;
+        const length = ranges.reduce(
+            (sum, { start, end }, i) => sum + Buffer.byteLength(partHeaders[i]) + (end - start + 1) + 2,
+            Buffer.byteLength(closing)
+        );
+
+        res.setHeader("Content-Type", `multipart/byteranges; boundary=${boundary}`);
+        res.setHeader("Content-Length", length);
+        if (isHead) return res.end();
+
+        for (let i = 0; i < ranges.length; i++) {
+            if (res.destroyed) return;
+            res.write(partHeaders[i]);
+            await pipeStoredRange(storage, key, res, ranges[i], { end: false });
+            res.write("\r\n");
+        }
+        res.end(closing);
+    } catch (err) {
+        console.error("Error sending file:", err);
+        if (!res.headersSent) {
+            res.status(500).end();
+        } else {
+            res.destroy(err);
+        }
+    }
+}
+
 // Serve file (for downloads/previews)
 export const serveFile = async (req, res) => {
     try {
@@ -282,7 +642,7 @@ export const serveFile = async (req, res) => {
         const userId = req.user.id;
 
         const file = await prisma.file.findUnique({ where: { id: fileId } });
-        if (!file) {
+        if (!file || file.deletedAt) {
             return res.status(404).json({ error: "File not found" });
         }
 
@@ -290,53 +650,197 @@ export const serveFile = async (req, res) => {
             return res.status(403).json({ error: "Unauthorized" });
         }
 
-        // Resolve the file safely under the uploads directory
-        const uploadsDir = path.join(process.cwd(), "uploads");
-        const relativeUrl = file.url.startsWith("/uploads/")
-            ? file.url.replace("/uploads/", "")
-            : file.url.replace(/^\/+/, "");
-        const filePath = path.join(uploadsDir, relativeUrl);
+        if (!(await canAccessFile(req, file))) {
+            return res.status(403).json(vaultLockedError());
+        }
+
+        await sendStoredFile(req, res, file);
 
-        if (!fs.existsSync(filePath)) {
-            return res.status(404).json({ error: "File content not found on server" });
+    } catch (error) {
+        console.error("serveFile error:", error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message });
         }
+    }
+};
 
-        const mimeType = file.mimetype || "application/octet-stream";
-        res.setHeader("Content-Type", mimeType);
+// Serve a thumbnail of a file's current content (images and PDFs)
+// GET /api/files/:id/thumbnail?size=small|medium|large
+export const serveThumbnail = async (req, res) => {
+    try {
+        const fileId = Number(req.params.id);
+        const size = req.query.size || DEFAULT_THUMBNAIL_SIZE;
 
-        const inlineTypes = [
-            "application/pdf",
-        ];
-        const shouldInline =
-            inlineTypes.includes(mimeType) ||
-            mimeType.startsWith("image/") ||
-            mimeType.startsWith("text/") ||
-            mimeType === "application/json";
+        if (!THUMBNAIL_SIZES[size]) {
+            return res.status(400).json({ error: `size must be one of ${Object.keys(THUMBNAIL_SIZES).join(", ")}` });
+        }
 
-        const dispositionType = shouldInline ? "inline" : "attachment";
-        const safeFileName = encodeURIComponent(file.name || "download");
-        res.setHeader(
-            "Content-Disposition",
-            `${dispositionType}; filename="${safeFileName}"`
-        );
+        const file = await prisma.file.findUnique({ where: { id: fileId } });
+        if (!file || file.deletedAt) {
+            return res.status(404).json({ error: "File not found" });
+        }
 
-        res.sendFile(filePath, (err) => {
-            if (err) {
-                console.error("Error sending file:", err);
-                if (!res.headersSent) {
-                    res.status(500).end();
-                }
-            }
+        if (file.userId !== req.user.id) {
+            return res.status(403).json({ error: "Unauthorized" });
+        }
+
+        if (!(await canAccessFile(req, file))) {
+            return res.status(403).json(vaultLockedError());
+        }
+
+        if (!canHaveThumbnail(file)) {
+            return res.status(404).json({ error: "No thumbnail is available for this file" });
+        }
+
+        // Thumbnails are keyed by content, so a given ETag never changes
+        res.setHeader("ETag", `"${file.contentHash}-${size}"`);
+        res.setHeader("Cache-Control", "private, max-age=86400");
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        const thumbnail = await getThumbnail(file, size);
+        if (!thumbnail) {
+            return res.status(404).json({ error: "Thumbnail could not be generated" });
+        }
+
+        res.setHeader("Content-Type", "image/png");
+        res.setHeader("Content-Length", thumbnail.size);
+        if (req.method === "HEAD") return res.end();
+
+        await pipeStoredRange(getStorage(), thumbnail.key, res);
+    } catch (error) {
+        console.error("serveThumbnail error:", error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message });
+        } else {
+            res.destroy(error);
+        }
+    }
+};
+
+// Load a file and one of its versions for the version endpoints;
+// sends the error response and returns null when either is missing
+async function findFileVersion(req, res) {
+    const fileId = Number(req.params.id);
+    const versionNumber = Number(req.params.version);
+
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+        res.status(400).json({ error: "Version must be a positive integer" });
+        return null;
+    }
+
+    const file = await prisma.file.findUnique({ where: { id: fileId } });
+    if (!file || file.deletedAt) {
+        res.status(404).json({ error: "File not found" });
+        return null;
+    }
+
+    if (file.userId !== req.user.id) {
+        res.status(403).json({ error: "Unauthorized" });
+        return null;
+    }
+
+    if (!(await canAccessFile(req, file))) {
+        res.status(403).json(vaultLockedError());
+        return null;
+    }
+
+    const version = await getFileVersion(file.id, versionNumber);
+    if (!version) {
+        res.status(404).json({ error: "Version not found" });
+        return null;
+    }
+
+    return { file, version };
+}
+
+// List every stored version of a file, newest first
+export const getFileVersions = async (req, res) => {
+    try {
+        const fileId = Number(req.params.id);
+
+        const file = await prisma.file.findUnique({ where: { id: fileId } });
+        if (!file || file.deletedAt) return res.status(404).json({ error: "File not found" });
+
+        if (file.userId !== req.user.id) {
+            return res.status(403).json({ error: "Unauthorized" });
+        }
+
+        if (!(await canAccessFile(req, file))) {
+            return res.status(403).json(vaultLockedError());
+        }
+
+        const versions = await prisma.fileVersion.findMany({
+            where: { fileId },
+            orderBy: { versionNumber: "desc" },
         });
 
+        res.json({
+            fileId,
+            currentVersion: file.currentVersion,
+            versions: versions.map((version) => ({
+                ...version,
+                isCurrent: version.versionNumber === file.currentVersion,
+            })),
+        });
     } catch (error) {
-        console.error("serveFile error:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Serve/download a specific version of a file
+export const serveFileVersion = async (req, res) => {
+    try {
+        const found = await findFileVersion(req, res);
+        if (!found) return;
+
+        await sendStoredFile(req, res, found.version);
+
+    } catch (error) {
+        console.error("serveFileVersion error:", error);
         if (!res.headersSent) {
             res.status(500).json({ error: error.message });
         }
     }
 };
 
+// Restore a prior version (it is copied forward as the newest version)
+export const restoreVersion = async (req, res) => {
+    try {
+        const found = await findFileVersion(req, res);
+        if (!found) return;
+
+        const { file, version } = found;
+        if (version.versionNumber === file.currentVersion) {
+            return res.status(400).json({ error: "Version is already current" });
+        }
+
+        // The restored version counts towards usage like any other
+        const vaultKey = await getVaultKey(req);
+        const { quota, result } = await withQuota(req.user.id, version.size, () =>
+            restoreFileVersion(file, version, { vaultKey })
+        );
+        if (!quota.allowed) {
+            return res.status(413).json(quotaExceededError(quota));
+        }
+        let updated = result;
+
+        // Vault files keep every version encrypted
+        if (await isFileInVault(updated)) {
+            updated = await syncFileEncryption(updated, vaultKey);
+        }
+
+        res.json({
+            message: `Version ${version.versionNumber} restored`,
+            file: updated,
+            version: updated.currentVersion,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
 
 // Get SINGLE file info
 export const getSingleFile = async (req, res) => {
@@ -345,7 +849,15 @@ export const getSingleFile = async (req, res) => {
 
         const file = await prisma.file.findUnique({ where: { id: fileId } });
 
-        if (!file) return res.status(404).json({ error: "File not found" });
+        if (!file || file.deletedAt) return res.status(404).json({ error: "File not found" });
+
+        if (file.userId !== req.user.id) {
+            return res.status(403).json({ error: "Unauthorized" });
+        }
+
+        if (!(await canAccessFile(req, file))) {
+            return res.status(403).json(vaultLockedError());
+        }
 
         res.json({ file });
 
@@ -355,38 +867,27 @@ export const getSingleFile = async (req, res) => {
 };
 
 
-// Delete file
+// Delete file (moves it to the trash; see trashController for restore/purge)
 export const deleteFile = async (req, res) => {
     try {
         const fileId = Number(req.params.id);
         const userId = req.user.id;
 
         const file = await prisma.file.findUnique({ where: { id: fileId } });
-        if (!file) return res.status(404).json({ error: "File not found" });
+        if (!file || file.deletedAt) return res.status(404).json({ error: "File not found" });
 
         // Check if user owns the file
         if (file.userId !== userId) {
             return res.status(403).json({ error: "Unauthorized" });
         }
 
-        // Delete physical file from filesystem
-        const fileUrl = file.url.startsWith("/") ? file.url.substring(1) : file.url;
-        const filePath = path.join(process.cwd(), fileUrl);
-        
-        if (fs.existsSync(filePath)) {
-            try {
-                fs.unlinkSync(filePath);
-                console.log(`Physical file deleted: ${filePath}`);
-            } catch (fsError) {
-                console.error(`Failed to delete physical file: ${fsError.message}`);
-                // Continue with database deletion even if physical file deletion fails
-            }
+        if (!(await canAccessFile(req, file))) {
+            return res.status(403).json(vaultLockedError());
         }
 
-        // Delete from database
-        await prisma.file.delete({ where: { id: fileId } });
+        await moveFileToTrash(file);
 
-        res.json({ message: "File deleted successfully" });
+        res.json({ message: "File moved to trash" });
 
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -397,34 +898,227 @@ export const deleteFile = async (req, res) => {
 export const moveFile = async (req, res) => {
     try {
         const fileId = Number(req.params.id);
-        const { folderId } = req.body;
+        const { folderId, onConflict } = req.body;
+
+        const { policy, error: policyError } = parseConflictPolicy(onConflict, "file", "rename");
+        if (policyError) {
+            return res.status(400).json({ error: policyError });
+        }
 
         const file = await prisma.file.findUnique({ where: { id: fileId } });
-        if (!file) return res.status(404).json({ error: "File not found" });
+        if (!file || file.deletedAt) return res.status(404).json({ error: "File not found" });
 
         if (file.userId !== req.user.id)
             return res.status(403).json({ error: "Unauthorized" });
 
+        if (!(await canAccessFile(req, file)))
+            return res.status(403).json(vaultLockedError());
+
         // If folderId is provided, verify it exists and belongs to user
         let finalFolderId = null;
         if (folderId !== null && folderId !== undefined && folderId !== "") {
             finalFolderId = Number(folderId);
             const targetFolder = await prisma.folder.findUnique({ where: { id: finalFolderId } });
-            if (!targetFolder) {
+            if (!targetFolder || targetFolder.deletedAt) {
                 return res.status(404).json({ error: "Destination folder not found" });
             }
             if (targetFolder.userId !== req.user.id) {
                 return res.status(403).json({ error: "Unauthorized to move to this folder" });
             }
+            if (!(await canAccessFolder(req, targetFolder))) {
+                return res.status(403).json(vaultLockedError());
+            }
         }
 
-        const updated = await prisma.file.update({
+        const placed = await resolveNameConflict("file", {
+            userId: file.userId,
+            parentId: finalFolderId,
+            name: file.name,
+            policy,
+            excludeId: file.id,
+        });
+        if (placed.conflict) {
+            return res.status(409).json(nameConflictError("file", placed.conflict));
+        }
+        if (placed.existing && !(await trashReplacedFile(req, res, placed.existing))) return;
+
+        const wasInVault = await isFileInVault(file);
+
+        let updated = await prisma.file.update({
             where: { id: fileId },
-            data: { folderId: finalFolderId },
+            data: { folderId: finalFolderId, name: placed.name },
         });
 
+        // Moving into or out of a locked folder changes whether it is encrypted
+        const vaultKey = await getVaultKey(req);
+        if (vaultKey && wasInVault !== await isFileInVault(updated)) {
+            updated = await syncFileEncryption(updated, vaultKey);
+        }
+
         res.json({ message: "File moved", file: updated });
     } catch (error) {
+        if (isNameTakenError(error)) {
+            return res.status(409).json(nameConflictError("file"));
+        }
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const MAX_FILE_NAME_LENGTH = 255;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_METADATA_FIELDS = 50;
+const MAX_METADATA_KEY_LENGTH = 64;
+const MAX_METADATA_VALUE_LENGTH = 1000;
+// Would change the parsed object's prototype instead of adding a field
+const RESERVED_METADATA_KEYS = ["__proto__", "constructor", "prototype"];
+
+// New name for a file. The current extension is kept (added back when the
+// name leaves it out) unless changeExtension is set.
+// Returns { name } or { error }.
+function getNewFileName(file, name, changeExtension) {
+    if (typeof name !== "string" || !name.trim()) {
+        return { error: "File name must be a non-empty string" };
+    }
+
+    let newName = name.trim();
+    const extension = path.extname(file.name);
+    if (!changeExtension && extension && !newName.toLowerCase().endsWith(extension.toLowerCase())) {
+        newName += extension;
+    }
+
+    if (newName.length > MAX_FILE_NAME_LENGTH) {
+        return { error: `File name can be at most ${MAX_FILE_NAME_LENGTH} characters` };
+    }
+    if (/[\\/]/.test(newName) || newName === "." || newName === "..") {
+        return { error: "File name cannot contain slashes or be '.' or '..'" };
+    }
+    return { name: newName };
+}
+
+// Stored metadata as an object; a row that isn't a JSON object counts as
+// empty (and is overwritten by the next edit)
+function parseFileMetadata(stored) {
+    try {
+        const metadata = stored ? JSON.parse(stored) : {};
+        return metadata && typeof metadata === "object" && !Array.isArray(metadata) ? metadata : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// Merge custom fields into a file's stored metadata (JSON text): a null value
+// removes a field, and metadata: null removes them all.
+// Returns { metadata } (JSON text, or null when empty) or { error }.
+function mergeFileMetadata(stored, changes) {
+    if (changes === null) return { metadata: null };
+    if (typeof changes !== "object" || Array.isArray(changes)) {
+        return { error: "metadata must be an object of custom fields" };
+    }
+
+    const metadata = parseFileMetadata(stored);
+    for (const [key, value] of Object.entries(changes)) {
+        if (!key.trim() || key.length > MAX_METADATA_KEY_LENGTH) {
+            return { error: `Metadata field names must be 1 to ${MAX_METADATA_KEY_LENGTH} characters` };
+        }
+        if (RESERVED_METADATA_KEYS.includes(key)) {
+            return { error: `"${key}" can't be used as a metadata field name` };
+        }
+        if (value === null) {
+            delete metadata[key];
+            continue;
+        }
+        if (!["string", "number", "boolean"].includes(typeof value)) {
+            return { error: `Metadata field "${key}" must be a string, number or boolean` };
+        }
+        if (typeof value === "string" && value.length > MAX_METADATA_VALUE_LENGTH) {
+            return { error: `Metadata field "${key}" can be at most ${MAX_METADATA_VALUE_LENGTH} characters` };
+        }
+        metadata[key] = value;
+    }
+
+    if (Object.keys(metadata).length > MAX_METADATA_FIELDS) {
+        return { error: `A file can have at most ${MAX_METADATA_FIELDS} metadata fields` };
+    }
+    return { metadata: Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : null };
+}
+
+/**
+ * Update File
+ * Renames a file and/or edits its description and custom metadata
+ * Body (any of): name, changeExtension (use name as given instead of
+ * keeping the current extension), description (empty or null clears it),
+ * metadata ({ field: value } merged into the current fields; a null value
+ * removes a field, null removes all)
+ * The file moves to the top of Recents.
+ * PUT /api/files/:id
+ */
+export const updateFile = async (req, res) => {
+    try {
+        const fileId = Number(req.params.id);
+        const { name, changeExtension, description, metadata } = req.body || {};
+
+        if (name === undefined && description === undefined && metadata === undefined) {
+            return res.status(400).json({ error: "Provide a name, description or metadata to update" });
+        }
+
+        const file = await prisma.file.findUnique({ where: { id: fileId } });
+        if (!file || file.deletedAt) return res.status(404).json({ error: "File not found" });
+
+        if (file.userId !== req.user.id)
+            return res.status(403).json({ error: "Unauthorized" });
+
+        if (!(await canAccessFile(req, file)))
+            return res.status(403).json(vaultLockedError());
+
+        // Brings the file to the top of Recents
+        const data = { editedAt: new Date() };
+
+        if (name !== undefined) {
+            const renamed = getNewFileName(file, name, changeExtension === true || changeExtension === "true");
+            if (renamed.error) {
+                return res.status(400).json({ error: renamed.error });
+            }
+
+            const existing = await findSibling("file", {
+                userId: file.userId,
+                parentId: file.folderId,
+                name: renamed.name,
+                excludeId: file.id,
+            });
+            if (existing) {
+                return res.status(409).json(nameConflictError("file", existing));
+            }
+            data.name = renamed.name;
+        }
+
+        if (description !== undefined) {
+            if (description !== null && typeof description !== "string") {
+                return res.status(400).json({ error: "description must be a string" });
+            }
+            if (description && description.trim().length > MAX_DESCRIPTION_LENGTH) {
+                return res.status(400).json({ error: `description can be at most ${MAX_DESCRIPTION_LENGTH} characters` });
+            }
+            data.description = description?.trim() || null;
+        }
+
+        if (metadata !== undefined) {
+            const merged = mergeFileMetadata(file.metadata, metadata);
+            if (merged.error) {
+                return res.status(400).json({ error: merged.error });
+            }
+            data.metadata = merged.metadata;
+        }
+
+        const updated = await prisma.file.update({
+            where: { id: fileId },
+            data,
+        });
+
+        res.json({ message: "File updated", file: updated });
+    } catch (error) {
+        if (isNameTakenError(error)) {
+            return res.status(409).json(nameConflictError("file"));
+        }
         res.status(500).json({ error: error.message });
     }
 };
@@ -451,12 +1145,15 @@ export const assignCategoryToFile = async (req, res) => {
         }
 
         const file = await prisma.file.findUnique({ where: { id: numericFileId } });
-        if (!file) {
+        if (!file || file.deletedAt) {
             return res.status(404).json({ error: "File not found" });
         }
         if (file.userId !== userId) {
             return res.status(403).json({ error: "Unauthorized to modify this file" });
         }
+        if (!(await canAccessFile(req, file))) {
+            return res.status(403).json(vaultLockedError());
+        }
 
         const category = await prisma.category.findUnique({ where: { id: numericCategoryId } });
         if (!category) {
@@ -1,33 +1,116 @@
 import { PrismaClient } from "@prisma/client";
-import bcrypt from "bcryptjs";
 import archiver from "archiver";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { Readable } from "stream";
+import {
+    MAX_FOLDER_DEPTH,
+    getParentChain,
+    getFolderPath,
+    isWithinFolder,
+    checkFolderDepth,
+    checkFolderMove,
+    moveFolderTo,
+    mergeFolderInto,
+    buildFolderTree,
+} from "../utils/folderTree.js";
+import { moveFolderToTrash } from "../utils/trashService.js";
+import { getStorage, getStorageKey } from "../utils/storage.js";
+import {
+    canAccessFolder,
+    isFolderInVault,
+    hasVaultAccess,
+    getVaultKey,
+    visibleFilesWhere,
+    visibleFoldersWhere,
+    vaultLockedError,
+} from "../utils/vaultService.js";
+import { syncFolderEncryption } from "../utils/vaultEncryption.js";
+import { openDecryptedStream } from "../utils/vaultCrypto.js";
+import {
+    parseConflictPolicy,
+    resolveNameConflict,
+    findSibling,
+    isNameTakenError,
+    nameConflictError,
+} from "../utils/nameConflict.js";
 
 const prisma = new PrismaClient();
 
+// Move the folder a replace policy displaces to the trash; sends the error
+// response and returns false when it is in the vault and the vault is closed,
+// or holds keep (the folder being moved in its place)
+async function trashReplacedFolder(req, res, existing, keep = null) {
+    if (keep && await isWithinFolder(keep.parentId, existing.id)) {
+        res.status(400).json({ error: "Cannot replace a folder that contains the one being moved" });
+        return false;
+    }
+    if (!(await canAccessFolder(req, existing))) {
+        res.status(403).json(vaultLockedError());
+        return false;
+    }
+    await moveFolderToTrash(existing);
+    return true;
+}
+
 //Create Folder or Subfolder
+//onConflict (when the name is taken): rename (default), fail, replace, or
+//merge (returns the existing folder)
 export const createFolder = async(req,res) =>{
     try{
-        const { name , parentId, folderColor } = req.body;
+        const { name , parentId, folderColor, onConflict } = req.body;
         if(!name){
             return res.status(400).json({error: "Folder name is required"});
         }
 
+        const { policy, error: policyError } = parseConflictPolicy(onConflict, "folder", "rename");
+        if (policyError) {
+            return res.status(400).json({ error: policyError });
+        }
+
         const userId = req.user.id;
         if (!userId) {
             return res.status(401).json({error: "User ID not found in token"});
         }
 
+        if (parentId) {
+            const parent = await prisma.folder.findUnique({ where: { id: Number(parentId) } });
+            if (!parent || parent.deletedAt) {
+                return res.status(404).json({ error: "Parent folder not found" });
+            }
+            if (parent.userId !== userId) {
+                return res.status(403).json({ error: "Unauthorized" });
+            }
+            if (!(await canAccessFolder(req, parent))) {
+                return res.status(403).json(vaultLockedError());
+            }
+
+            const tooDeep = await checkFolderDepth(parent.id);
+            if (tooDeep) {
+                return res.status(tooDeep.status).json({ error: tooDeep.error });
+            }
+        }
+
+        const placed = await resolveNameConflict("folder", {
+            userId,
+            parentId: parentId ? Number(parentId) : null,
+            name,
+            policy,
+        });
+        if (placed.conflict) {
+            return res.status(409).json(nameConflictError("folder", placed.conflict));
+        }
+        if (placed.existing && policy === "merge") {
+            if (!(await canAccessFolder(req, placed.existing))) {
+                return res.status(403).json(vaultLockedError());
+            }
+            return res.json({ message: "Folder already exists", folder: placed.existing });
+        }
+        if (placed.existing && !(await trashReplacedFolder(req, res, placed.existing))) return;
+
         const newFolder = await prisma.folder.create({
             data:{
-                name,
+                name: placed.name,
                 userId: userId,
-                parentId: parentId || null,
+                parentId: parentId ? Number(parentId) : null,
                 folderColor: folderColor || "blue",
 
             },
@@ -36,25 +119,31 @@ export const createFolder = async(req,res) =>{
         console.log(`Folder created: ID=${newFolder.id}, Name=${newFolder.name}, UserID=${newFolder.userId}`);
         res.status(201).json({ message: "Folder created", folder: newFolder});
     }catch(error){
+        if (isNameTakenError(error)) {
+            return res.status(409).json(nameConflictError("folder"));
+        }
         console.error("Error creating folder:", error);
         res.status(500).json({error: error.message });
     }
 };
 
-//delete folder 
+//delete folder (moves it and its contents to the trash)
 export const deleteFolder = async(req,res)=>{
     try{
         const folderId =Number(req.params.id);
 
         const folder = await prisma.folder.findUnique({where: { id: folderId}});
-        if(!folder) return res.status(404).json({error: "Folder not found"});
+        if(!folder || folder.deletedAt) return res.status(404).json({error: "Folder not found"});
 
         if(folder.userId !==req.user.id)
             return res.status(403).json({error: "Unauthorized"});
 
-        await prisma.folder.delete({where: { id: folderId}});
+        if (!(await canAccessFolder(req, folder)))
+            return res.status(403).json(vaultLockedError());
+
+        await moveFolderToTrash(folder);
 
-        res.json({message: "Folder deleted successfully"});
+        res.json({message: "Folder moved to trash"});
     }catch(error){
         res.status(500).json({ error: error.message});
     }
@@ -67,17 +156,23 @@ export const deleteSubfolder = async (req, res) => {
 
     // Folder check
     const folder = await prisma.folder.findUnique({ where: { id: folderId } });
-    if (!folder) return res.status(404).json({ error: "Folder not found" });
+    if (!folder || folder.deletedAt) return res.status(404).json({ error: "Folder not found" });
+
+    if (folder.userId !== req.user.id)
+      return res.status(403).json({ error: "Unauthorized" });
+
+    if (!(await canAccessFolder(req, folder)))
+      return res.status(403).json(vaultLockedError());
 
     // Prevent deleting root folder
     if (folder.parentId === null) {
       return res.status(400).json({ error: "Cannot delete root folder" });
     }
 
-    // Delete subfolder (files inside will also delete due to cascade)
-    await prisma.folder.delete({ where: { id: folderId } });
+    // Move subfolder and everything inside it to the trash
+    await moveFolderToTrash(folder);
 
-    res.json({ message: "Subfolder deleted successfully" });
+    res.json({ message: "Subfolder moved to trash" });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -100,7 +195,9 @@ export const getAllFolders = async (req, res) => {
     
     const whereClause = { 
       userId: userId,
-      parentId: finalParentId
+      parentId: finalParentId,
+      deletedAt: null,
+      ...(await visibleFoldersWhere(req)),
     };
 
     const folders = await prisma.folder.findMany({
@@ -119,19 +216,24 @@ export const getAllFolders = async (req, res) => {
 export const getAllFoldersWithContents = async (req, res) => {
   try {
     const userId = req.user.id;
+    const visibleFolders = await visibleFoldersWhere(req);
+    const visibleFiles = await visibleFilesWhere(req);
 
     const folders = await prisma.folder.findMany({
       where: {
         userId,
         parentId: null, // root folders
+        deletedAt: null,
+        ...visibleFolders,
       },
       include: {
         subfolders: {
+          where: { deletedAt: null, ...visibleFolders },
           include: {
-            files: true
+            files: { where: { deletedAt: null, ...visibleFiles } }
           }
         },
-        files: true
+        files: { where: { deletedAt: null, ...visibleFiles } }
       }
     });
 
@@ -142,18 +244,63 @@ export const getAllFoldersWithContents = async (req, res) => {
 };
 
 
-//lock folder - No password required initially
+// Whole folder hierarchy (or the subtree under ?rootId) in one query, with
+// file counts and sizes per folder. ?depth limits how many levels come back.
+// Locked folders and files are only included while the vault is open.
+export const getFolderTree = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { rootId, depth } = req.query;
+
+        const maxDepth = depth === undefined || depth === "" ? MAX_FOLDER_DEPTH : Number(depth);
+        if (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > MAX_FOLDER_DEPTH) {
+            return res.status(400).json({ error: `Depth must be a whole number from 1 to ${MAX_FOLDER_DEPTH}` });
+        }
+
+        let root = null;
+        if (rootId !== undefined && rootId !== "" && rootId !== "root") {
+            root = await prisma.folder.findUnique({ where: { id: Number(rootId) || 0 } });
+            if (!root || root.deletedAt) return res.status(404).json({ error: "Folder not found" });
+
+            if (root.userId !== userId)
+                return res.status(403).json({ error: "Unauthorized" });
+
+            if (!(await canAccessFolder(req, root)))
+                return res.status(403).json(vaultLockedError());
+        }
+
+        const folders = await buildFolderTree(userId, {
+            rootId: root?.id ?? null,
+            maxDepth,
+            includeVault: await hasVaultAccess(req),
+        });
+
+        res.json({
+            folders,
+            depth: maxDepth,
+            path: root ? await getFolderPath(root.id, userId) : [],
+        });
+    } catch (error) {
+        console.error("Error fetching folder tree:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+//lock folder - its files are encrypted, so the vault must be open
 export const lockFolder = async(req,res) => {
     try {
         const folderId = Number(req.params.id);
 
         const folder = await prisma.folder.findUnique({ where: { id: folderId } });
-        if (!folder) return res.status(404).json({ error: "Folder not found" });
+        if (!folder || folder.deletedAt) return res.status(404).json({ error: "Folder not found" });
 
         if (folder.userId !== req.user.id)
             return res.status(403).json({ error: "Unauthorized" });
 
-        // Simply lock the folder without requiring password
+        const vaultKey = await getVaultKey(req);
+        if (!vaultKey)
+            return res.status(403).json(vaultLockedError());
+
         const updated = await prisma.folder.update({
             where: { id: folderId },
             data: {
@@ -161,6 +308,9 @@ export const lockFolder = async(req,res) => {
             },
         });
 
+        // Encrypt everything inside it
+        await syncFolderEncryption(updated, vaultKey);
+
         res.json({ message: "Folder locked", folder: updated });
     } catch(error) {
         console.error(error);
@@ -169,15 +319,14 @@ export const lockFolder = async(req,res) => {
 };
 
 
-//unlock folder - No password required if user is authenticated in session
+//unlock folder - needs an open vault (X-Vault-Token) or the lock password,
+//see requireVaultOrLockPassword
 export const unlockFolder = async(req,res)=>{
     try{
         const folderId = Number(req.params.id);
-        // Password is optional - if user is authenticated in locked folders session, skip password check
-        const {password, skipPasswordCheck} = req.body;
 
         const folder = await prisma.folder.findUnique({ where: { id: folderId } });
-        if (!folder) return res.status(404).json({ error: "Folder not found" });
+        if (!folder || folder.deletedAt) return res.status(404).json({ error: "Folder not found" });
 
         if (folder.userId !== req.user.id)
             return res.status(403).json({ error: "Unauthorized" });
@@ -186,26 +335,6 @@ export const unlockFolder = async(req,res)=>{
             return res.status(400).json({ error: "Folder is not locked" });
         }
 
-        // If skipPasswordCheck is true (user is authenticated in locked folders area), skip password verification
-        if (!skipPasswordCheck) {
-            // If password is provided, verify it against user's lock password
-            if (!password) {
-                return res.status(400).json({ error: "Password required or authentication required" });
-            }
-
-            // Get user's lock password
-            const user = await prisma.user.findUnique({ where: { id: req.user.id } });
-            if (!user || !user.lockPassword) {
-                return res.status(400).json({ error: "Lock password not set. Please set a lock password first." });
-            }
-
-            // Compare password with user's lock password
-            const match = await bcrypt.compare(password, user.lockPassword);
-            if (!match) {
-                return res.status(401).json({ error: "Incorrect password" });
-            }
-        }
-
         const updated = await prisma.folder.update({
             where: { id: folderId },
             data: {
@@ -213,6 +342,11 @@ export const unlockFolder = async(req,res)=>{
             },
         });
 
+        // Decrypt whatever has left the vault (locked files and anything
+        // under another locked folder stay encrypted)
+        const vaultKey = await getVaultKey(req);
+        if (vaultKey) await syncFolderEncryption(updated, vaultKey);
+
         res.json({ message: "Folder unlocked", folder: updated });
     }catch(error){
         console.error(error);
@@ -228,11 +362,14 @@ export const toggleImportant = async (req, res) => {
         const folderId = Number(req.params.id);
 
         const folder = await prisma.folder.findUnique({ where: { id: folderId } });
-        if (!folder) return res.status(404).json({ error: "Folder not found" });
+        if (!folder || folder.deletedAt) return res.status(404).json({ error: "Folder not found" });
 
         if (folder.userId !== req.user.id)
             return res.status(403).json({ error: "Unauthorized" });
 
+        if (!(await canAccessFolder(req, folder)))
+            return res.status(403).json(vaultLockedError());
+
         const updated = await prisma.folder.update({
             where: { id: folderId },
             data: { isImportant: !folder.isImportant },
@@ -249,58 +386,21 @@ export const toggleImportant = async (req, res) => {
     }
 };
 
-// Helper function to get full parent chain
-async function getParentChain(folderId, userId) {
-    const chain = [];
-    
-    // First, get the current folder to start from its parent
-    const currentFolder = await prisma.folder.findUnique({
-        where: { id: folderId },
-        select: {
-            parentId: true,
-            userId: true,
-        }
-    });
-
-    if (!currentFolder || currentFolder.userId !== userId) {
-        return chain;
-    }
-
-    // Start from the parent of the current folder
-    let currentParentId = currentFolder.parentId;
-
-    while (currentParentId) {
-        const folder = await prisma.folder.findUnique({
-            where: { id: currentParentId },
-            select: {
-                id: true,
-                name: true,
-                parentId: true,
-                userId: true,
-            }
-        });
-
-        if (!folder || folder.userId !== userId) break;
-        
-        chain.unshift({ id: folder.id, name: folder.name });
-        currentParentId = folder.parentId;
-    }
-
-    return chain;
-}
-
 // Get folder by ID with subfolders and files
 export const getFolderById = async (req, res) => {
     try {
         const folderId = Number(req.params.id);
 
+        // Locked subfolders and files stay hidden while the vault is closed
         const folder = await prisma.folder.findUnique({
             where: { id: folderId },
             include: {
                 subfolders: {
+                    where: { deletedAt: null, ...(await visibleFoldersWhere(req)) },
                     orderBy: { createdAt: "desc" }
                 },
                 files: {
+                    where: { deletedAt: null, ...(await visibleFilesWhere(req)) },
                     orderBy: { createdAt: "desc" }
                 },
                 parent: {
@@ -312,43 +412,22 @@ export const getFolderById = async (req, res) => {
             }
         });
 
-        if (!folder) return res.status(404).json({ error: "Folder not found" });
+        if (!folder || folder.deletedAt) return res.status(404).json({ error: "Folder not found" });
 
         if (folder.userId !== req.user.id)
             return res.status(403).json({ error: "Unauthorized" });
 
-        // Check if folder is locked - if locked, require password verification
-        if (folder.isLocked) {
-            // Check if password is provided in query or body
-            const password = req.query.password || req.body.password;
-            if (!password) {
-                return res.status(403).json({ 
-                    error: "Folder is locked. Password required.",
-                    isLocked: true 
-                });
-            }
-
-            // Verify password
-            if (!folder.lockPassword) {
-                return res.status(400).json({ error: "Folder lock password not set" });
-            }
-
-            const match = await bcrypt.compare(password, folder.lockPassword);
-            if (!match) {
-                return res.status(401).json({ error: "Incorrect password" });
-            }
+        // Locked folders (and anything inside one) need an open vault
+        if (!(await canAccessFolder(req, folder))) {
+            return res.status(403).json(vaultLockedError());
         }
 
         // Get full parent chain
         const parentChain = await getParentChain(folderId, req.user.id);
 
-        // Filter out locked subfolders from response
-        const unlockedSubfolders = folder.subfolders.filter(subfolder => !subfolder.isLocked);
-
         res.json({ 
             folder: {
                 ...folder,
-                subfolders: unlockedSubfolders,
                 parentChain: parentChain
             }
         });
@@ -368,11 +447,24 @@ export const renameFolder = async (req, res) => {
         }
 
         const folder = await prisma.folder.findUnique({ where: { id: folderId } });
-        if (!folder) return res.status(404).json({ error: "Folder not found" });
+        if (!folder || folder.deletedAt) return res.status(404).json({ error: "Folder not found" });
 
         if (folder.userId !== req.user.id)
             return res.status(403).json({ error: "Unauthorized" });
 
+        if (!(await canAccessFolder(req, folder)))
+            return res.status(403).json(vaultLockedError());
+
+        const existing = await findSibling("folder", {
+            userId: folder.userId,
+            parentId: folder.parentId,
+            name: name.trim(),
+            excludeId: folder.id,
+        });
+        if (existing) {
+            return res.status(409).json(nameConflictError("folder", existing));
+        }
+
         const updated = await prisma.folder.update({
             where: { id: folderId },
             data: { name: name.trim() },
@@ -380,6 +472,9 @@ export const renameFolder = async (req, res) => {
 
         res.json({ message: "Folder renamed successfully", folder: updated });
     } catch (error) {
+        if (isNameTakenError(error)) {
+            return res.status(409).json(nameConflictError("folder"));
+        }
         res.status(500).json({ error: error.message });
     }
 };
@@ -388,38 +483,106 @@ export const renameFolder = async (req, res) => {
 export const moveFolder = async (req, res) => {
     try {
         const folderId = Number(req.params.id);
-        const { parentId } = req.body;
+        const { parentId, onConflict } = req.body;
+
+        const { policy, error: policyError } = parseConflictPolicy(onConflict, "folder", "rename");
+        if (policyError) {
+            return res.status(400).json({ error: policyError });
+        }
 
         const folder = await prisma.folder.findUnique({ where: { id: folderId } });
-        if (!folder) return res.status(404).json({ error: "Folder not found" });
+        if (!folder || folder.deletedAt) return res.status(404).json({ error: "Folder not found" });
 
         if (folder.userId !== req.user.id)
             return res.status(403).json({ error: "Unauthorized" });
 
+        if (!(await canAccessFolder(req, folder)))
+            return res.status(403).json(vaultLockedError());
+
         // If parentId is provided, verify it exists and belongs to user
         let finalParentId = null;
         if (parentId !== null && parentId !== undefined && parentId !== "") {
             finalParentId = Number(parentId);
             const parentFolder = await prisma.folder.findUnique({ where: { id: finalParentId } });
-            if (!parentFolder) {
+            if (!parentFolder || parentFolder.deletedAt) {
                 return res.status(404).json({ error: "Destination folder not found" });
             }
             if (parentFolder.userId !== req.user.id) {
                 return res.status(403).json({ error: "Unauthorized to move to this folder" });
             }
-            // Prevent moving folder into itself or its children
-            if (finalParentId === folderId) {
-                return res.status(400).json({ error: "Cannot move folder into itself" });
+            if (!(await canAccessFolder(req, parentFolder))) {
+                return res.status(403).json(vaultLockedError());
             }
         }
 
-        const updated = await prisma.folder.update({
-            where: { id: folderId },
-            data: { parentId: finalParentId },
+        const placed = await resolveNameConflict("folder", {
+            userId: folder.userId,
+            parentId: finalParentId,
+            name: folder.name,
+            policy,
+            excludeId: folder.id,
         });
+        if (placed.conflict) {
+            return res.status(409).json(nameConflictError("folder", placed.conflict));
+        }
+
+        const wasInVault = await isFolderInVault(folder);
+        const vaultKey = await getVaultKey(req);
+
+        if (placed.existing && policy === "merge") {
+            if (!(await canAccessFolder(req, placed.existing)))
+                return res.status(403).json(vaultLockedError());
+
+            const merged = await mergeFolderInto(folder, placed.existing, { vaultOpen: await hasVaultAccess(req) });
+            if (merged.vaultLocked) {
+                return res.status(403).json(vaultLockedError());
+            }
+            if (merged.error) {
+                return res.status(merged.status).json({ error: merged.error });
+            }
 
-        res.json({ message: "Folder moved", folder: updated });
+            // The merged contents may have come out of (or gone into) the vault
+            if (vaultKey) await syncFolderEncryption(merged.folder, vaultKey);
+
+            return res.json({
+                message: "Folder merged",
+                folder: merged.folder,
+                merged: true,
+                path: await getFolderPath(merged.folder.id, req.user.id),
+            });
+        }
+
+        if (placed.existing) {
+            // Only displace the existing folder when the move itself is allowed
+            const invalid = await checkFolderMove(folder.id, finalParentId);
+            if (invalid) {
+                return res.status(invalid.status).json({ error: invalid.error });
+            }
+            if (!(await trashReplacedFolder(req, res, placed.existing, folder))) return;
+        }
+
+        // Rejects moves into the folder itself, below it, or too deep
+        const moved = await moveFolderTo(folder, finalParentId, { name: placed.name });
+        if (moved.error) {
+            return res.status(moved.status).json({ error: moved.error });
+        }
+        const updated = moved.folder;
+
+        // Moving into or out of a locked folder changes what is encrypted
+        // (either way both ends were checked against the vault above)
+        if (vaultKey && wasInVault !== await isFolderInVault(updated)) {
+            await syncFolderEncryption(updated, vaultKey);
+        }
+
+        res.json({
+            message: "Folder moved",
+            folder: updated,
+            path: await getFolderPath(updated.id, req.user.id),
+        });
     } catch (error) {
+        if (isNameTakenError(error)) {
+            return res.status(409).json(nameConflictError("folder"));
+        }
         res.status(500).json({ error: error.message });
     }
 };
@@ -431,6 +594,7 @@ export const getLockedFolders = async (req, res) => {
             where: {
                 userId: req.user.id,
                 isLocked: true,
+                deletedAt: null,
             },
             orderBy: { createdAt: "desc" }
         });
@@ -456,6 +620,8 @@ export const getImportantFolders = async (req, res) => {
             where: {
                 userId: req.user.id,
                 isImportant: true,
+                deletedAt: null,
+                ...(await visibleFoldersWhere(req)),
             },
             orderBy: { createdAt: "desc" }
         });
@@ -489,12 +655,14 @@ export const shareFolders = async (req, res) => {
             where: {
                 id: { in: folderIds.map(id => Number(id)) },
                 userId: userId,
+                deletedAt: null,
             },
             include: {
-                files: true,
+                files: { where: { deletedAt: null } },
                 subfolders: {
+                    where: { deletedAt: null },
                     include: {
-                        files: true,
+                        files: { where: { deletedAt: null } },
                     }
                 }
             }
@@ -504,6 +672,16 @@ export const shareFolders = async (req, res) => {
             return res.status(404).json({ error: "No folders found" });
         }
 
+        for (const folder of folders) {
+            if (!(await canAccessFolder(req, folder))) {
+                return res.status(403).json(vaultLockedError());
+            }
+        }
+
+        // Locked items further down are only included while the vault is open
+        const includeLocked = await hasVaultAccess(req);
+        const vaultKey = includeLocked ? await getVaultKey(req) : null;
+
         // Create zip archive
         const archive = archiver('zip', {
             zlib: { level: 9 }
@@ -515,28 +693,41 @@ export const shareFolders = async (req, res) => {
 
         archive.pipe(res);
 
+        const storage = getStorage();
+
         // Helper function to recursively add folder to archive
         const addFolderToArchive = async (folder, basePath = '') => {
             const folderPath = basePath ? `${basePath}/${folder.name}` : folder.name;
             
             // Add folder files
             for (const file of folder.files || []) {
-                const filePath = path.join(__dirname, '..', file.url);
-                if (fs.existsSync(filePath)) {
-                    archive.file(filePath, { name: `${folderPath}/${file.name}` });
+                if (file.isLocked && !includeLocked) continue;
+                if (file.isEncrypted && !vaultKey) continue;
+                const key = getStorageKey(file.url);
+                if (key && await storage.exists(key)) {
+                    // Opened only when the archive gets to this entry, so a big
+                    // folder doesn't hold every file open at once
+                    const content = Readable.from((async function* () {
+                        yield* file.isEncrypted
+                            ? await openDecryptedStream(key, vaultKey)
+                            : await storage.openReadStream(key);
+                    })(), { objectMode: false });
+                    archive.append(content, { name: `${folderPath}/${file.name}` });
                 }
             }
 
             // Recursively add subfolders
             if (folder.subfolders && folder.subfolders.length > 0) {
                 for (const subfolder of folder.subfolders) {
+                    if (subfolder.isLocked && !includeLocked) continue;
                     const fullSubfolder = await prisma.folder.findUnique({
                         where: { id: subfolder.id },
                         include: {
-                            files: true,
+                            files: { where: { deletedAt: null } },
                             subfolders: {
+                                where: { deletedAt: null },
                                 include: {
-                                    files: true,
+                                    files: { where: { deletedAt: null } },
                                 }
                             }
                         }
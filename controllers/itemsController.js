@@ -1,23 +1,81 @@
 import { PrismaClient } from "@prisma/client";
-import crypto from "crypto";
-import path from "path";
-import fs from "fs";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { createShare, buildShareLink, findActiveShares, formatShare, MAX_SHARE_EXPIRY_DAYS } from "../utils/shareService.js";
+import { moveFileToTrash, moveFolderToTrash } from "../utils/trashService.js";
+import { createFileWithVersion, shareContent } from "../utils/fileVersionService.js";
+import { releaseBlob } from "../utils/blobService.js";
+import { getStorage, getStorageKey } from "../utils/storage.js";
+import {
+    getDescendantFolderIds,
+    getFolderPath,
+    getAncestors,
+    getSubtreeHeight,
+    isWithinFolder,
+    checkFolderDepth,
+    checkFolderMove,
+    lockFolderMoves,
+    moveFolderTo,
+    mergeFolderInto,
+} from "../utils/folderTree.js";
+import { checkQuota, withQuota, quotaExceededError } from "../utils/quotaService.js";
+import {
+    canAccessFile,
+    canAccessFolder,
+    isFileInVault,
+    isFolderInVault,
+    hasVaultAccess,
+    hasVaultContents,
+    getVaultKey,
+    vaultLockedError,
+} from "../utils/vaultService.js";
+import { encryptFileContent, syncFileEncryption, syncFolderEncryption } from "../utils/vaultEncryption.js";
+import {
+    parseConflictPolicy,
+    findSibling,
+    resolveNameConflict,
+    getAvailableName,
+    getCopyName,
+    isNameTakenError,
+    nameConflictError,
+} from "../utils/nameConflict.js";
 
 const prisma = new PrismaClient();
 
+// Move the item a replace policy displaces to the trash; sends the error
+// response and returns false when it is in the vault and the vault is closed,
+// or (for folders) holds keep, the folder being put in its place
+async function trashReplacedItem(req, res, type, existing, keep = null) {
+    if (type === 'folder' && keep?.parentId && await isWithinFolder(keep.parentId, existing.id)) {
+        res.status(400).json({ error: "Cannot replace a folder that contains the one being moved or copied" });
+        return false;
+    }
+
+    const canAccess = type === 'folder'
+        ? await canAccessFolder(req, existing)
+        : await canAccessFile(req, existing);
+    if (!canAccess) {
+        res.status(403).json(vaultLockedError());
+        return false;
+    }
+
+    if (type === 'folder') {
+        await moveFolderToTrash(existing);
+    } else {
+        await moveFileToTrash(existing);
+    }
+    return true;
+}
+
 /**
  * Move Item (File or Folder)
  * Moves an item from its current location to a target folder
+ * onConflict (when the name is taken there): rename (default), fail,
+ * replace, or merge (folders)
  * PUT /api/items/:id/move
  */
 export const moveItem = async (req, res) => {
     try {
         const itemId = Number(req.params.id);
-        const { type, targetFolderId } = req.body;
+        const { type, targetFolderId, onConflict } = req.body;
         const userId = req.user.id;
 
         // Validate type
@@ -25,13 +83,18 @@ export const moveItem = async (req, res) => {
             return res.status(400).json({ error: "Type must be 'file' or 'folder'" });
         }
 
+        const { policy, error: policyError } = parseConflictPolicy(onConflict, type, "rename");
+        if (policyError) {
+            return res.status(400).json({ error: policyError });
+        }
+
         // Handle folder move
         if (type === 'folder') {
             const folder = await prisma.folder.findUnique({ 
                 where: { id: itemId } 
             });
 
-            if (!folder) {
+            if (!folder || folder.deletedAt) {
                 return res.status(404).json({ error: "Folder not found" });
             }
 
@@ -39,6 +102,10 @@ export const moveItem = async (req, res) => {
                 return res.status(403).json({ error: "Unauthorized" });
             }
 
+            if (!(await canAccessFolder(req, folder))) {
+                return res.status(403).json(vaultLockedError());
+            }
+
             // Validate target folder if provided
             let finalTargetFolderId = null;
             if (targetFolderId !== null && targetFolderId !== undefined && targetFolderId !== "") {
@@ -47,28 +114,82 @@ export const moveItem = async (req, res) => {
                     where: { id: finalTargetFolderId } 
                 });
                 
-                if (!targetFolder) {
+                if (!targetFolder || targetFolder.deletedAt) {
                     return res.status(404).json({ error: "Target folder not found" });
                 }
                 
                 if (targetFolder.userId !== userId) {
                     return res.status(403).json({ error: "Unauthorized to move to this folder" });
                 }
-                
-                // Prevent moving folder into itself or its children
-                if (finalTargetFolderId === itemId) {
-                    return res.status(400).json({ error: "Cannot move folder into itself" });
+
+                if (!(await canAccessFolder(req, targetFolder))) {
+                    return res.status(403).json(vaultLockedError());
                 }
             }
 
-            const updated = await prisma.folder.update({
-                where: { id: itemId },
-                data: { parentId: finalTargetFolderId },
+            const placed = await resolveNameConflict("folder", {
+                userId,
+                parentId: finalTargetFolderId,
+                name: folder.name,
+                policy,
+                excludeId: folder.id,
             });
+            if (placed.conflict) {
+                return res.status(409).json(nameConflictError("folder", placed.conflict));
+            }
+
+            const wasInVault = await isFolderInVault(folder);
+            const vaultKey = await getVaultKey(req);
+
+            if (placed.existing && policy === 'merge') {
+                if (!(await canAccessFolder(req, placed.existing))) {
+                    return res.status(403).json(vaultLockedError());
+                }
+
+                const merged = await mergeFolderInto(folder, placed.existing, { vaultOpen: await hasVaultAccess(req) });
+                if (merged.vaultLocked) {
+                    return res.status(403).json(vaultLockedError());
+                }
+                if (merged.error) {
+                    return res.status(merged.status).json({ error: merged.error });
+                }
+
+                // The merged contents may have come out of (or gone into) the vault
+                if (vaultKey) await syncFolderEncryption(merged.folder, vaultKey);
+
+                return res.json({
+                    message: "Folder merged successfully",
+                    item: merged.folder,
+                    merged: true,
+                    path: await getFolderPath(merged.folder.id, userId),
+                });
+            }
+
+            if (placed.existing) {
+                // Only displace the existing folder when the move itself is allowed
+                const invalid = await checkFolderMove(folder.id, finalTargetFolderId);
+                if (invalid) {
+                    return res.status(invalid.status).json({ error: invalid.error });
+                }
+                if (!(await trashReplacedItem(req, res, 'folder', placed.existing, folder))) return;
+            }
+
+            // Rejects moves into the folder itself, below it, or too deep
+            const moved = await moveFolderTo(folder, finalTargetFolderId, { name: placed.name });
+            if (moved.error) {
+                return res.status(moved.status).json({ error: moved.error });
+            }
+            const updated = moved.folder;
+
+            // Moving into or out of a locked folder changes what is encrypted
+            if (vaultKey && wasInVault !== await isFolderInVault(updated)) {
+                await syncFolderEncryption(updated, vaultKey);
+            }
 
             return res.json({ 
                 message: "Folder moved successfully", 
-                item: updated 
+                item: updated,
+                path: await getFolderPath(updated.id, userId),
             });
         }
 
@@ -78,7 +199,7 @@ export const moveItem = async (req, res) => {
                 where: { id: itemId } 
             });
 
-            if (!file) {
+            if (!file || file.deletedAt) {
                 return res.status(404).json({ error: "File not found" });
             }
 
@@ -86,6 +207,10 @@ export const moveItem = async (req, res) => {
                 return res.status(403).json({ error: "Unauthorized" });
             }
 
+            if (!(await canAccessFile(req, file))) {
+                return res.status(403).json(vaultLockedError());
+            }
+
             // Validate target folder if provided
             let finalTargetFolderId = null;
             if (targetFolderId !== null && targetFolderId !== undefined && targetFolderId !== "") {
@@ -94,27 +219,54 @@ export const moveItem = async (req, res) => {
                     where: { id: finalTargetFolderId } 
                 });
                 
-                if (!targetFolder) {
+                if (!targetFolder || targetFolder.deletedAt) {
                     return res.status(404).json({ error: "Target folder not found" });
                 }
                 
                 if (targetFolder.userId !== userId) {
                     return res.status(403).json({ error: "Unauthorized to move to this folder" });
                 }
+
+                if (!(await canAccessFolder(req, targetFolder))) {
+                    return res.status(403).json(vaultLockedError());
+                }
+            }
+
+            const placed = await resolveNameConflict("file", {
+                userId,
+                parentId: finalTargetFolderId,
+                name: file.name,
+                policy,
+                excludeId: file.id,
+            });
+            if (placed.conflict) {
+                return res.status(409).json(nameConflictError("file", placed.conflict));
             }
+            if (placed.existing && !(await trashReplacedItem(req, res, 'file', placed.existing))) return;
 
-            const updated = await prisma.file.update({
+            const wasInVault = await isFileInVault(file);
+
+            let updated = await prisma.file.update({
                 where: { id: itemId },
-                data: { folderId: finalTargetFolderId },
+                data: { folderId: finalTargetFolderId, name: placed.name },
             });
 
+            const vaultKey = await getVaultKey(req);
+            if (vaultKey && wasInVault !== await isFileInVault(updated)) {
+                updated = await syncFileEncryption(updated, vaultKey);
+            }
+
             return res.json({ 
                 message: "File moved successfully", 
-                item: updated 
+                item: updated,
+                path: await getFolderPath(updated.folderId, userId),
             });
         }
 
     } catch (error) {
+        if (isNameTakenError(error)) {
+            return res.status(409).json(nameConflictError(req.body.type));
+        }
         console.error("Error moving item:", error);
         res.status(500).json({ error: error.message });
     }
@@ -123,12 +275,14 @@ export const moveItem = async (req, res) => {
 /**
  * Duplicate Item (File or Folder)
  * Creates a copy of an item in the target folder
+ * onConflict (when the "(Copy)" name is taken there): rename (default),
+ * fail, replace, or merge (folders: copies the contents into the existing one)
  * POST /api/items/:id/duplicate
  */
 export const duplicateItem = async (req, res) => {
     try {
         const itemId = Number(req.params.id);
-        const { type, targetFolderId } = req.body;
+        const { type, targetFolderId, onConflict } = req.body;
         const userId = req.user.id;
 
         // Validate type
@@ -136,17 +290,22 @@ export const duplicateItem = async (req, res) => {
             return res.status(400).json({ error: "Type must be 'file' or 'folder'" });
         }
 
+        const { policy, error: policyError } = parseConflictPolicy(onConflict, type, "rename");
+        if (policyError) {
+            return res.status(400).json({ error: policyError });
+        }
+
         // Handle folder duplication
         if (type === 'folder') {
             const folder = await prisma.folder.findUnique({ 
                 where: { id: itemId },
                 include: {
-                    files: true,
-                    subfolders: true
+                    files: { where: { deletedAt: null } },
+                    subfolders: { where: { deletedAt: null } }
                 }
             });
 
-            if (!folder) {
+            if (!folder || folder.deletedAt) {
                 return res.status(404).json({ error: "Folder not found" });
             }
 
@@ -154,6 +313,16 @@ export const duplicateItem = async (req, res) => {
                 return res.status(403).json({ error: "Unauthorized" });
             }
 
+            if (!(await canAccessFolder(req, folder))) {
+                return res.status(403).json(vaultLockedError());
+            }
+
+            // Locked things inside can only be copied (locked) with the vault open
+            const vaultKey = await getVaultKey(req);
+            if (!vaultKey && await hasVaultContents(folder)) {
+                return res.status(403).json(vaultLockedError());
+            }
+
             // Validate target folder if provided
             let finalTargetFolderId = null;
             if (targetFolderId !== null && targetFolderId !== undefined && targetFolderId !== "") {
@@ -162,32 +331,68 @@ export const duplicateItem = async (req, res) => {
                     where: { id: finalTargetFolderId } 
                 });
                 
-                if (!targetFolder) {
+                if (!targetFolder || targetFolder.deletedAt) {
                     return res.status(404).json({ error: "Target folder not found" });
                 }
                 
                 if (targetFolder.userId !== userId) {
                     return res.status(403).json({ error: "Unauthorized to duplicate to this folder" });
                 }
-            }
 
-            // Create duplicate folder with "(Copy)" suffix
-            const newFolder = await prisma.folder.create({
-                data: {
-                    name: `${folder.name} (Copy)`,
-                    userId: userId,
-                    parentId: finalTargetFolderId,
-                    folderColor: folder.folderColor || "blue",
-                    isLocked: false, // Duplicates are not locked
-                    isImportant: false, // Duplicates are not important
+                if (!(await canAccessFolder(req, targetFolder))) {
+                    return res.status(403).json(vaultLockedError());
                 }
+            }
+
+            const tooDeep = await checkFolderDepth(finalTargetFolderId, await getSubtreeHeight(folder.id));
+            if (tooDeep) {
+                return res.status(tooDeep.status).json({ error: tooDeep.error });
+            }
+
+            // Every file in the subtree gets copied
+            const folderIds = await getDescendantFolderIds(folder.id, { where: { deletedAt: null } });
+            const subtreeSize = await prisma.file.aggregate({
+                where: { folderId: { in: folderIds }, userId, deletedAt: null },
+                _sum: { size: true },
+            });
+            const copySize = subtreeSize._sum.size || 0;
+            const quota = await checkQuota(userId, copySize);
+            if (!quota.allowed) {
+                return res.status(413).json(quotaExceededError(quota));
+            }
+
+            const placed = await resolveNameConflict("folder", {
+                userId,
+                parentId: finalTargetFolderId,
+                name: getCopyName("folder", folder.name),
+                policy,
             });
+            if (placed.conflict) {
+                return res.status(409).json(nameConflictError("folder", placed.conflict));
+            }
+
+            let mergeInto = null;
+            if (placed.existing && policy === 'merge') {
+                if (!(await canAccessFolder(req, placed.existing))) {
+                    return res.status(403).json(vaultLockedError());
+                }
+                mergeInto = placed.existing;
+            } else if (placed.existing && !(await trashReplacedItem(req, res, 'folder', placed.existing, folder))) {
+                return;
+            }
 
-            // Recursively duplicate subfolders and files
-            await duplicateFolderContents(folder.id, newFolder.id, userId);
+            // Checked again while copying, against other writes happening at the same time
+            const copied = await withQuota(userId, copySize, () => duplicateFolderRecord(folder, finalTargetFolderId, userId, vaultKey, {
+                name: placed.name,
+                into: mergeInto,
+            }));
+            if (!copied.quota.allowed) {
+                return res.status(413).json(quotaExceededError(copied.quota));
+            }
+            const newFolder = copied.result;
 
             return res.json({ 
-                message: "Folder duplicated successfully", 
+                message: mergeInto ? "Folder merged successfully" : "Folder duplicated successfully", 
                 item: newFolder 
             });
         }
@@ -198,7 +403,7 @@ export const duplicateItem = async (req, res) => {
                 where: { id: itemId } 
             });
 
-            if (!file) {
+            if (!file || file.deletedAt) {
                 return res.status(404).json({ error: "File not found" });
             }
 
@@ -206,6 +411,10 @@ export const duplicateItem = async (req, res) => {
                 return res.status(403).json({ error: "Unauthorized" });
             }
 
+            if (!(await canAccessFile(req, file))) {
+                return res.status(403).json(vaultLockedError());
+            }
+
             // Validate target folder if provided
             let finalTargetFolderId = null;
             if (targetFolderId !== null && targetFolderId !== undefined && targetFolderId !== "") {
@@ -214,40 +423,43 @@ export const duplicateItem = async (req, res) => {
                     where: { id: finalTargetFolderId } 
                 });
                 
-                if (!targetFolder) {
+                if (!targetFolder || targetFolder.deletedAt) {
                     return res.status(404).json({ error: "Target folder not found" });
                 }
                 
                 if (targetFolder.userId !== userId) {
                     return res.status(403).json({ error: "Unauthorized to duplicate to this folder" });
                 }
-            }
 
-            // Copy the physical file
-            const sourcePath = path.join(__dirname, '..', file.url);
-            const fileExtension = path.extname(file.name);
-            const fileNameWithoutExt = path.basename(file.name, fileExtension);
-            const newFileName = `${fileNameWithoutExt} (Copy)${fileExtension}`;
-            const uploadsDir = path.join(__dirname, '..', 'uploads');
-            const newFilePath = path.join(uploadsDir, `${Date.now()}-${newFileName}`);
-            const newFileUrl = `/uploads/${path.basename(newFilePath)}`;
-
-            // Copy file if it exists
-            if (fs.existsSync(sourcePath)) {
-                fs.copyFileSync(sourcePath, newFilePath);
-            }
-
-            // Create duplicate file record
-            const newFile = await prisma.file.create({
-                data: {
-                    name: newFileName,
-                    url: newFileUrl,
-                    size: file.size,
-                    mimetype: file.mimetype,
-                    folderId: finalTargetFolderId,
-                    userId: userId,
+                if (!(await canAccessFolder(req, targetFolder))) {
+                    return res.status(403).json(vaultLockedError());
                 }
+            }
+
+            const quota = await checkQuota(userId, file.size);
+            if (!quota.allowed) {
+                return res.status(413).json(quotaExceededError(quota));
+            }
+
+            const placed = await resolveNameConflict("file", {
+                userId,
+                parentId: finalTargetFolderId,
+                name: getCopyName("file", file.name),
+                policy,
             });
+            if (placed.conflict) {
+                return res.status(409).json(nameConflictError("file", placed.conflict));
+            }
+            if (placed.existing && !(await trashReplacedItem(req, res, 'file', placed.existing))) return;
+
+            const vaultKey = await getVaultKey(req);
+            const copied = await withQuota(userId, file.size, () =>
+                duplicateFileRecord(file, finalTargetFolderId, userId, vaultKey, placed.name)
+            );
+            if (!copied.quota.allowed) {
+                return res.status(413).json(quotaExceededError(copied.quota));
+            }
+            const newFile = copied.result;
 
             return res.json({ 
                 message: "File duplicated successfully", 
@@ -256,71 +468,114 @@ export const duplicateItem = async (req, res) => {
         }
 
     } catch (error) {
+        if (isNameTakenError(error)) {
+            return res.status(409).json(nameConflictError(req.body.type));
+        }
         console.error("Error duplicating item:", error);
         res.status(500).json({ error: error.message });
     }
 };
 
 /**
- * Helper function to recursively duplicate folder contents
+ * Helper function to create a "(Copy)" of a file record (numbered when that
+ * name is taken, unless name is given).
+ * The copy shares the original's stored content instead of copying the bytes
+ * (encrypted content is decrypted, and encrypted again when the copy lands
+ * in the vault; both need vaultKey).
+ */
+async function duplicateFileRecord(file, folderId, userId, vaultKey, name = null) {
+    const newFileName = name || await getAvailableName("file", { userId, parentId: folderId, name: getCopyName("file", file.name) });
+
+    // Records whose content was never stored are copied as they are
+    const key = getStorageKey(file.url);
+    const content = file.contentHash || (key && await getStorage().exists(key))
+        ? await shareContent(file, { vaultKey })
+        : { url: file.url, size: file.size, mimetype: file.mimetype, contentHash: null };
+
+    let copy;
+    try {
+        copy = await createFileWithVersion({
+            ...content,
+            name: newFileName,
+            folderId: folderId,
+            userId: userId,
+            isLocked: !!vaultKey && file.isLocked,
+        });
+    } catch (error) {
+        if (content.contentHash) await releaseBlob(content.contentHash);
+        throw error;
+    }
+
+    return vaultKey && await isFileInVault(copy) ? encryptFileContent(copy, vaultKey) : copy;
+}
+
+/**
+ * Helper function to copy a folder and everything in it under parentId,
+ * called name (or into an existing folder, when merging).
+ * Locked folders and files stay locked in the copy; callers check with
+ * hasVaultContents that vaultKey is there when the subtree has any.
+ * Returns the folder the contents were copied into.
+ */
+async function duplicateFolderRecord(folder, parentId, userId, vaultKey, { name, into = null }) {
+    // Create the duplicate folder (not important)
+    const newFolder = into || await prisma.folder.create({
+        data: {
+            name,
+            userId: userId,
+            parentId,
+            folderColor: folder.folderColor || "blue",
+            isLocked: !!vaultKey && folder.isLocked,
+            isImportant: false, // Duplicates are not important
+        }
+    });
+
+    // Recursively duplicate subfolders and files (the copy may sit
+    // inside the folder being copied, so it is skipped)
+    await duplicateFolderContents(folder.id, newFolder.id, userId, vaultKey, new Set([newFolder.id]));
+    return newFolder;
+}
+
+/**
+ * Helper function to recursively duplicate folder contents.
+ * Folders in `created` (the copies made so far) are never copied again.
  */
-async function duplicateFolderContents(sourceFolderId, targetFolderId, userId) {
+async function duplicateFolderContents(sourceFolderId, targetFolderId, userId, vaultKey, created) {
     // Get all files in source folder
     const files = await prisma.file.findMany({
-        where: { folderId: sourceFolderId, userId: userId }
+        where: { folderId: sourceFolderId, userId: userId, deletedAt: null }
     });
 
     // Duplicate all files
     for (const file of files) {
-        const sourcePath = path.join(__dirname, '..', file.url);
-        const fileExtension = path.extname(file.name);
-        const fileNameWithoutExt = path.basename(file.name, fileExtension);
-        const newFileName = `${fileNameWithoutExt} (Copy)${fileExtension}`;
-        const uploadsDir = path.join(__dirname, '..', 'uploads');
-        const newFilePath = path.join(uploadsDir, `${Date.now()}-${newFileName}`);
-        const newFileUrl = `/uploads/${path.basename(newFilePath)}`;
-
-        if (fs.existsSync(sourcePath)) {
-            fs.copyFileSync(sourcePath, newFilePath);
-        }
-
-        await prisma.file.create({
-            data: {
-                name: newFileName,
-                url: newFileUrl,
-                size: file.size,
-                mimetype: file.mimetype,
-                folderId: targetFolderId,
-                userId: userId,
-            }
-        });
+        await duplicateFileRecord(file, targetFolderId, userId, vaultKey);
     }
 
     // Get all subfolders
     const subfolders = await prisma.folder.findMany({
-        where: { parentId: sourceFolderId, userId: userId }
+        where: { parentId: sourceFolderId, userId: userId, deletedAt: null, id: { notIn: [...created] } }
     });
 
     // Recursively duplicate subfolders
     for (const subfolder of subfolders) {
         const newSubfolder = await prisma.folder.create({
             data: {
-                name: `${subfolder.name} (Copy)`,
+                name: await getAvailableName("folder", { userId, parentId: targetFolderId, name: getCopyName("folder", subfolder.name) }),
                 userId: userId,
                 parentId: targetFolderId,
                 folderColor: subfolder.folderColor || "blue",
-                isLocked: false,
+                isLocked: !!vaultKey && subfolder.isLocked,
                 isImportant: false,
             }
         });
+        created.add(newSubfolder.id);
 
-        await duplicateFolderContents(subfolder.id, newSubfolder.id, userId);
+        await duplicateFolderContents(subfolder.id, newSubfolder.id, userId, vaultKey, created);
     }
 }
 
 /**
  * Delete Item (File or Folder)
- * Deletes an item permanently
+ * Moves an item to the trash (restore or purge via /api/trash)
  * DELETE /api/items/:id
  */
 export const deleteItem = async (req, res) => {
@@ -340,7 +595,7 @@ export const deleteItem = async (req, res) => {
                 where: { id: itemId } 
             });
 
-            if (!folder) {
+            if (!folder || folder.deletedAt) {
                 return res.status(404).json({ error: "Folder not found" });
             }
 
@@ -348,10 +603,14 @@ export const deleteItem = async (req, res) => {
                 return res.status(403).json({ error: "Unauthorized" });
             }
 
-            // Delete folder (cascade will handle subfolders and files)
-            await prisma.folder.delete({ where: { id: itemId } });
+            if (!(await canAccessFolder(req, folder))) {
+                return res.status(403).json(vaultLockedError());
+            }
+
+            // Trash folder along with its subfolders and files
+            await moveFolderToTrash(folder);
 
-            return res.json({ message: "Folder deleted successfully" });
+            return res.json({ message: "Folder moved to trash" });
         }
 
         // Handle file deletion
@@ -360,7 +619,7 @@ export const deleteItem = async (req, res) => {
                 where: { id: itemId } 
             });
 
-            if (!file) {
+            if (!file || file.deletedAt) {
                 return res.status(404).json({ error: "File not found" });
             }
 
@@ -368,21 +627,13 @@ export const deleteItem = async (req, res) => {
                 return res.status(403).json({ error: "Unauthorized" });
             }
 
-            // Delete physical file if it exists
-            const filePath = path.join(__dirname, '..', file.url);
-            if (fs.existsSync(filePath)) {
-                try {
-                    fs.unlinkSync(filePath);
-                } catch (err) {
-                    console.error("Error deleting physical file:", err);
-                    // Continue with database deletion even if file deletion fails
-                }
+            if (!(await canAccessFile(req, file))) {
+                return res.status(403).json(vaultLockedError());
             }
 
-            // Delete file record
-            await prisma.file.delete({ where: { id: itemId } });
+            await moveFileToTrash(file);
 
-            return res.json({ message: "File deleted successfully" });
+            return res.json({ message: "File moved to trash" });
         }
 
     } catch (error) {
@@ -391,53 +642,127 @@ export const deleteItem = async (req, res) => {
     }
 };
 
+// Look up the file or folder in req.params.id (type from ?type=) and make
+// sure its owner may share it.
+// Sends the error response itself and returns null when it can't be shared.
+async function loadShareableItem(req, res) {
+    const itemId = Number(req.params.id);
+    const { type } = req.query;
+
+    // Validate type
+    if (!type || !['file', 'folder'].includes(type)) {
+        res.status(400).json({ error: "Type query parameter must be 'file' or 'folder'" });
+        return null;
+    }
+
+    if (!Number.isInteger(itemId)) {
+        res.status(400).json({ error: "Item id must be a number" });
+        return null;
+    }
+
+    let item;
+    if (type === 'folder') {
+        item = await prisma.folder.findUnique({ 
+            where: { id: itemId } 
+        });
+    } else {
+        item = await prisma.file.findUnique({ 
+            where: { id: itemId } 
+        });
+    }
+
+    if (!item || item.deletedAt) {
+        res.status(404).json({ error: `${type} not found` });
+        return null;
+    }
+
+    if (item.userId !== req.user.id) {
+        res.status(403).json({ error: "Unauthorized" });
+        return null;
+    }
+
+    // Locked items (and anything inside a locked folder) stay private
+    const inVault = type === 'folder' ? await isFolderInVault(item) : await isFileInVault(item);
+    if (inVault) {
+        res.status(403).json({ error: `Locked ${type}s cannot be shared` });
+        return null;
+    }
+
+    return { type, item };
+}
+
 /**
- * Share Item (File or Folder)
- * Generates a shareable link for an item
- * GET /api/items/:id/share
+ * List an item's active share links (creates nothing)
+ * GET /api/items/:id/shares?type=file|folder
  */
-export const shareItem = async (req, res) => {
+export const listItemShares = async (req, res) => {
     try {
-        const itemId = Number(req.params.id);
-        const { type } = req.query; // Get type from query parameter
-        const userId = req.user.id;
+        const shareable = await loadShareableItem(req, res);
+        if (!shareable) return;
+        const { type, item } = shareable;
 
-        // Validate type
-        if (!type || !['file', 'folder'].includes(type)) {
-            return res.status(400).json({ error: "Type query parameter must be 'file' or 'folder'" });
-        }
+        const shares = await findActiveShares({ userId: req.user.id, itemType: type, itemId: item.id });
 
-        // Generate a unique share token
-        const shareToken = crypto.randomBytes(32).toString('hex');
-        const shareLink = `${req.protocol}://${req.get('host')}/share/${shareToken}`;
+        return res.json({
+            shares: shares.map((share) => formatShare(req, share)),
+            item: {
+                id: item.id,
+                name: item.name,
+                type: type
+            }
+        });
 
-        // Store share token (you might want to create a Share model in Prisma for this)
-        // For now, we'll return the share link directly
-        // In a production app, you'd store this in a database with expiration dates
+    } catch (error) {
+        console.error("Error listing item shares:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
 
-        let item;
-        if (type === 'folder') {
-            item = await prisma.folder.findUnique({ 
-                where: { id: itemId } 
-            });
-        } else {
-            item = await prisma.file.findUnique({ 
-                where: { id: itemId } 
-            });
-        }
+/**
+ * Share Item (File or Folder)
+ * Generates a persisted shareable link for an item
+ * GET /api/items/:id/share (defaults) or POST /api/items/:id/share (with options)
+ * Options: expiresInDays (0 = never expires), password, maxDownloads
+ */
+export const shareItem = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { expiresInDays, password, maxDownloads } = req.body || {};
 
-        if (!item) {
-            return res.status(404).json({ error: `${type} not found` });
+        let finalExpiresInDays;
+        if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== "") {
+            finalExpiresInDays = Number(expiresInDays);
+            if (!Number.isInteger(finalExpiresInDays) || finalExpiresInDays < 0 || finalExpiresInDays > MAX_SHARE_EXPIRY_DAYS) {
+                return res.status(400).json({ error: `expiresInDays must be a whole number between 0 and ${MAX_SHARE_EXPIRY_DAYS}` });
+            }
         }
 
-        if (item.userId !== userId) {
-            return res.status(403).json({ error: "Unauthorized" });
+        let finalMaxDownloads = null;
+        if (maxDownloads !== undefined && maxDownloads !== null && maxDownloads !== "") {
+            finalMaxDownloads = Number(maxDownloads);
+            if (!Number.isInteger(finalMaxDownloads) || finalMaxDownloads < 1) {
+                return res.status(400).json({ error: "maxDownloads must be a positive whole number" });
+            }
         }
 
+        const shareable = await loadShareableItem(req, res);
+        if (!shareable) return;
+        const { type, item } = shareable;
+
+        const share = await createShare({
+            userId,
+            itemType: type,
+            itemId: item.id,
+            expiresInDays: finalExpiresInDays,
+            password: typeof password === "string" && password.trim() ? password.trim() : null,
+            maxDownloads: finalMaxDownloads,
+        });
+
         return res.json({ 
             message: "Share link generated successfully",
-            shareLink: shareLink,
-            shareToken: shareToken,
+            shareLink: buildShareLink(req, share.token),
+            shareToken: share.token,
+            share: formatShare(req, share),
             item: {
                 id: item.id,
                 name: item.name,
@@ -451,27 +776,440 @@ export const shareItem = async (req, res) => {
     }
 };
 
+const BATCH_ACTIONS = ['move', 'duplicate', 'delete', 'lock', 'markImportant', 'assignCategory'];
+const MAX_BATCH_ITEMS = Number(process.env.MAX_BATCH_ITEMS) || 500;
+const BATCH_TIMEOUT_MS = 60000;
 
+// Thrown inside the batch transaction to roll it back because of one item
+class BatchItemError extends Error {
+    constructor(entry, status, message) {
+        super(message);
+        this.entry = entry;
+        this.status = status;
+    }
+}
 
+// Read the items of a batch request: [{ id, type }], repeats dropped.
+// Returns the list or { error }.
+function parseBatchItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: "items must be a non-empty array of { id, type }" };
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+        return { error: `A batch can hold at most ${MAX_BATCH_ITEMS} items` };
+    }
 
+    const seen = new Set();
+    const parsed = [];
+    for (const item of items) {
+        const id = Number(item?.id);
+        if (!Number.isInteger(id) || id < 1 || !['file', 'folder'].includes(item?.type)) {
+            return { error: "Every item needs a numeric id and a type of 'file' or 'folder'" };
+        }
+        if (seen.has(`${item.type}:${id}`)) continue;
+        seen.add(`${item.type}:${id}`);
+        parsed.push({ id, type: item.type });
+    }
+    return parsed;
+}
 
+// Check the options of a batch action; sends the error response and returns
+// null when they are not usable, otherwise the options to run with
+async function resolveBatchOptions(req, res, action) {
+    const userId = req.user.id;
+    const { targetFolderId, onConflict, important, categoryId } = req.body;
+    const options = { vaultKey: await getVaultKey(req) };
+
+    if (action === 'move' || action === 'duplicate') {
+        // Replacing and merging can't be undone with the rest of a batch
+        options.onConflict = onConflict || 'rename';
+        if (!['rename', 'fail'].includes(options.onConflict)) {
+            res.status(400).json({ error: "onConflict must be 'rename' or 'fail' for batch operations" });
+            return null;
+        }
 
+        options.targetId = null;
+        if (targetFolderId !== null && targetFolderId !== undefined && targetFolderId !== "") {
+            const targetFolder = await prisma.folder.findUnique({
+                where: { id: Number(targetFolderId) || 0 }
+            });
 
+            if (!targetFolder || targetFolder.deletedAt) {
+                res.status(404).json({ error: "Target folder not found" });
+                return null;
+            }
+            if (targetFolder.userId !== userId) {
+                res.status(403).json({ error: `Unauthorized to ${action} to this folder` });
+                return null;
+            }
+            if (!(await canAccessFolder(req, targetFolder))) {
+                res.status(403).json(vaultLockedError());
+                return null;
+            }
+            options.targetId = targetFolder.id;
+        }
+    }
 
+    // Locked content is encrypted with the vault's key
+    if (action === 'lock' && !options.vaultKey) {
+        res.status(403).json(vaultLockedError());
+        return null;
+    }
 
+    if (action === 'markImportant') {
+        options.important = important === undefined || important === true || important === "true";
+    }
 
+    if (action === 'assignCategory') {
+        options.categoryId = null; // clears the category
+        if (categoryId !== null && categoryId !== undefined && categoryId !== "") {
+            const category = await prisma.category.findUnique({ where: { id: Number(categoryId) || 0 } });
+            if (!category) {
+                res.status(404).json({ error: "Category not found" });
+                return null;
+            }
+            if (category.userId !== null && category.userId !== userId) {
+                res.status(403).json({ error: "Unauthorized to use this category" });
+                return null;
+            }
+            options.categoryId = category.id;
+        }
+    }
 
+    return options;
+}
 
+// What applying action to one item would do: {} to go ahead, { name } for
+// the name it ends up with, { skip } (reason) when there is nothing to do,
+// or { error, status } when it can't be done
+async function planBatchItem(action, { type, row }, options, { batchFolderIds, reserved }) {
+    switch (action) {
+        case 'move':
+        case 'duplicate': {
+            if (type === 'folder') {
+                const invalid = action === 'move'
+                    ? await checkFolderMove(row.id, options.targetId)
+                    : await checkFolderDepth(options.targetId, await getSubtreeHeight(row.id));
+                if (invalid) return invalid;
+
+                // Locked things inside can only be copied (locked) with the vault open
+                if (action === 'duplicate' && !options.vaultKey && await hasVaultContents(row)) {
+                    return { status: 403, ...vaultLockedError() };
+                }
+            }
 
+            // Names given to earlier items of the batch count as taken
+            const name = action === 'move' ? row.name : getCopyName(type, row.name);
+            const excludeId = action === 'move' ? row.id : null;
+            const sibling = { userId: row.userId, parentId: options.targetId, name, excludeId };
+            const existing = await findSibling(type, sibling);
+            if (!existing && !reserved[type].has(name)) {
+                reserved[type].add(name);
+                return { name };
+            }
 
+            if (options.onConflict === 'fail') {
+                return { status: 409, ...nameConflictError(type, existing) };
+            }
+            const available = await getAvailableName(type, { ...sibling, reserved: reserved[type] });
+            reserved[type].add(available);
+            return { name: available };
+        }
 
+        case 'delete': {
+            // Trashing a folder of the batch takes everything inside it along
+            const parentId = type === 'folder' ? row.parentId : row.folderId;
+            const container = parentId && (await getAncestors(parentId)).find((folder) => batchFolderIds.has(folder.id));
+            return container ? { skip: `Deleted along with folder ${container.id}` } : {};
+        }
 
+        case 'lock':
+            return row.isLocked ? { skip: "Already locked" } : {};
 
+        case 'markImportant':
+            return type === 'folder' ? {} : { status: 400, error: "Only folders can be marked important" };
 
+        case 'assignCategory':
+            return type === 'file' ? {} : { status: 400, error: "Categories can only be assigned to files" };
+    }
+}
 
+// Check every item of a batch, in request order. Returns one entry per item:
+// { id, type, row } plus what planBatchItem found.
+async function planBatch(req, action, items, options) {
+    const userId = req.user.id;
+    const idsOf = (type) => items.filter((item) => item.type === type).map((item) => item.id);
+
+    const [files, folders] = await Promise.all([
+        prisma.file.findMany({ where: { id: { in: idsOf('file') } } }),
+        prisma.folder.findMany({ where: { id: { in: idsOf('folder') } } }),
+    ]);
+    const rows = {
+        file: new Map(files.map((file) => [file.id, file])),
+        folder: new Map(folders.map((folder) => [folder.id, folder])),
+    };
+    const context = {
+        batchFolderIds: new Set(idsOf('folder')),
+        reserved: { file: new Set(), folder: new Set() },
+    };
+
+    const planned = [];
+    for (const { id, type } of items) {
+        const row = rows[type].get(id);
+        const entry = { id, type, row };
+        planned.push(entry);
+
+        if (!row || row.deletedAt) {
+            Object.assign(entry, { status: 404, error: `${type === 'folder' ? "Folder" : "File"} not found` });
+            continue;
+        }
+        if (row.userId !== userId) {
+            Object.assign(entry, { status: 403, error: "Unauthorized" });
+            continue;
+        }
+        const canAccess = type === 'folder' ? await canAccessFolder(req, row) : await canAccessFile(req, row);
+        if (!canAccess) {
+            Object.assign(entry, { status: 403, ...vaultLockedError() });
+            continue;
+        }
 
+        Object.assign(entry, await planBatchItem(action, entry, options, context));
+    }
+    return planned;
+}
 
+// Bytes a batch duplicate would add (every live file below the folders too)
+async function getBatchCopySize(planned, userId) {
+    let bytes = 0;
+    for (const entry of planned) {
+        if (entry.error) continue;
+        if (entry.type === 'file') {
+            bytes += entry.row.size;
+            continue;
+        }
+        const folderIds = await getDescendantFolderIds(entry.row.id, { where: { deletedAt: null } });
+        const subtreeSize = await prisma.file.aggregate({
+            where: { folderId: { in: folderIds }, userId, deletedAt: null },
+            _sum: { size: true },
+        });
+        bytes += subtreeSize._sum.size || 0;
+    }
+    return bytes;
+}
 
+// Update an item unless it was trashed since the batch was checked
+async function updateBatchItem(tx, entry, data) {
+    const delegate = entry.type === 'folder' ? tx.folder : tx.file;
+    const updated = await delegate.updateMany({ where: { id: entry.id, deletedAt: null }, data });
+    if (updated.count === 0) {
+        throw new BatchItemError(entry, 409, `${entry.type === 'folder' ? "Folder" : "File"} was deleted meanwhile`);
+    }
+    return delegate.findUnique({ where: { id: entry.id } });
+}
+
+// Apply action to one planned item inside the batch transaction
+async function applyBatchItem(tx, action, entry, options) {
+    const { type, row } = entry;
+
+    switch (action) {
+        case 'move':
+            if (type === 'folder') {
+                // Checked again now that other moves are held off
+                const invalid = await checkFolderMove(row.id, options.targetId, tx);
+                if (invalid) throw new BatchItemError(entry, invalid.status, invalid.error);
+                return updateBatchItem(tx, entry, { parentId: options.targetId, name: entry.name });
+            }
+            return updateBatchItem(tx, entry, { folderId: options.targetId, name: entry.name });
+
+        case 'delete':
+            if (type === 'folder') {
+                await moveFolderToTrash(row, tx);
+                return null;
+            }
+            return moveFileToTrash(row, tx);
+
+        case 'lock':
+            return updateBatchItem(tx, entry, { isLocked: true });
+
+        case 'markImportant':
+            return updateBatchItem(tx, entry, { isImportant: options.important });
+
+        case 'assignCategory':
+            return updateBatchItem(tx, entry, { categoryId: options.categoryId });
+    }
+}
+
+// Run every action but duplicate in one transaction, then bring encryption
+// in step with items that went into (or out of) the vault
+async function runBatchTransaction(req, action, planned, options) {
+    const entries = planned.filter((entry) => !entry.skip);
+    const wasInVault = new Map();
+    if (action === 'move') {
+        for (const entry of entries) {
+            wasInVault.set(entry, entry.type === 'folder' ? await isFolderInVault(entry.row) : await isFileInVault(entry.row));
+        }
+    }
+
+    await prisma.$transaction(async (tx) => {
+        if (action === 'move') await lockFolderMoves(tx, req.user.id);
+        for (const entry of entries) {
+            entry.item = await applyBatchItem(tx, action, entry, options);
+        }
+    }, { timeout: BATCH_TIMEOUT_MS });
+
+    if (!options.vaultKey || !['move', 'lock'].includes(action)) return;
 
+    for (const entry of entries) {
+        const inVault = entry.type === 'folder' ? await isFolderInVault(entry.item) : await isFileInVault(entry.item);
+        if (action === 'move' && inVault === wasInVault.get(entry)) continue;
 
+        if (entry.type === 'folder') {
+            await syncFolderEncryption(entry.item, options.vaultKey);
+        } else {
+            entry.item = await syncFileEncryption(entry.item, options.vaultKey);
+        }
+    }
+}
+
+// Copy the items one by one (copies store content, so they can't share a
+// transaction), stopping at the first failure. Returns the failed entry.
+async function runBatchDuplicate(req, planned, options) {
+    const userId = req.user.id;
+    let failed = null;
+
+    for (const entry of planned) {
+        if (failed) {
+            entry.skip = "Not copied after an earlier item failed";
+            continue;
+        }
+        try {
+            entry.item = entry.type === 'folder'
+                ? await duplicateFolderRecord(entry.row, options.targetId, userId, options.vaultKey, { name: entry.name })
+                : await duplicateFileRecord(entry.row, options.targetId, userId, options.vaultKey, entry.name);
+        } catch (error) {
+            console.error(`Error duplicating ${entry.type} ${entry.id}:`, error);
+            failed = entry;
+            Object.assign(entry, isNameTakenError(error)
+                ? { status: 409, ...nameConflictError(entry.type) }
+                : { status: 500, error: error.message });
+        }
+    }
+    return failed;
+}
+
+// What the response says about one item
+function formatBatchResult({ id, type, name, skip, error, code, item }) {
+    return {
+        id,
+        type,
+        status: error ? "error" : skip ? "skipped" : "ok",
+        ...(!error && !skip && name !== undefined && { name }),
+        ...(skip && { reason: skip }),
+        ...(error && { error }),
+        ...(code && { code }),
+        ...(item && { item }),
+    };
+}
 
+/**
+ * Batch Items (multi-select)
+ * Applies one action to many files and folders
+ * Body: { items: [{ id, type }], action, dryRun }, plus for the action:
+ * - move, duplicate: targetFolderId (empty for the top level),
+ *   onConflict: rename (default) or fail
+ * - delete, lock: nothing
+ * - markImportant (folders): important (default true)
+ * - assignCategory (files): categoryId (empty clears it)
+ * Every item is checked first and nothing changes unless all of them pass
+ * (422 with the per-item results otherwise). Changes then run in a single
+ * transaction, except duplicates, which copy item by item and stop at the
+ * first failure. Items inside a folder of the same delete, and files that
+ * are already locked, are skipped. dryRun only runs the checks.
+ * POST /api/items/batch
+ */
+export const batchItems = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { action, dryRun } = req.body || {};
+
+        if (!BATCH_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `action must be one of: ${BATCH_ACTIONS.join(", ")}` });
+        }
+
+        const items = parseBatchItems(req.body.items);
+        if (items.error) {
+            return res.status(400).json({ error: items.error });
+        }
+
+        const options = await resolveBatchOptions(req, res, action);
+        if (!options) return;
+
+        const planned = await planBatch(req, action, items, options);
+        const failures = planned.filter((entry) => entry.error);
+        if (failures.length > 0) {
+            return res.status(422).json({
+                error: `${failures.length} of ${planned.length} item(s) can't be processed; nothing was changed`,
+                results: planned.map(formatBatchResult),
+            });
+        }
+
+        const copySize = action === 'duplicate' ? await getBatchCopySize(planned, userId) : 0;
+        if (action === 'duplicate') {
+            const quota = await checkQuota(userId, copySize);
+            if (!quota.allowed) {
+                return res.status(413).json(quotaExceededError(quota));
+            }
+        }
+
+        if (dryRun === true || dryRun === "true") {
+            return res.json({
+                message: "Dry run: every item can be processed",
+                action,
+                dryRun: true,
+                results: planned.map(formatBatchResult),
+            });
+        }
+
+        if (action === 'duplicate') {
+            // Checked again while copying, against other writes happening at the same time
+            const copied = await withQuota(userId, copySize, () => runBatchDuplicate(req, planned, options));
+            if (!copied.quota.allowed) {
+                return res.status(413).json(quotaExceededError(copied.quota));
+            }
+            const failed = copied.result;
+            if (failed) {
+                return res.status(failed.status).json({
+                    error: `Duplicating stopped at ${failed.type} ${failed.id}: ${failed.error}`,
+                    action,
+                    results: planned.map(formatBatchResult),
+                });
+            }
+        } else {
+            try {
+                await runBatchTransaction(req, action, planned, options);
+            } catch (error) {
+                if (!(error instanceof BatchItemError)) throw error;
+                return res.status(error.status).json({
+                    error: `${error.message} (${error.entry.type} ${error.entry.id}); nothing was changed`,
+                });
+            }
+        }
+
+        const done = planned.filter((entry) => !entry.skip).length;
+        return res.json({
+            message: `${done} item(s) processed, ${planned.length - done} skipped`,
+            action,
+            results: planned.map(formatBatchResult),
+        });
+
+    } catch (error) {
+        if (isNameTakenError(error)) {
+            return res.status(409).json({
+                error: "An item with one of these names already exists there; nothing was changed",
+                code: "NAME_CONFLICT",
+            });
+        }
+        console.error("Error running batch:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
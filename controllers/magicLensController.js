@@ -7,6 +7,11 @@ import {
   DOC_TYPE_PATTERNS, extractConcepts, detectDocType, extractPurpose,
   preprocessText, extractProblemSummaries
 } from "../utils/summaryHelpers.js";
+import { getFileVersion, getVersionPages, saveVersionAnalysis } from "../utils/fileVersionService.js";
+import { registerJobHandler, getJob, PermanentJobError } from "../utils/jobQueue.js";
+import { MAGIC_LENS_JOB, enqueueAnalysis, autoAssignCategory } from "../utils/magicLensService.js";
+import { getStorage, getStorageKey } from "../utils/storage.js";
+import { canAccessFile, isFileInVault, vaultLockedError } from "../utils/vaultService.js";
 
 // Dynamic import for pdf-parse v2.4.5 (uses PDFParse class)
 let PDFParseClass = null;
@@ -56,53 +61,137 @@ if (!fs.existsSync(tempDir)) {
   fs.mkdirSync(tempDir, { recursive: true });
 }
 
-// Extract text from PDF - OPTIMIZED
-async function extractFromPDF(filePath) {
+// OCR settings: pages past OCR_MAX_PAGES of a scanned PDF are skipped, and
+// OCR_LANGUAGES is the Tesseract language code(s) used when a request doesn't
+// name one (e.g. "eng" or "eng+hin")
+const OCR_MAX_PAGES = Number(process.env.OCR_MAX_PAGES) || 20;
+const DEFAULT_OCR_LANGUAGE = process.env.OCR_LANGUAGES || "eng";
+const OCR_LANGUAGE_PATTERN = /^[a-z_]{3,10}(\+[a-z_]{3,10})*$/i;
+
+// Validate a requested OCR language; falls back to the default when absent
+// and returns null when it isn't a Tesseract language code
+function parseOcrLanguage(value) {
+  if (value === undefined || value === null || value === "") return DEFAULT_OCR_LANGUAGE;
+  return typeof value === "string" && OCR_LANGUAGE_PATTERN.test(value.trim()) ? value.trim() : null;
+}
+
+// Join page texts into one string, recording where each page sits in it
+// as [{ page, start, end }]
+function joinPages(pageTexts) {
+  let text = "";
+  const pages = [];
+
+  pageTexts.forEach((pageText, index) => {
+    // Postgres text columns reject NUL bytes; strip them before offsets are taken
+    const clean = (pageText || "").replace(/\u0000/g, "").trim();
+    if (text && clean) text += "\n\n";
+    pages.push({ page: index + 1, start: text.length, end: text.length + clean.length });
+    text += clean;
+  });
+
+  return { text, pages };
+}
+
+// OCR the given pages (0-based) of a PDF. Returns Map(pageIndex -> text).
+async function ocrPdfPages(filePath, pageIndexes, tesseract, { onProgress, language }) {
+  const pdf2pic = (await import("pdf2pic")).default;
+  const convert = pdf2pic.fromPath(filePath, {
+    density: 300,
+    // Unique per call so concurrent analyses don't overwrite each other's images
+    saveFilename: `page-${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+    savePath: tempDir,
+    format: "png",
+  });
+
+  const texts = new Map();
+  let done = 0;
+  const worker = await tesseract.createWorker(language, 1, {
+    logger: (m) => {
+      if (m.status === "recognizing text" && onProgress) {
+        onProgress((done + m.progress) / pageIndexes.length);
+      }
+    },
+  });
+
+  try {
+    for (const index of pageIndexes) {
+      try {
+        const pageImage = await convert(index + 1, { responseType: "image" });
+        try {
+          const { data: { text } } = await worker.recognize(pageImage.path);
+          texts.set(index, text || "");
+        } finally {
+          try { fs.unlinkSync(pageImage.path); } catch (e) {}
+        }
+      } catch (ocrError) {
+        console.error(`PDF OCR error on page ${index + 1}:`, ocrError);
+      }
+
+      done++;
+      if (onProgress) onProgress(done / pageIndexes.length);
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  return texts;
+}
+
+// Extract text from PDF page by page - OPTIMIZED
+// Pages without a text layer (scans) are OCR'd, up to OCR_MAX_PAGES of them.
+// Returns { text, pages } where pages holds each page's offsets into text.
+async function extractFromPDF(filePath, { onProgress, language = DEFAULT_OCR_LANGUAGE } = {}) {
+  const empty = { text: "", pages: null };
+
   if (!fs.existsSync(filePath)) {
     console.error(`PDF not found: ${filePath}`);
-    return "";
+    return empty;
   }
   
   try {
     const pdf = await loadPdfParse();
-    if (!pdf || pdf === false) return "";
+    if (!pdf || pdf === false) return empty;
     
     const dataBuffer = fs.readFileSync(filePath);
     const parser = new pdf({ data: dataBuffer });
     const result = await parser.getText();
-    
-    if (result?.text?.trim()) {
-      return result.text.trim();
+
+    const pageTexts = [...(result?.pages || [])]
+      .sort((a, b) => a.num - b.num)
+      .map((page) => page.text || "");
+
+    if (pageTexts.length === 0) {
+      return result?.text?.trim() ? { text: result.text.trim(), pages: null } : empty;
     }
-    
-    // Try OCR for image-based PDFs
-    const tesseract = await loadTesseract();
-    if (tesseract && tesseract !== false) {
-      try {
-        const pdf2pic = (await import("pdf2pic")).default;
-        const convert = pdf2pic.fromPath(filePath, {
-          density: 300,
-          saveFilename: "page",
-          savePath: tempDir,
-          format: "png",
-        });
-        
-        const pageImage = await convert(1, { responseType: "image" });
-        const { data: { text } } = await tesseract.recognize(pageImage.path, "eng");
-        
-        try { fs.unlinkSync(pageImage.path); } catch (e) {}
-        
-        return text?.trim() || "";
-      } catch (ocrError) {
-        console.error("PDF OCR error:", ocrError);
-        return "";
+
+    // Try OCR for image-based pages
+    const blankPages = pageTexts
+      .map((pageText, index) => (pageText.trim() ? null : index))
+      .filter((index) => index !== null);
+
+    if (blankPages.length > 0) {
+      const tesseract = await loadTesseract();
+      if (tesseract && tesseract !== false) {
+        const pagesToOcr = blankPages.slice(0, OCR_MAX_PAGES);
+        if (blankPages.length > pagesToOcr.length) {
+          console.warn(`PDF has ${blankPages.length} scanned pages; only the first ${OCR_MAX_PAGES} are OCR'd (OCR_MAX_PAGES)`);
+        }
+
+        try {
+          const ocrTexts = await ocrPdfPages(filePath, pagesToOcr, tesseract, { onProgress, language });
+          ocrTexts.forEach((text, index) => {
+            pageTexts[index] = text;
+          });
+        } catch (ocrError) {
+          console.error("PDF OCR error:", ocrError);
+        }
       }
     }
-    
-    return "";
+
+    return joinPages(pageTexts);
   } catch (error) {
     console.error("PDF extraction error:", error);
-    return "";
+    return empty;
   }
 }
 
@@ -141,7 +230,9 @@ async function extractFromWord(filePath) {
 }
 
 // OCR function to extract text from images and PDFs
-async function extractTextFromFile(filePath, mimetype) {
+// options: onProgress receives OCR progress from 0 to 1; language is the
+// Tesseract language code(s)
+async function extractTextFromFile(filePath, mimetype, { onProgress, language = DEFAULT_OCR_LANGUAGE } = {}) {
   try {
     if (mimetype.startsWith("image/")) {
       // Use Tesseract for image OCR
@@ -149,10 +240,11 @@ async function extractTextFromFile(filePath, mimetype) {
       if (tesseract && tesseract !== false) {
         try {
           console.log("Extracting text from image using OCR...");
-          const { data: { text } } = await tesseract.recognize(filePath, "eng", {
+          const { data: { text } } = await tesseract.recognize(filePath, language, {
             logger: (m) => {
               if (m.status === "recognizing text") {
                 console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
+                if (onProgress) onProgress(m.progress);
               }
             },
           });
@@ -169,7 +261,7 @@ async function extractTextFromFile(filePath, mimetype) {
         return ""; // Return empty to trigger fallback summary
       }
     } else if (mimetype === "application/pdf") {
-      return await extractFromPDF(filePath);
+      return (await extractFromPDF(filePath, { onProgress, language })).text;
     } else if (mimetype === "application/vnd.openxmlformats-officedocument.wordprocessingml.document" || filePath.endsWith(".docx")) {
       return await extractFromWord(filePath);
     } else if (filePath.endsWith(".doc")) {
@@ -191,6 +283,14 @@ async function extractTextFromFile(filePath, mimetype) {
   }
 }
 
+// Extract text plus, for PDFs, where each page starts and ends in it
+async function extractDocument(filePath, mimetype, options = {}) {
+  if (mimetype === "application/pdf") {
+    return extractFromPDF(filePath, options);
+  }
+  return { text: await extractTextFromFile(filePath, mimetype, options), pages: null };
+}
+
 // Check if extracted text is actually an error message or invalid
 function isErrorMessage(text) {
   if (!text || text.trim().length === 0) return true;
@@ -818,6 +918,11 @@ export const analyzeUploadedFile = async (req, res) => {
     const fileName = req.file.originalname;
     const fileMimetype = req.file.mimetype;
 
+    const language = parseOcrLanguage(req.body?.language);
+    if (!language) {
+      return res.status(400).json({ error: "Invalid OCR language (use Tesseract codes such as eng or eng+hin)" });
+    }
+
     console.log(`Analyzing uploaded file: ${fileName}`);
     console.log(`File path: ${tempFilePath}`);
     console.log(`File mimetype: ${fileMimetype}`);
@@ -831,7 +936,7 @@ export const analyzeUploadedFile = async (req, res) => {
     console.log(`File exists, size: ${fs.statSync(tempFilePath).size} bytes`);
 
     // Extract text using OCR
-    const extractedText = await extractTextFromFile(tempFilePath, fileMimetype);
+    const extractedText = await extractTextFromFile(tempFilePath, fileMimetype, { language });
     
     console.log(`Extracted text length: ${extractedText ? extractedText.length : 0}`);
     if (extractedText && extractedText.length > 0) {
@@ -876,18 +981,113 @@ export const analyzeUploadedFile = async (req, res) => {
   }
 };
 
+// Shape a stored analysis for API responses
+const formatAnalysis = (version) => ({
+  summary: version.magicLensSummary || "",
+  keyPoints: version.magicLensKeyPoints ? JSON.parse(version.magicLensKeyPoints) : [],
+  fileType: version.magicLensFileType || "Document",
+  confidence: version.magicLensConfidence || 0,
+});
+
+// Run a queued analysis job: extract text (OCR where needed), summarize and
+// store the results on the file version the job was created for
+async function runAnalysisJob({ fileId, versionNumber, autoCategorize, language }, { reportProgress }) {
+  const file = await prisma.file.findUnique({ where: { id: fileId } });
+  if (!file || file.deletedAt) {
+    throw new PermanentJobError("File no longer exists");
+  }
+
+  const version = await getFileVersion(fileId, versionNumber);
+  if (!version) {
+    throw new PermanentJobError("File version no longer exists");
+  }
+
+  // Locked or moved into the vault after the job was queued: the content is
+  // (or is about to be) encrypted, and vault files keep no analysis
+  if (version.isEncrypted || await isFileInVault(file)) {
+    throw new PermanentJobError("File is in the vault");
+  }
+
+  console.log(`Analyzing file: ${version.name} (file ${fileId}, version ${versionNumber})`);
+  console.log(`File mimetype: ${version.mimetype}`);
+
+  const storage = getStorage();
+  const key = getStorageKey(version.url);
+  const info = key && await storage.stat(key);
+  if (!info) {
+    throw new PermanentJobError("File not found on server");
+  }
+
+  console.log(`File exists, size: ${info.size} bytes`);
+
+  // Extract text using OCR (0-80% of the job)
+  reportProgress(0.05, "extracting");
+  const { text: extractedText, pages } = await storage.withLocalFile(key, (filePath) =>
+    extractDocument(filePath, version.mimetype, {
+      language: language || DEFAULT_OCR_LANGUAGE,
+      onProgress: (ocrProgress) => reportProgress(0.05 + ocrProgress * 0.75, "ocr"),
+    })
+  );
+
+  console.log(`Extracted text length: ${extractedText ? extractedText.length : 0}`);
+  if (!extractedText || extractedText.length === 0) {
+    console.warn("No text was extracted from the file!");
+  }
+
+  // Analyze with AI
+  reportProgress(0.85, "analyzing");
+  const analysis = await analyzeWithAI(extractedText, version.name, version.mimetype);
+
+  // Save analysis and the extracted text (used by search) to the version
+  // (and the file, if still current)
+  reportProgress(0.95, "saving");
+  const current = await prisma.file.findUnique({ where: { id: fileId } });
+  if (!current || current.isEncrypted || await isFileInVault(current)) {
+    throw new PermanentJobError("File was moved into the vault during analysis");
+  }
+  await saveVersionAnalysis(file, versionNumber, {
+    magicLensSummary: analysis.summary,
+    magicLensKeyPoints: JSON.stringify(analysis.keyPoints),
+    magicLensFileType: analysis.fileType,
+    magicLensConfidence: analysis.confidence,
+    magicLensAnalyzedAt: new Date(),
+    // Postgres text columns reject NUL bytes
+    extractedText: extractedText ? extractedText.replace(/\u0000/g, "") : null,
+    extractedPages: pages ? JSON.stringify(pages) : null,
+  });
+
+  let category = null;
+  if (autoCategorize) {
+    category = await autoAssignCategory(file, analysis.fileType);
+  }
+
+  return { fileId, versionNumber, categoryId: category?.id ?? null };
+}
+
+registerJobHandler(MAGIC_LENS_JOB, runAnalysisJob);
+
 // Analyze file with Magic Lens (from database)
+// Returns the saved analysis when there is one, otherwise queues a job and
+// returns its id (poll GET /api/magic-lens/jobs/:jobId).
+// Body (optional): { language: "eng+hin", force: true } - force re-analyzes
+// even when a saved analysis exists (e.g. to OCR in another language)
 export const analyzeFile = async (req, res) => {
   try {
     const fileId = Number(req.params.id);
     const userId = req.user.id;
+    const { force } = req.body || {};
+
+    const language = parseOcrLanguage(req.body?.language);
+    if (!language) {
+      return res.status(400).json({ error: "Invalid OCR language (use Tesseract codes such as eng or eng+hin)" });
+    }
 
     // Get file from database
     const file = await prisma.file.findUnique({
       where: { id: fileId },
     });
 
-    if (!file) {
+    if (!file || file.deletedAt) {
       return res.status(404).json({ error: "File not found" });
     }
 
@@ -895,76 +1095,125 @@ export const analyzeFile = async (req, res) => {
       return res.status(403).json({ error: "Unauthorized" });
     }
 
+    if (!(await canAccessFile(req, file))) {
+      return res.status(403).json(vaultLockedError());
+    }
+
+    // Analysis runs in the background, where encrypted content can't be read
+    if (file.isEncrypted) {
+      return res.status(400).json({ error: "Locked files cannot be analyzed" });
+    }
+
+    // Results are stored per version; analyze the current one
+    const version = (await getFileVersion(file.id, file.currentVersion)) || file;
+
     // Check if already analyzed
-    if (file.magicLensAnalyzedAt) {
+    if (version.magicLensAnalyzedAt && force !== true) {
       return res.json({
-        analysis: {
-          summary: file.magicLensSummary || "",
-          keyPoints: file.magicLensKeyPoints ? JSON.parse(file.magicLensKeyPoints) : [],
-          fileType: file.magicLensFileType || "Document",
-          confidence: file.magicLensConfidence || 0,
-        },
+        analysis: formatAnalysis(version),
+        version: file.currentVersion,
         cached: true,
       });
     }
 
-    // Get file path - file.url is like "/uploads/filename.ext"
-    // Remove leading slash and join with project root
-    const fileUrl = file.url.startsWith("/") ? file.url.substring(1) : file.url;
-    const filePath = path.join(__dirname, "..", fileUrl);
+    const job = await enqueueAnalysis(file, { language });
 
-    console.log(`Analyzing file: ${file.name}`);
-    console.log(`File URL: ${file.url}`);
-    console.log(`File path: ${filePath}`);
-    console.log(`File mimetype: ${file.mimetype}`);
+    res.status(202).json({
+      message: "Analysis queued",
+      jobId: job.id,
+      status: job.status,
+      version: file.currentVersion,
+      cached: false,
+    });
+  } catch (error) {
+    console.error("Magic Lens Error:", error);
+    res.status(500).json({ error: error.message || "Failed to analyze file" });
+  }
+};
 
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-      console.error(`File not found at path: ${filePath}`);
-      console.error(`__dirname: ${__dirname}`);
-      console.error(`Resolved path: ${path.resolve(filePath)}`);
-      return res.status(404).json({ error: "File not found on server" });
+// Queue analysis for every file whose current version hasn't been analyzed.
+// Locked files are skipped. Categories are auto-assigned when the user has
+// automatic analysis turned on.
+export const analyzeAllFiles = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { autoAnalyzeUploads: true },
+    });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
     }
 
-    console.log(`File exists, size: ${fs.statSync(filePath).size} bytes`);
+    const files = await prisma.file.findMany({
+      where: { userId, deletedAt: null, isLocked: false, isEncrypted: false, magicLensAnalyzedAt: null },
+      select: { id: true, userId: true, currentVersion: true },
+      orderBy: { id: "asc" },
+    });
 
-    // Extract text using OCR
-    const extractedText = await extractTextFromFile(filePath, file.mimetype);
-    
-    console.log(`Extracted text length: ${extractedText ? extractedText.length : 0}`);
-    if (extractedText && extractedText.length > 0) {
-      console.log(`First 500 chars of extracted text: ${extractedText.substring(0, 500)}`);
-    } else {
-      console.warn("No text was extracted from the file!");
+    const jobIds = [];
+    for (const file of files) {
+      const job = await enqueueAnalysis(file, { autoCategorize: user.autoAnalyzeUploads });
+      jobIds.push(job.id);
     }
 
-    // Analyze with AI
-    const analysis = await analyzeWithAI(extractedText, file.name, file.mimetype);
-
-    // Save analysis to database
-    const updatedFile = await prisma.file.update({
-      where: { id: fileId },
-      data: {
-        magicLensSummary: analysis.summary,
-        magicLensKeyPoints: JSON.stringify(analysis.keyPoints),
-        magicLensFileType: analysis.fileType,
-        magicLensConfidence: analysis.confidence,
-        magicLensAnalyzedAt: new Date(),
-      },
+    res.status(202).json({
+      message: files.length ? `Queued analysis for ${files.length} file(s)` : "All files are already analyzed",
+      queued: files.length,
+      jobIds,
     });
+  } catch (error) {
+    console.error("Bulk Analysis Error:", error);
+    res.status(500).json({ error: error.message || "Failed to queue analysis" });
+  }
+};
+
+// Get the status of an analysis job (and the analysis once it has finished)
+export const getAnalysisJob = async (req, res) => {
+  try {
+    const jobId = Number(req.params.jobId);
+    const userId = req.user.id;
+
+    const job = await getJob(jobId);
+    if (!job || job.type !== MAGIC_LENS_JOB) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    if (job.userId !== userId) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    const { fileId, versionNumber } = JSON.parse(job.payload);
+
+    let analysis = null;
+    if (job.status === "completed") {
+      const version = await getFileVersion(fileId, versionNumber);
+      if (version?.magicLensAnalyzedAt) analysis = formatAnalysis(version);
+    }
 
     res.json({
-      analysis: {
-        summary: analysis.summary,
-        keyPoints: analysis.keyPoints,
-        fileType: analysis.fileType,
-        confidence: analysis.confidence,
+      job: {
+        id: job.id,
+        fileId,
+        version: versionNumber,
+        status: job.status,
+        progress: job.progress,
+        stage: job.stage,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        error: job.lastError,
+        categoryId: job.result ? JSON.parse(job.result).categoryId ?? null : null,
+        nextAttemptAt: job.status === "queued" && job.attempts > 0 ? job.runAfter : null,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
       },
-      cached: false,
+      analysis,
     });
   } catch (error) {
-    console.error("Magic Lens Error:", error);
-    res.status(500).json({ error: error.message || "Failed to analyze file" });
+    console.error("Get Analysis Job Error:", error);
+    res.status(500).json({ error: error.message || "Failed to get job status" });
   }
 };
 
@@ -978,7 +1227,7 @@ export const getAnalysis = async (req, res) => {
       where: { id: fileId },
     });
 
-    if (!file) {
+    if (!file || file.deletedAt) {
       return res.status(404).json({ error: "File not found" });
     }
 
@@ -986,17 +1235,33 @@ export const getAnalysis = async (req, res) => {
       return res.status(403).json({ error: "Unauthorized" });
     }
 
-    if (!file.magicLensAnalyzedAt) {
+    if (!(await canAccessFile(req, file))) {
+      return res.status(403).json(vaultLockedError());
+    }
+
+    // ?version=N reads an older version's results; defaults to the current one
+    const versionNumber = req.query.version ? Number(req.query.version) : file.currentVersion;
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({ error: "Version must be a positive integer" });
+    }
+
+    const version = await getFileVersion(file.id, versionNumber);
+    if (!version) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+
+    if (!version.magicLensAnalyzedAt) {
       return res.status(404).json({ error: "File has not been analyzed yet" });
     }
 
+    // Page-by-page text (PDFs only) with ?pages=true
+    const pages = getVersionPages(version);
+
     res.json({
-      analysis: {
-        summary: file.magicLensSummary || "",
-        keyPoints: file.magicLensKeyPoints ? JSON.parse(file.magicLensKeyPoints) : [],
-        fileType: file.magicLensFileType || "Document",
-        confidence: file.magicLensConfidence || 0,
-      },
+      analysis: formatAnalysis(version),
+      version: versionNumber,
+      pageCount: pages ? pages.length : null,
+      ...(req.query.pages === "true" && { pages }),
     });
   } catch (error) {
     console.error("Get Analysis Error:", error);
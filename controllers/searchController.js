@@ -0,0 +1,84 @@
+import { PrismaClient } from "@prisma/client";
+import { searchItems, MAX_SEARCH_LIMIT } from "../utils/searchService.js";
+
+const prisma = new PrismaClient();
+
+// Parse a query-string date; returns undefined when absent, null when invalid
+const parseDate = (value) => {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Parse a non-negative integer; returns undefined when absent, null when invalid
+const parseCount = (value) => {
+    if (value === undefined || value === "") return undefined;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 0 ? number : null;
+};
+
+/**
+ * Search
+ * Fuzzy search over file, folder and category names and extracted document text
+ * GET /api/search?q=term
+ * Optional filters: type=file|folder|category, mimetype (e.g. application/pdf or image/*),
+ * categoryId, folderId (searches that folder's subtree), from, to (created date),
+ * minSize, maxSize (bytes), limit
+ */
+export const search = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+        if (!query) {
+            return res.status(400).json({ error: "Search query (q) is required" });
+        }
+
+        const { type, mimetype } = req.query;
+        if (type && !['file', 'folder', 'category'].includes(type)) {
+            return res.status(400).json({ error: "Type must be 'file', 'folder' or 'category'" });
+        }
+
+        const filters = {
+            type,
+            // "image/*" and "image/" both mean any image type
+            mimetype: typeof mimetype === "string" && mimetype ? mimetype.replace(/\*$/, "") : undefined,
+            categoryId: parseCount(req.query.categoryId),
+            folderId: parseCount(req.query.folderId),
+            from: parseDate(req.query.from),
+            to: parseDate(req.query.to),
+            minSize: parseCount(req.query.minSize),
+            maxSize: parseCount(req.query.maxSize),
+            limit: parseCount(req.query.limit),
+        };
+
+        const invalid = Object.keys(filters).filter((key) => filters[key] === null);
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: `Invalid filter value: ${invalid.join(", ")}` });
+        }
+
+        if (filters.limit !== undefined) {
+            filters.limit = Math.min(Math.max(filters.limit, 1), MAX_SEARCH_LIMIT);
+        }
+
+        if (filters.folderId) {
+            const folder = await prisma.folder.findUnique({ where: { id: filters.folderId } });
+            if (!folder || folder.deletedAt) {
+                return res.status(404).json({ error: "Folder not found" });
+            }
+            if (folder.userId !== userId) {
+                return res.status(403).json({ error: "Unauthorized" });
+            }
+            if (folder.isLocked) {
+                return res.status(403).json({ error: "Folder is locked" });
+            }
+        }
+
+        const results = await searchItems(userId, query, filters);
+
+        res.json({ query, count: results.length, results });
+    } catch (error) {
+        console.error("Search error:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
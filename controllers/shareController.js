@@ -0,0 +1,302 @@
+import { PrismaClient } from "@prisma/client";
+import {
+    buildShareLink,
+    findActiveShares,
+    formatShare,
+    getShareInactiveReason,
+    verifySharePassword,
+    recordShareDownload,
+} from "../utils/shareService.js";
+import { getStorage, getStorageKey } from "../utils/storage.js";
+import {
+    getAttemptKeys,
+    reserveAttempt,
+    recordFailedAttempt,
+    clearAttempts,
+    tooManyAttemptsError,
+} from "../utils/attemptLimiter.js";
+
+const prisma = new PrismaClient();
+
+// Look up a share token and make sure it can still be used.
+// Sends the error response itself and returns null when access is denied.
+async function loadShareForRequest(req, res) {
+    const share = await prisma.share.findUnique({ where: { token: req.params.token } });
+    if (!share) {
+        res.status(404).json({ error: "Share link not found" });
+        return null;
+    }
+
+    // The download limit is enforced atomically in sendSharedFile, so browsing
+    // a folder keeps working after its downloads are used up
+    const reason = getShareInactiveReason(share, { ignoreDownloadLimit: true });
+    if (reason) {
+        res.status(410).json({ error: reason });
+        return null;
+    }
+
+    if (!share.password) return share;
+
+    // Header or body only: a password in the URL would end up in logs and history
+    const password = req.get("x-share-password") || req.body?.password;
+    if (!password) {
+        res.status(401).json({ error: "This link is password protected", passwordRequired: true });
+        return null;
+    }
+
+    // Guessing is slowed down per share and per address (see attemptLimiter.js)
+    const attempt = getAttemptKeys("share_password", share.id, req);
+    const blocked = await reserveAttempt(attempt);
+    if (blocked) {
+        res.set("Retry-After", String(blocked.retryAfter));
+        res.status(429).json(tooManyAttemptsError(blocked));
+        return null;
+    }
+
+    if (!(await verifySharePassword(share, String(password)))) {
+        await recordFailedAttempt(attempt, { action: "share_password_failed", userId: share.userId, req, details: { shareId: share.id } });
+        res.status(401).json({ error: "Incorrect share password", passwordRequired: true });
+        return null;
+    }
+
+    await clearAttempts(attempt);
+    return share;
+}
+
+// Check that folderId is the shared folder or one of its descendants.
+// Returns the chain from the shared folder down to folderId, or null if outside the share.
+async function getChainWithinShare(folderId, share) {
+    const chain = [];
+    let currentId = folderId;
+
+    while (currentId) {
+        const folder = await prisma.folder.findUnique({
+            where: { id: currentId },
+            select: { id: true, name: true, parentId: true, userId: true, isLocked: true, deletedAt: true },
+        });
+
+        if (!folder || folder.userId !== share.userId || folder.isLocked || folder.deletedAt) return null;
+
+        chain.unshift({ id: folder.id, name: folder.name });
+        if (folder.id === share.itemId) return chain;
+        currentId = folder.parentId;
+    }
+
+    return null;
+}
+
+// Stream a file to an anonymous share visitor
+async function sendSharedFile(req, res, share, file) {
+    const storage = getStorage();
+    const key = getStorageKey(file.url);
+    const info = key && await storage.stat(key);
+    if (!info) {
+        return res.status(404).json({ error: "File content not found on server" });
+    }
+
+    const counted = await recordShareDownload(share);
+    if (!counted) {
+        return res.status(410).json({ error: "This link has reached its download limit" });
+    }
+
+    const mimeType = file.mimetype || "application/octet-stream";
+    res.setHeader("Content-Type", mimeType);
+    res.setHeader("Content-Length", info.size);
+
+    const dispositionType = req.query.download === "1" ? "attachment" : "inline";
+    const safeFileName = encodeURIComponent(file.name || "download");
+    res.setHeader(
+        "Content-Disposition",
+        `${dispositionType}; filename="${safeFileName}"`
+    );
+
+    const stream = await storage.openReadStream(key);
+    stream.on("error", (err) => {
+        console.error("Error sending shared file:", err);
+        if (!res.headersSent) {
+            res.status(500).end();
+        } else {
+            res.destroy(err);
+        }
+    });
+    stream.pipe(res);
+}
+
+/**
+ * Open a share link (public, no JWT)
+ * File shares stream the file; folder shares return a browsable listing.
+ * GET (or POST, with { password }) /share/:token?folderId=<subfolder inside the share>
+ */
+export const getSharedItem = async (req, res) => {
+    try {
+        const share = await loadShareForRequest(req, res);
+        if (!share) return;
+
+        if (share.itemType === "file") {
+            const file = await prisma.file.findUnique({ where: { id: share.itemId } });
+            if (!file || file.userId !== share.userId || file.isLocked || file.isEncrypted || file.deletedAt) {
+                return res.status(404).json({ error: "Shared file no longer exists" });
+            }
+
+            return await sendSharedFile(req, res, share, file);
+        }
+
+        const folderId = req.query.folderId ? Number(req.query.folderId) : share.itemId;
+        if (!Number.isInteger(folderId)) {
+            return res.status(400).json({ error: "folderId must be a number" });
+        }
+
+        const chain = await getChainWithinShare(folderId, share);
+        if (!chain) {
+            return res.status(404).json({ error: "Folder not found in this share" });
+        }
+
+        const [subfolders, files] = await Promise.all([
+            prisma.folder.findMany({
+                where: { parentId: folderId, userId: share.userId, isLocked: false, deletedAt: null },
+                select: { id: true, name: true, folderColor: true, createdAt: true },
+                orderBy: { name: "asc" },
+            }),
+            prisma.file.findMany({
+                where: { folderId, userId: share.userId, isLocked: false, isEncrypted: false, deletedAt: null },
+                select: { id: true, name: true, size: true, mimetype: true, updatedAt: true },
+                orderBy: { name: "asc" },
+            }),
+        ]);
+
+        const shareLink = buildShareLink(req, share.token);
+
+        res.json({
+            share: {
+                type: "folder",
+                expiresAt: share.expiresAt,
+                remainingDownloads: share.maxDownloads === null
+                    ? null
+                    : Math.max(share.maxDownloads - share.downloadCount, 0),
+            },
+            folder: {
+                id: folderId,
+                name: chain[chain.length - 1].name,
+                path: chain,
+            },
+            subfolders: subfolders.map((folder) => ({
+                ...folder,
+                url: `${shareLink}?folderId=${folder.id}`,
+            })),
+            files: files.map((file) => ({
+                ...file,
+                downloadUrl: `${shareLink}/files/${file.id}`,
+            })),
+        });
+    } catch (error) {
+        console.error("Error opening share link:", error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: "Failed to open share link" });
+        }
+    }
+};
+
+/**
+ * Download a file from inside a shared folder (public, no JWT)
+ * GET (or POST, with { password }) /share/:token/files/:fileId
+ */
+export const downloadSharedFile = async (req, res) => {
+    try {
+        const share = await loadShareForRequest(req, res);
+        if (!share) return;
+
+        if (share.itemType !== "folder") {
+            return res.status(404).json({ error: "File not found in this share" });
+        }
+
+        const fileId = Number(req.params.fileId);
+        if (!Number.isInteger(fileId)) {
+            return res.status(400).json({ error: "fileId must be a number" });
+        }
+        const file = await prisma.file.findUnique({ where: { id: fileId } });
+        if (!file || file.userId !== share.userId || file.isLocked || file.isEncrypted || file.deletedAt || !file.folderId) {
+            return res.status(404).json({ error: "File not found in this share" });
+        }
+
+        const chain = await getChainWithinShare(file.folderId, share);
+        if (!chain) {
+            return res.status(404).json({ error: "File not found in this share" });
+        }
+
+        return await sendSharedFile(req, res, share, file);
+    } catch (error) {
+        console.error("Error downloading shared file:", error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: "Failed to download shared file" });
+        }
+    }
+};
+
+/**
+ * List the authenticated user's active share links
+ * GET /api/shares
+ */
+export const listShares = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const active = await findActiveShares({ userId });
+
+        // Attach item names so the frontend can label each link
+        const fileIds = active.filter((s) => s.itemType === "file").map((s) => s.itemId);
+        const folderIds = active.filter((s) => s.itemType === "folder").map((s) => s.itemId);
+        const [files, folders] = await Promise.all([
+            prisma.file.findMany({ where: { id: { in: fileIds }, userId }, select: { id: true, name: true } }),
+            prisma.folder.findMany({ where: { id: { in: folderIds }, userId }, select: { id: true, name: true } }),
+        ]);
+        const fileNames = new Map(files.map((f) => [f.id, f.name]));
+        const folderNames = new Map(folders.map((f) => [f.id, f.name]));
+
+        res.json({
+            shares: active.map((share) => ({
+                ...formatShare(req, share),
+                item: {
+                    id: share.itemId,
+                    type: share.itemType,
+                    name: (share.itemType === "file" ? fileNames : folderNames).get(share.itemId) || null,
+                },
+            })),
+        });
+    } catch (error) {
+        console.error("Error listing shares:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Revoke one of the authenticated user's share links
+ * DELETE /api/shares/:id
+ */
+export const revokeShare = async (req, res) => {
+    try {
+        const shareId = Number(req.params.id);
+        if (!Number.isInteger(shareId)) {
+            return res.status(400).json({ error: "Share id must be a number" });
+        }
+
+        const share = await prisma.share.findUnique({ where: { id: shareId } });
+        if (!share) return res.status(404).json({ error: "Share not found" });
+
+        if (share.userId !== req.user.id) {
+            return res.status(403).json({ error: "Unauthorized" });
+        }
+
+        if (share.revokedAt) {
+            return res.status(400).json({ error: "Share is already revoked" });
+        }
+
+        await prisma.share.update({
+            where: { id: shareId },
+            data: { revokedAt: new Date() },
+        });
+
+        res.json({ message: "Share link revoked" });
+    } catch (error) {
+        console.error("Error revoking share:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
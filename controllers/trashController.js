@@ -0,0 +1,202 @@
+import { PrismaClient } from "@prisma/client";
+import {
+    getPurgeDate,
+    restoreFile,
+    restoreFolder,
+    purgeFile,
+    purgeFolder,
+} from "../utils/trashService.js";
+import { isNameTakenError, nameConflictError } from "../utils/nameConflict.js";
+import {
+    canAccessFile,
+    canAccessFolder,
+    visibleFilesWhere,
+    visibleFoldersWhere,
+    vaultLockedError,
+} from "../utils/vaultService.js";
+
+const prisma = new PrismaClient();
+
+// Load a trash entry owned by the user (and reachable with the vault as it
+// is); sends the error response and returns null otherwise
+async function findTrashEntry(req, res) {
+    const itemId = Number(req.params.id);
+    const { type } = req.query;
+
+    if (!type || !['file', 'folder'].includes(type)) {
+        res.status(400).json({ error: "Type query parameter must be 'file' or 'folder'" });
+        return null;
+    }
+
+    const item = type === 'folder'
+        ? await prisma.folder.findUnique({ where: { id: itemId } })
+        : await prisma.file.findUnique({ where: { id: itemId } });
+
+    if (!item || !item.deletedAt) {
+        res.status(404).json({ error: `${type} not found in trash` });
+        return null;
+    }
+
+    if (item.userId !== req.user.id) {
+        res.status(403).json({ error: "Unauthorized" });
+        return null;
+    }
+
+    // Items deleted as part of a folder come back with that folder
+    if (!item.isTrashRoot) {
+        res.status(400).json({ error: "This item was deleted with its folder. Restore the folder instead." });
+        return null;
+    }
+
+    const canAccess = type === 'folder' ? await canAccessFolder(req, item) : await canAccessFile(req, item);
+    if (!canAccess) {
+        res.status(403).json(vaultLockedError());
+        return null;
+    }
+
+    return { type, item };
+}
+
+const parseOriginalPath = (originalPath) => {
+    try {
+        return JSON.parse(originalPath || "[]");
+    } catch (e) {
+        return [];
+    }
+};
+
+/**
+ * List Trash
+ * Returns the files and folders the user deleted, newest first
+ * (vault items only while the vault is open)
+ * GET /api/trash
+ */
+export const getTrash = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const [visibleFolders, visibleFiles] = await Promise.all([visibleFoldersWhere(req), visibleFilesWhere(req)]);
+
+        const [folders, files] = await Promise.all([
+            prisma.folder.findMany({
+                where: { userId, isTrashRoot: true, deletedAt: { not: null }, ...visibleFolders },
+                orderBy: { deletedAt: "desc" },
+            }),
+            prisma.file.findMany({
+                where: { userId, isTrashRoot: true, deletedAt: { not: null }, ...visibleFiles },
+                orderBy: { deletedAt: "desc" },
+            }),
+        ]);
+
+        const items = [
+            ...folders.map((folder) => ({
+                id: folder.id,
+                type: "folder",
+                name: folder.name,
+                folderColor: folder.folderColor,
+                deletedAt: folder.deletedAt,
+                purgeAt: getPurgeDate(folder.deletedAt),
+                originalPath: parseOriginalPath(folder.originalPath),
+            })),
+            ...files.map((file) => ({
+                id: file.id,
+                type: "file",
+                name: file.name,
+                size: file.size,
+                mimetype: file.mimetype,
+                deletedAt: file.deletedAt,
+                purgeAt: getPurgeDate(file.deletedAt),
+                originalPath: parseOriginalPath(file.originalPath),
+            })),
+        ].sort((a, b) => b.deletedAt - a.deletedAt);
+
+        res.json({ items });
+    } catch (error) {
+        console.error("Error fetching trash:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Restore Item
+ * Puts a trashed file or folder back where it was, recreating missing parent folders
+ * POST /api/trash/:id/restore?type=file|folder
+ */
+export const restoreItem = async (req, res) => {
+    try {
+        const entry = await findTrashEntry(req, res);
+        if (!entry) return;
+
+        const restored = entry.type === 'folder'
+            ? await restoreFolder(entry.item)
+            : await restoreFile(entry.item);
+
+        res.json({
+            message: `${entry.type === 'folder' ? "Folder" : "File"} restored successfully`,
+            item: restored,
+        });
+    } catch (error) {
+        if (isNameTakenError(error)) {
+            return res.status(409).json(nameConflictError(req.query.type));
+        }
+        console.error("Error restoring item:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Purge Item
+ * Permanently deletes a trashed file or folder and its stored files
+ * DELETE /api/trash/:id?type=file|folder
+ */
+export const purgeItem = async (req, res) => {
+    try {
+        const entry = await findTrashEntry(req, res);
+        if (!entry) return;
+
+        if (entry.type === 'folder') {
+            await purgeFolder(entry.item);
+        } else {
+            await purgeFile(entry.item);
+        }
+
+        res.json({ message: `${entry.type === 'folder' ? "Folder" : "File"} permanently deleted` });
+    } catch (error) {
+        console.error("Error purging item:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Empty Trash
+ * Permanently deletes everything in the user's trash (vault items stay
+ * unless the vault is open)
+ * DELETE /api/trash
+ */
+export const emptyTrash = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const folders = await prisma.folder.findMany({
+            where: { userId, isTrashRoot: true, deletedAt: { not: null }, ...(await visibleFoldersWhere(req)) },
+        });
+        for (const folder of folders) {
+            await purgeFolder(folder);
+        }
+
+        // Read files after folders: purging a folder can detach files trashed inside it
+        const files = await prisma.file.findMany({
+            where: { userId, isTrashRoot: true, deletedAt: { not: null }, ...(await visibleFilesWhere(req)) },
+        });
+        for (const file of files) {
+            await purgeFile(file);
+        }
+
+        res.json({
+            message: "Trash emptied",
+            purged: { folders: folders.length, files: files.length },
+        });
+    } catch (error) {
+        console.error("Error emptying trash:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
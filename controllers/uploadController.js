@@ -0,0 +1,318 @@
+import { PrismaClient } from "@prisma/client";
+import {
+    MAX_RESUMABLE_UPLOAD_SIZE,
+    resolveUploadTarget,
+    saveUpload,
+    createUploadSession,
+    writeUploadChunk,
+    claimUploadSession,
+    releaseUploadSession,
+    verifyUpload,
+    finishUploadSession,
+    deleteUploadSession,
+} from "../utils/uploadService.js";
+import { checkQuota, withQuota, quotaExceededError } from "../utils/quotaService.js";
+import { getVaultKey, vaultLockedError } from "../utils/vaultService.js";
+import { isNameTakenError, nameConflictError } from "../utils/nameConflict.js";
+
+const prisma = new PrismaClient();
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+// Public view of a session
+const formatSession = (session) => ({
+    id: session.id,
+    fileName: session.fileName,
+    size: session.totalSize,
+    receivedBytes: session.receivedBytes,
+    status: session.status,
+    fileId: session.fileId,
+    expiresAt: session.expiresAt,
+});
+
+// Load an upload session owned by the user; sends the error response and returns null otherwise
+async function findUploadSession(req, res) {
+    const session = await prisma.uploadSession.findUnique({ where: { id: req.params.id } });
+
+    if (!session || session.expiresAt <= new Date()) {
+        res.status(404).json({ error: "Upload session not found or expired" });
+        return null;
+    }
+
+    if (session.userId !== req.user.id) {
+        res.status(403).json({ error: "Unauthorized" });
+        return null;
+    }
+
+    return session;
+}
+
+/**
+ * Start Resumable Upload
+ * Body: { fileName, size, mimetype, checksum (SHA-256 hex, may instead be sent on complete),
+ *         folderId, locked, replaceFileId, onConflict (replace, rename or fail; see uploadFile) }
+ * POST /api/uploads
+ */
+export const initUpload = async (req, res) => {
+    try {
+        const { fileName, size, mimetype, checksum, folderId, locked, replaceFileId, onConflict } = req.body || {};
+        const userId = req.user.id;
+
+        if (!fileName || typeof fileName !== "string" || !fileName.trim()) {
+            return res.status(400).json({ error: "fileName is required" });
+        }
+
+        const totalSize = Number(size);
+        if (!Number.isInteger(totalSize) || totalSize < 0) {
+            return res.status(400).json({ error: "size must be a non-negative integer" });
+        }
+
+        if (totalSize > MAX_RESUMABLE_UPLOAD_SIZE) {
+            return res.status(413).json({ error: `File is larger than the ${MAX_RESUMABLE_UPLOAD_SIZE} byte limit` });
+        }
+
+        if (checksum && !SHA256_PATTERN.test(checksum)) {
+            return res.status(400).json({ error: "checksum must be a SHA-256 hex digest" });
+        }
+
+        // Checked again on completion, when the name may have been taken meanwhile
+        const target = await resolveUploadTarget(userId, {
+            folderId,
+            replaceFileId,
+            name: fileName.trim(),
+            onConflict,
+        });
+        if (target.conflict) {
+            return res.status(409).json(nameConflictError("file", target.conflict));
+        }
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        // Vault uploads are encrypted when completed, which needs the vault open then too
+        const isLocked = locked === true || locked === "true";
+        if ((target.inVault || isLocked) && !(await getVaultKey(req))) {
+            return res.status(403).json(vaultLockedError());
+        }
+
+        // Refuse up front rather than after the whole file has been sent
+        const quota = await checkQuota(userId, totalSize);
+        if (!quota.allowed) {
+            return res.status(413).json(quotaExceededError(quota));
+        }
+
+        const session = await createUploadSession(userId, {
+            fileName: fileName.trim(),
+            mimetype: mimetype || "application/octet-stream",
+            size: totalSize,
+            checksum,
+            target,
+            locked: isLocked,
+            replaceFileId,
+            onConflict,
+        });
+
+        res.status(201).json({ message: "Upload started", upload: formatSession(session) });
+    } catch (error) {
+        console.error("Init upload error:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Upload Status
+ * Tells a client where to resume from (receivedBytes)
+ * GET /api/uploads/:id
+ */
+export const getUploadStatus = async (req, res) => {
+    try {
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+
+        res.json({ upload: formatSession(session) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Upload Chunk
+ * Raw bytes in the body, written at ?offset= (must equal receivedBytes)
+ * PUT /api/uploads/:id?offset=N
+ */
+export const uploadChunk = async (req, res) => {
+    try {
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+
+        if (session.status !== "active") {
+            return res.status(409).json({ error: `Upload is ${session.status}`, upload: formatSession(session) });
+        }
+
+        const offset = Number(req.query.offset);
+        if (!Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({ error: "offset query parameter must be a non-negative integer" });
+        }
+
+        const chunk = Buffer.isBuffer(req.body) ? req.body : null;
+        if (!chunk || chunk.length === 0) {
+            return res.status(400).json({ error: "Chunk body is empty" });
+        }
+
+        if (offset !== session.receivedBytes) {
+            return res.status(409).json({ error: "Offset does not match received bytes", upload: formatSession(session) });
+        }
+
+        if (offset + chunk.length > session.totalSize) {
+            return res.status(400).json({ error: "Chunk goes past the declared file size" });
+        }
+
+        const updated = await writeUploadChunk(session, offset, chunk);
+        if (!updated) {
+            const current = await prisma.uploadSession.findUnique({ where: { id: session.id } });
+            return res.status(409).json({ error: "Offset does not match received bytes", upload: current && formatSession(current) });
+        }
+
+        res.json({ upload: formatSession(updated) });
+    } catch (error) {
+        console.error("Upload chunk error:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Complete Upload
+ * Verifies the checksum, stores the content and creates the File
+ * (or a new version) exactly like a regular upload
+ * Body (optional): { checksum }
+ * POST /api/uploads/:id/complete
+ */
+export const completeUpload = async (req, res) => {
+    try {
+        let session = await findUploadSession(req, res);
+        if (!session) return;
+
+        // A retried complete gets the same answer
+        if (session.status === "completed") {
+            const file = await prisma.file.findUnique({ where: { id: session.fileId } });
+            return res.json({ message: "Upload already completed", file, upload: formatSession(session) });
+        }
+
+        if (session.receivedBytes !== session.totalSize) {
+            return res.status(409).json({ error: "Upload is not finished", upload: formatSession(session) });
+        }
+
+        const checksum = req.body?.checksum;
+        if (checksum) {
+            if (!SHA256_PATTERN.test(checksum)) {
+                return res.status(400).json({ error: "checksum must be a SHA-256 hex digest" });
+            }
+            if (session.checksum && session.checksum.toLowerCase() !== checksum.toLowerCase()) {
+                return res.status(400).json({ error: "checksum differs from the one given when the upload started" });
+            }
+            session = await prisma.uploadSession.update({ where: { id: session.id }, data: { checksum } });
+        }
+
+        if (!session.checksum) {
+            return res.status(400).json({ error: "checksum is required to complete the upload" });
+        }
+
+        if (!(await claimUploadSession(session))) {
+            return res.status(409).json({ error: "Upload is already being completed" });
+        }
+
+        const target = await resolveUploadTarget(req.user.id, {
+            folderId: session.folderId,
+            replaceFileId: session.replaceFileId,
+            name: session.fileName,
+            onConflict: session.onConflict,
+        });
+        if (target.conflict) {
+            await releaseUploadSession(session);
+            return res.status(409).json(nameConflictError("file", target.conflict));
+        }
+        if (target.error) {
+            await releaseUploadSession(session);
+            return res.status(target.status).json({ error: target.error });
+        }
+
+        // Usage may have grown since the upload started; keep the data so the
+        // client can free space and complete again
+        const quota = await checkQuota(req.user.id, session.totalSize);
+        if (!quota.allowed) {
+            await releaseUploadSession(session);
+            return res.status(413).json(quotaExceededError(quota));
+        }
+
+        // The data is kept, so the client can open the vault and complete again
+        const vaultKey = await getVaultKey(req);
+        if ((target.inVault || session.isLocked) && !vaultKey) {
+            await releaseUploadSession(session);
+            return res.status(403).json(vaultLockedError());
+        }
+
+        const verified = await verifyUpload(session);
+        if (verified.error) {
+            await releaseUploadSession(session, { discardData: true });
+            return res.status(verified.status).json({ error: verified.error });
+        }
+
+        // Checked again while saving, against uploads finishing at the same time
+        let saved;
+        try {
+            saved = await withQuota(req.user.id, session.totalSize, () =>
+                saveUpload(req.user.id, target, verified.upload, { locked: session.isLocked, vaultKey })
+            );
+        } catch (error) {
+            await deleteUploadSession(session);
+            throw error;
+        }
+        if (!saved.quota.allowed) {
+            await releaseUploadSession(session);
+            return res.status(413).json(quotaExceededError(saved.quota));
+        }
+
+        const { file, isNewVersion, analysisJobId } = saved.result;
+        const finished = await finishUploadSession(session, file);
+
+        if (isNewVersion) {
+            return res.status(201).json({
+                message: "New version uploaded",
+                file,
+                version: file.currentVersion,
+                analysisJobId,
+                upload: formatSession(finished),
+            });
+        }
+
+        res.status(201).json({ message: "File uploaded successfully", file, analysisJobId, upload: formatSession(finished) });
+    } catch (error) {
+        if (isNameTakenError(error)) {
+            return res.status(409).json(nameConflictError("file"));
+        }
+        console.error("Complete upload error:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Cancel Upload
+ * Discards the session and everything received
+ * DELETE /api/uploads/:id
+ */
+export const cancelUpload = async (req, res) => {
+    try {
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+
+        if (session.status === "completing") {
+            return res.status(409).json({ error: "Upload is being completed" });
+        }
+
+        await deleteUploadSession(session);
+
+        res.json({ message: "Upload cancelled" });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
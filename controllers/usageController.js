@@ -0,0 +1,98 @@
+import { PrismaClient } from "@prisma/client";
+import { getStorageUsed, getStorageQuota } from "../utils/quotaService.js";
+
+const prisma = new PrismaClient();
+
+// Largest first
+const bySize = (a, b) => b.size - a.size;
+
+/**
+ * Storage Usage
+ * Quota, total usage and a breakdown of live files by category, mimetype and
+ * top-level folder. Older versions and trash count towards the quota and are
+ * reported separately.
+ * GET /api/usage
+ */
+export const getUsage = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const liveFiles = { userId, deletedAt: null };
+
+        const [quota, used, live, trash, categoryGroups, mimetypeGroups, folderGroups, folders] = await Promise.all([
+            getStorageQuota(userId),
+            getStorageUsed(userId),
+            prisma.file.aggregate({ where: liveFiles, _sum: { size: true }, _count: true }),
+            prisma.file.aggregate({ where: { userId, deletedAt: { not: null } }, _sum: { size: true }, _count: true }),
+            prisma.file.groupBy({ by: ["categoryId"], where: liveFiles, _sum: { size: true }, _count: true }),
+            prisma.file.groupBy({ by: ["mimetype"], where: liveFiles, _sum: { size: true }, _count: true }),
+            prisma.file.groupBy({ by: ["folderId"], where: liveFiles, _sum: { size: true }, _count: true }),
+            prisma.folder.findMany({
+                where: { userId, deletedAt: null },
+                select: { id: true, name: true, parentId: true },
+            }),
+        ]);
+
+        const liveSize = live._sum.size || 0;
+        const trashSize = trash._sum.size || 0;
+
+        const categoryIds = categoryGroups.map((group) => group.categoryId).filter(Boolean);
+        const categories = await prisma.category.findMany({
+            where: { id: { in: categoryIds } },
+            select: { id: true, name: true },
+        });
+        const categoryNames = new Map(categories.map((category) => [category.id, category.name]));
+
+        // Roll each folder's files up into its top-level folder
+        const folderMap = new Map(folders.map((folder) => [folder.id, folder]));
+        const getTopLevel = (folderId) => {
+            const seen = new Set();
+            let current = folderMap.get(folderId);
+            while (current?.parentId && folderMap.has(current.parentId) && !seen.has(current.id)) {
+                seen.add(current.id);
+                current = folderMap.get(current.parentId);
+            }
+            return current || null;
+        };
+
+        const topLevel = new Map();
+        folderGroups.forEach((group) => {
+            const folder = group.folderId ? getTopLevel(group.folderId) : null;
+            const key = folder ? folder.id : null;
+            const entry = topLevel.get(key) || { folderId: key, name: folder ? folder.name : "Root", size: 0, count: 0 };
+            entry.size += group._sum.size || 0;
+            entry.count += group._count;
+            topLevel.set(key, entry);
+        });
+
+        res.json({
+            quota,
+            used,
+            remaining: quota === null ? null : Math.max(quota - used, 0),
+            percentUsed: quota ? Math.round((used / quota) * 1000) / 10 : null,
+            breakdown: {
+                files: { size: liveSize, count: live._count },
+                trash: { size: trashSize, count: trash._count },
+                olderVersions: { size: Math.max(used - liveSize - trashSize, 0) },
+            },
+            byCategory: categoryGroups
+                .map((group) => ({
+                    categoryId: group.categoryId,
+                    name: group.categoryId ? categoryNames.get(group.categoryId) || "Unknown" : "Uncategorized",
+                    size: group._sum.size || 0,
+                    count: group._count,
+                }))
+                .sort(bySize),
+            byMimetype: mimetypeGroups
+                .map((group) => ({
+                    mimetype: group.mimetype,
+                    size: group._sum.size || 0,
+                    count: group._count,
+                }))
+                .sort(bySize),
+            byFolder: [...topLevel.values()].sort(bySize),
+        });
+    } catch (error) {
+        console.error("Get usage error:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -1,5 +1,16 @@
 import bcrypt from "bcryptjs";
 import{ PrismaClient } from "@prisma/client";
+import { signVaultToken, unlockWithPassword, getVaultKey, vaultLockedError } from "../utils/vaultService.js";
+import { wrapDataKey, unwrapDataKey, createDataKey } from "../utils/vaultCrypto.js";
+import { encryptPendingVaultFiles } from "../utils/vaultEncryption.js";
+import {
+    getAttemptKeys,
+    reserveAttempt,
+    recordFailedAttempt,
+    clearAttempts,
+    tooManyAttemptsError,
+} from "../utils/attemptLimiter.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
 const prisma = new PrismaClient();
 
 //create user 
@@ -102,6 +113,12 @@ export const deleteUser = async( req, res) =>{
     }
 };
 
+// Send the 429 for an attempt that has to wait (see utils/attemptLimiter.js)
+const sendTooManyAttempts = (res, blocked) => {
+    res.set("Retry-After", String(blocked.retryAfter));
+    return res.status(429).json(tooManyAttemptsError(blocked));
+};
+
 // Verify user password
 export const verifyPassword = async (req, res) => {
     try {
@@ -112,6 +129,10 @@ export const verifyPassword = async (req, res) => {
             return res.status(400).json({ error: "Password is required" });
         }
 
+        const attempt = getAttemptKeys("password", userId, req);
+        const blocked = await reserveAttempt(attempt);
+        if (blocked) return sendTooManyAttempts(res, blocked);
+
         // Get user from database
         const user = await prisma.user.findUnique({ where: { id: userId } });
         if (!user) {
@@ -125,9 +146,12 @@ export const verifyPassword = async (req, res) => {
         // Compare password with hashed password (trim to avoid whitespace issues)
         const match = await bcrypt.compare(password.trim(), user.password);
         if (!match) {
+            await recordFailedAttempt(attempt, { action: "password_failed", userId, req });
             return res.status(401).json({ error: "Incorrect password" });
         }
 
+        await clearAttempts(attempt);
+
         res.json({ message: "Password verified", verified: true });
     } catch (err) {
         console.error("Password verification error:", err);
@@ -135,7 +159,7 @@ export const verifyPassword = async (req, res) => {
     }
 };
 
-// Create or update user lock password
+// Create the user's lock password (changing it goes through changeLockPassword)
 export const setLockPassword = async (req, res) => {
     try {
         const { password } = req.body;
@@ -145,33 +169,55 @@ export const setLockPassword = async (req, res) => {
             return res.status(400).json({ error: "Lock password is required" });
         }
 
+        const user = await prisma.user.findUnique({ where: { id: userId } });
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        if (user.lockPassword) {
+            return res.status(409).json({ error: "Lock password is already set. Change it with your current lock password." });
+        }
+
         // Hash the lock password
         const hashedPassword = await bcrypt.hash(password.trim(), 10);
 
-        // Update user's lock password
-        const user = await prisma.user.update({
+        // Locked files are encrypted with a data key wrapped by the lock password
+        const dataKey = createDataKey();
+        const updated = await prisma.user.update({
             where: { id: userId },
-            data: { lockPassword: hashedPassword },
+            data: {
+                lockPassword: hashedPassword,
+                vaultKey: await wrapDataKey(dataKey, password.trim()),
+            },
         });
 
-        res.json({ message: "Lock password set successfully", hasLockPassword: true });
+        const { vaultToken, expiresAt } = signVaultToken(updated, dataKey);
+
+        res.json({ message: "Lock password set successfully", hasLockPassword: true, vaultToken, expiresAt });
     } catch (err) {
         console.error("Set lock password error:", err);
         res.status(500).json({ error: err.message });
     }
 };
 
-// Verify user lock password
-export const verifyLockPassword = async (req, res) => {
+// Change the lock password, proving it is the owner with either the current
+// lock password or the account password.
+// Body: { newPassword, currentPassword } or { newPassword, accountPassword }
+export const changeLockPassword = async (req, res) => {
     try {
-        const { password } = req.body;
+        const { currentPassword, accountPassword, newPassword } = req.body;
         const userId = req.user.id;
 
-        if (!password || !password.trim()) {
-            return res.status(400).json({ error: "Lock password is required" });
+        if (!newPassword || !newPassword.trim()) {
+            return res.status(400).json({ error: "New lock password is required" });
+        }
+
+        const usesLockPassword = typeof currentPassword === "string" && currentPassword.trim() !== "";
+        const usesAccountPassword = typeof accountPassword === "string" && accountPassword.trim() !== "";
+        if (!usesLockPassword && !usesAccountPassword) {
+            return res.status(400).json({ error: "Current lock password or account password is required" });
         }
 
-        // Get user from database
         const user = await prisma.user.findUnique({ where: { id: userId } });
         if (!user) {
             return res.status(404).json({ error: "User not found" });
@@ -181,13 +227,93 @@ export const verifyLockPassword = async (req, res) => {
             return res.status(400).json({ error: "Lock password not set" });
         }
 
-        // Compare password with hashed lock password
-        const match = await bcrypt.compare(password.trim(), user.lockPassword);
-        if (!match) {
-            return res.status(401).json({ error: "Incorrect lock password" });
+        // Guesses count against whichever password is being tried
+        const attempt = getAttemptKeys(usesLockPassword ? "lock_password" : "password", userId, req);
+        const blocked = await reserveAttempt(attempt);
+        if (blocked) return sendTooManyAttempts(res, blocked);
+
+        // The data key is re-wrapped, not replaced, so nothing is re-encrypted
+        let dataKey;
+        if (usesLockPassword) {
+            const match = await bcrypt.compare(currentPassword.trim(), user.lockPassword);
+            if (!match) {
+                await recordFailedAttempt(attempt, { action: "lock_password_failed", userId, req, details: { reason: "change" } });
+                return res.status(401).json({ error: "Incorrect lock password" });
+            }
+            dataKey = user.vaultKey ? await unwrapDataKey(user.vaultKey, currentPassword.trim()) : createDataKey();
+        } else {
+            if (!user.password) {
+                return res.status(400).json({ error: "This account has no password. Use your current lock password." });
+            }
+
+            const match = await bcrypt.compare(accountPassword.trim(), user.password);
+            if (!match) {
+                await recordFailedAttempt(attempt, { action: "password_failed", userId, req, details: { reason: "change_lock_password" } });
+                return res.status(401).json({ error: "Incorrect password" });
+            }
+
+            // Only the lock password (or an open vault) can unwrap the key
+            dataKey = user.vaultKey ? await getVaultKey(req) : createDataKey();
+            if (!dataKey) {
+                await clearAttempts(attempt);
+                return res.status(403).json({
+                    ...vaultLockedError(),
+                    error: "Locked files are encrypted with your lock password. Open the vault first, or use your current lock password.",
+                });
+            }
+        }
+
+        await clearAttempts(attempt);
+
+        const updated = await prisma.user.update({
+            where: { id: userId },
+            data: {
+                lockPassword: await bcrypt.hash(newPassword.trim(), 10),
+                vaultKey: await wrapDataKey(dataKey, newPassword.trim()),
+            },
+        });
+
+        await recordAuditEvent({
+            action: "lock_password_changed",
+            userId,
+            req,
+            details: { verifiedWith: usesLockPassword ? "lock_password" : "account_password" },
+        });
+
+        // Vault tokens for the old password stop working; hand out a new one
+        const { vaultToken, expiresAt } = signVaultToken(updated, dataKey);
+
+        res.json({ message: "Lock password changed", vaultToken, expiresAt });
+    } catch (err) {
+        console.error("Change lock password error:", err);
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Verify user lock password and open the vault (see utils/vaultService.js)
+export const verifyLockPassword = async (req, res) => {
+    try {
+        const { password } = req.body;
+        const userId = req.user.id;
+
+        if (!password || !password.trim()) {
+            return res.status(400).json({ error: "Lock password is required" });
         }
 
-        res.json({ message: "Lock password verified", verified: true });
+        const result = await unlockWithPassword(req, password);
+        if (result.retryAfter) return sendTooManyAttempts(res, result);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        // The vault token opens locked folders and files for a few minutes
+        const { user, dataKey } = result;
+        const { vaultToken, expiresAt } = signVaultToken(user, dataKey);
+
+        // Anything locked while the vault was closed is encrypted now
+        encryptPendingVaultFiles(userId, dataKey).catch((error) => {
+            console.error("Failed to encrypt pending vault files:", error);
+        });
+
+        res.json({ message: "Lock password verified", verified: true, vaultToken, expiresAt });
     } catch (err) {
         console.error("Lock password verification error:", err);
         res.status(500).json({ error: err.message });
@@ -213,4 +339,55 @@ export const checkLockPassword = async (req, res) => {
         console.error("Check lock password error:", err);
         res.status(500).json({ error: err.message });
     }
-};
\ No newline at end of file
+};
+// Get the current user's settings
+export const getSettings = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { autoAnalyzeUploads: true },
+        });
+
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        res.json({ settings: user });
+    } catch (err) {
+        console.error("Get settings error:", err);
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Update the current user's settings
+export const updateSettings = async (req, res) => {
+    try {
+        const { autoAnalyzeUploads } = req.body || {};
+        const userId = req.user.id;
+
+        const data = {};
+        if (autoAnalyzeUploads !== undefined) {
+            if (typeof autoAnalyzeUploads !== "boolean") {
+                return res.status(400).json({ error: "autoAnalyzeUploads must be true or false" });
+            }
+            data.autoAnalyzeUploads = autoAnalyzeUploads;
+        }
+
+        if (Object.keys(data).length === 0) {
+            return res.status(400).json({ error: "No settings provided" });
+        }
+
+        const user = await prisma.user.update({
+            where: { id: userId },
+            data,
+            select: { autoAnalyzeUploads: true },
+        });
+
+        res.json({ message: "Settings updated", settings: user });
+    } catch (err) {
+        console.error("Update settings error:", err);
+        res.status(500).json({ error: err.message });
+    }
+};
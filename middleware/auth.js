@@ -14,6 +14,12 @@ export const auth =( req, res ,next) =>{
             console.error("Token decoded but missing user ID:", decoded);
             return res.status(401).json({error: "Invalid token: missing user ID"});
         }
+
+        // Vault and other purpose tokens are signed with the same secret
+        // but are not access tokens
+        if (decoded.aud || decoded.purpose || decoded.scope) {
+            return res.status(401).json({error: "Invalid token type"});
+        }
         
         next();
     }catch(err){
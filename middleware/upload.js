@@ -1,23 +1,35 @@
 import multer from "multer";
 import path from "path";
+import fs from "fs";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+export const UPLOADS_DIR = path.join(__dirname, "../uploads");
+
+// Multipart uploads land here first; they are then moved into storage
+export const INCOMING_DIR = path.join(__dirname, "../temp/incoming");
+if (!fs.existsSync(INCOMING_DIR)) {
+  fs.mkdirSync(INCOMING_DIR, { recursive: true });
+}
+
+// Generate unique filename: timestamp-originalname
+export const uniqueFileName = (originalname) => {
+  const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1E9);
+  const ext = path.extname(originalname);
+  const name = path.basename(originalname, ext);
+  return `${uniqueSuffix}-${name}${ext}`;
+};
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    // Store files in uploads directory
-    cb(null, path.join(__dirname, "../uploads"));
+    cb(null, INCOMING_DIR);
   },
   filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-originalname
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    cb(null, `${uniqueSuffix}-${name}${ext}`);
+    cb(null, uniqueFileName(file.originalname));
   },
 });
 
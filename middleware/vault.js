@@ -0,0 +1,41 @@
+import { hasVaultAccess, unlockWithPassword, vaultLockedError } from "../utils/vaultService.js";
+import { tooManyAttemptsError } from "../utils/attemptLimiter.js";
+
+// For routes that only deal with vault items (locked listings, unlocking);
+// runs after auth and requires a valid X-Vault-Token
+export const requireVault = async (req, res, next) => {
+    try {
+        if (!(await hasVaultAccess(req))) {
+            return res.status(403).json(vaultLockedError());
+        }
+        next();
+    } catch (err) {
+        console.error("Vault token check error:", err.message);
+        res.status(500).json({ error: "Unable to verify vault token" });
+    }
+};
+
+// Like requireVault, but the lock password may be sent in the body
+// ({ password }) instead of a vault token
+export const requireVaultOrLockPassword = async (req, res, next) => {
+    try {
+        if (await hasVaultAccess(req)) return next();
+
+        const password = req.body?.password;
+        if (typeof password !== "string" || !password.trim()) {
+            return res.status(403).json(vaultLockedError());
+        }
+
+        const result = await unlockWithPassword(req, password);
+        if (result.retryAfter) {
+            res.set("Retry-After", String(result.retryAfter));
+            return res.status(429).json(tooManyAttemptsError(result));
+        }
+        if (result.error) return res.status(result.status).json({ error: result.error });
+
+        next();
+    } catch (err) {
+        console.error("Lock password check error:", err.message);
+        res.status(500).json({ error: "Unable to verify lock password" });
+    }
+};
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "Share" (
+    "id" SERIAL NOT NULL,
+    "token" TEXT NOT NULL,
+    "itemType" TEXT NOT NULL,
+    "itemId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "password" TEXT,
+    "maxDownloads" INTEGER,
+    "downloadCount" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Share_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Share_token_key" ON "Share"("token");
+
+-- CreateIndex
+CREATE INDEX "Share_userId_idx" ON "Share"("userId");
+
+-- AddForeignKey
+ALTER TABLE "Share" ADD CONSTRAINT "Share_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
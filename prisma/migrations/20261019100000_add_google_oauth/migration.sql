@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "authMethod" TEXT NOT NULL DEFAULT 'local',
+ADD COLUMN     "avatar" TEXT,
+ADD COLUMN     "emailVerified" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "googleEmail" TEXT,
+ADD COLUMN     "googleId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_googleId_key" ON "User"("googleId");
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "isTrashRoot" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "originalPath" TEXT;
+
+-- AlterTable
+ALTER TABLE "Folder" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "isTrashRoot" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "originalPath" TEXT;
+
+-- CreateIndex
+CREATE INDEX "File_userId_deletedAt_idx" ON "File"("userId", "deletedAt");
+
+-- CreateIndex
+CREATE INDEX "Folder_userId_deletedAt_idx" ON "Folder"("userId", "deletedAt");
@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN     "currentVersion" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "FileVersion" (
+    "id" SERIAL NOT NULL,
+    "fileId" INTEGER NOT NULL,
+    "versionNumber" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "mimetype" TEXT NOT NULL,
+    "magicLensSummary" TEXT,
+    "magicLensKeyPoints" TEXT,
+    "magicLensFileType" TEXT,
+    "magicLensConfidence" DOUBLE PRECISION,
+    "magicLensAnalyzedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FileVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FileVersion_fileId_versionNumber_key" ON "FileVersion"("fileId", "versionNumber");
+
+-- AddForeignKey
+ALTER TABLE "FileVersion" ADD CONSTRAINT "FileVersion_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "File"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing files become version 1 of themselves
+INSERT INTO "FileVersion" ("fileId", "versionNumber", "name", "url", "size", "mimetype", "magicLensSummary", "magicLensKeyPoints", "magicLensFileType", "magicLensConfidence", "magicLensAnalyzedAt", "createdAt")
+SELECT "id", 1, "name", "url", "size", "mimetype", "magicLensSummary", "magicLensKeyPoints", "magicLensFileType", "magicLensConfidence", "magicLensAnalyzedAt", "createdAt"
+FROM "File";
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN     "extractedText" TEXT;
+
+-- AlterTable
+ALTER TABLE "FileVersion" ADD COLUMN     "extractedText" TEXT;
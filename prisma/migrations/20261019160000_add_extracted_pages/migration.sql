@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN     "extractedPages" TEXT;
+
+-- AlterTable
+ALTER TABLE "FileVersion" ADD COLUMN     "extractedPages" TEXT;
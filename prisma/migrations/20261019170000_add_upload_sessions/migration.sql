@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "UploadSession" (
+    "id" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "mimetype" TEXT NOT NULL,
+    "totalSize" INTEGER NOT NULL,
+    "receivedBytes" INTEGER NOT NULL DEFAULT 0,
+    "checksum" TEXT,
+    "folderId" INTEGER,
+    "replaceFileId" INTEGER,
+    "isLocked" BOOLEAN NOT NULL DEFAULT false,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "fileId" INTEGER,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "UploadSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "UploadSession_userId_idx" ON "UploadSession"("userId");
+
+-- CreateIndex
+CREATE INDEX "UploadSession_expiresAt_idx" ON "UploadSession"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "UploadSession" ADD CONSTRAINT "UploadSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
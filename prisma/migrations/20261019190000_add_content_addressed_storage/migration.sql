@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN     "contentHash" TEXT;
+
+-- AlterTable
+ALTER TABLE "FileVersion" ADD COLUMN     "contentHash" TEXT;
+
+-- CreateTable
+CREATE TABLE "Blob" (
+    "hash" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "refCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Blob_pkey" PRIMARY KEY ("hash")
+);
+
+-- CreateIndex
+CREATE INDEX "File_userId_contentHash_idx" ON "File"("userId", "contentHash");
+
+-- CreateIndex
+CREATE INDEX "FileVersion_contentHash_idx" ON "FileVersion"("contentHash");
+
+-- AddForeignKey
+ALTER TABLE "FileVersion" ADD CONSTRAINT "FileVersion_contentHash_fkey" FOREIGN KEY ("contentHash") REFERENCES "Blob"("hash") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "vaultKey" TEXT;
+
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN     "isEncrypted" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "FileVersion" ADD COLUMN     "isEncrypted" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,74 @@
+-- Number existing duplicate names among live siblings the way the app does
+-- (utils/nameConflict.js getAvailableName): the oldest keeps its name, the
+-- others get the first free "Photos (2)", "Report (3).pdf", skipping names
+-- some sibling already has
+DO $$
+DECLARE
+    "dup" RECORD;
+    "base" TEXT;
+    "extension" TEXT;
+    "candidate" TEXT;
+    "number" INTEGER;
+BEGIN
+    FOR "dup" IN
+        SELECT "id", "userId", "parentId", "name" FROM (
+            SELECT "id", "userId", "parentId", "name",
+                ROW_NUMBER() OVER (PARTITION BY "userId", COALESCE("parentId", 0), "name" ORDER BY "id") AS "n"
+            FROM "Folder"
+            WHERE "deletedAt" IS NULL
+        ) AS "ranked"
+        WHERE "n" > 1
+        ORDER BY "id"
+    LOOP
+        "number" := 2;
+        LOOP
+            "candidate" := "dup"."name" || ' (' || "number" || ')';
+            EXIT WHEN NOT EXISTS (
+                SELECT 1 FROM "Folder"
+                WHERE "userId" = "dup"."userId"
+                    AND COALESCE("parentId", 0) = COALESCE("dup"."parentId", 0)
+                    AND "name" = "candidate"
+                    AND "deletedAt" IS NULL
+            );
+            "number" := "number" + 1;
+        END LOOP;
+        UPDATE "Folder" SET "name" = "candidate" WHERE "id" = "dup"."id";
+    END LOOP;
+
+    FOR "dup" IN
+        SELECT "id", "userId", "folderId", "name" FROM (
+            SELECT "id", "userId", "folderId", "name",
+                ROW_NUMBER() OVER (PARTITION BY "userId", COALESCE("folderId", 0), "name" ORDER BY "id") AS "n"
+            FROM "File"
+            WHERE "deletedAt" IS NULL
+        ) AS "ranked"
+        WHERE "n" > 1
+        ORDER BY "id"
+    LOOP
+        -- Numbered before the extension: "Report.pdf" -> "Report (2).pdf"
+        "base" := regexp_replace("dup"."name", '^(.+?)(\.[^.]*)?$', '\1');
+        "extension" := substr("dup"."name", length("base") + 1);
+        "number" := 2;
+        LOOP
+            "candidate" := "base" || ' (' || "number" || ')' || "extension";
+            EXIT WHEN NOT EXISTS (
+                SELECT 1 FROM "File"
+                WHERE "userId" = "dup"."userId"
+                    AND COALESCE("folderId", 0) = COALESCE("dup"."folderId", 0)
+                    AND "name" = "candidate"
+                    AND "deletedAt" IS NULL
+            );
+            "number" := "number" + 1;
+        END LOOP;
+        UPDATE "File" SET "name" = "candidate" WHERE "id" = "dup"."id";
+    END LOOP;
+END $$;
+
+-- Live siblings have unique names (partial expression indexes, which the
+-- Prisma schema can't describe)
+CREATE UNIQUE INDEX "Folder_sibling_name_key" ON "Folder"("userId", COALESCE("parentId", 0), "name") WHERE "deletedAt" IS NULL;
+
+CREATE UNIQUE INDEX "File_sibling_name_key" ON "File"("userId", COALESCE("folderId", 0), "name") WHERE "deletedAt" IS NULL;
+
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN "onConflict" TEXT;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN     "description" TEXT,
+ADD COLUMN     "metadata" TEXT;
+
+-- CreateIndex
+CREATE INDEX "File_userId_updatedAt_idx" ON "File"("userId", "updatedAt");
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "QuotaReservation" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "bytes" BIGINT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "QuotaReservation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "QuotaReservation_userId_idx" ON "QuotaReservation"("userId");
+
+-- AddForeignKey
+ALTER TABLE "QuotaReservation" ADD CONSTRAINT "QuotaReservation_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- Trigram matching for search (word_similarity, and ILIKE through the indexes)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- CreateIndex
+CREATE INDEX "Folder_name_idx" ON "Folder" USING GIN ("name" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "File_name_idx" ON "File" USING GIN ("name" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "File_extractedText_idx" ON "File" USING GIN ("extractedText" gin_trgm_ops);
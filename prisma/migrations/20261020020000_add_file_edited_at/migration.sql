@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "File" ADD COLUMN     "editedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing files were last edited when their newest version was stored
+UPDATE "File" SET "editedAt" = COALESCE(
+    (SELECT MAX(v."createdAt") FROM "FileVersion" v WHERE v."fileId" = "File"."id"),
+    "File"."createdAt"
+);
+
+-- DropIndex
+DROP INDEX "File_userId_updatedAt_idx";
+
+-- CreateIndex
+CREATE INDEX "File_userId_editedAt_idx" ON "File"("userId", "editedAt");
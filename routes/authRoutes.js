@@ -1,18 +1,39 @@
 import express from "express";
-import { getUsers, verifyPassword, setLockPassword, verifyLockPassword, checkLockPassword} from "../controllers/userController.js";
-import { signup, login, logout } from "../controllers/authController.js";
+import { getUsers, verifyPassword, setLockPassword, changeLockPassword, verifyLockPassword, checkLockPassword, getSettings, updateSettings} from "../controllers/userController.js";
+import {
+    signup, login, refresh, logout, logoutAll,
+    verifyEmail, resendVerification, forgotPassword, resetPassword,
+    googleAuth, googleCallback, googleLinkStart, googleLinkConfirm, googleUnlink,
+} from "../controllers/authController.js";
 import { auth } from "../middleware/auth.js";
 
 const router = express.Router();
 
 router.post("/signup", signup);
 router.post("/login", login);
+router.post("/verify-email", verifyEmail);
+router.post("/resend-verification", resendVerification);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/refresh", refresh);
+router.post("/logout", logout);
 router.get("/logout", logout);
+router.post("/logout-all", auth, logoutAll);
+
+// Google OAuth
+router.get("/google", googleAuth);
+router.get("/google/callback", googleCallback);
+router.post("/google/link", auth, googleLinkStart);
+router.post("/google/link/confirm", auth, googleLinkConfirm);
+router.post("/google/unlink", auth, googleUnlink);
 
 router.get("/all", getUsers);
 router.post("/users/verify-password", auth, verifyPassword);
 router.post("/users/set-lock-password", auth, setLockPassword);
+router.post("/users/change-lock-password", auth, changeLockPassword);
 router.post("/users/verify-lock-password", auth, verifyLockPassword);
 router.get("/users/check-lock-password", auth, checkLockPassword);
+router.get("/users/settings", auth, getSettings);
+router.put("/users/settings", auth, updateSettings);
 
 export default router;
@@ -6,15 +6,23 @@ import {
     getRootFiles,
     getSingleFile, 
     deleteFile,
+    updateFile,
     serveFile,
     moveFile,
     getLockedFiles,
+    lockFile,
     unlockFile,
     assignCategoryToFile,
     getFilesByCategory,
     getRecentFiles,
+    getFileVersions,
+    serveFileVersion,
+    restoreVersion,
+    getDuplicateFiles,
+    serveThumbnail,
 } from "../controllers/fileController.js";
 import { auth } from "../middleware/auth.js";
+import { requireVault, requireVaultOrLockPassword } from "../middleware/vault.js";
 import { upload } from "../middleware/upload.js";
 
 const router = express.Router();
@@ -35,8 +43,11 @@ router.get("/recent", auth, getRecentFiles);
 // Usage: GET /api/files?category=Documents
 router.get("/", auth, getFilesByCategory);
 
-// Get all locked files for the current user
-router.get("/locked", auth, getLockedFiles);
+// Get all locked files for the current user (needs an open vault: X-Vault-Token)
+router.get("/locked", auth, requireVault, getLockedFiles);
+
+// Groups of files with identical content
+router.get("/duplicates", auth, getDuplicateFiles);
 
 // Get all files in a folder (or root if folderId is "root")
 router.get("/folder/:folderId", auth, getFilesInFolder);
@@ -44,17 +55,36 @@ router.get("/folder/:folderId", auth, getFilesInFolder);
 // Serve/download file
 router.get("/:id/download", auth, serveFile);
 
+// Thumbnail of an image or PDF (?size=small|medium|large)
+router.get("/:id/thumbnail", auth, serveThumbnail);
+
+// List versions of a file
+router.get("/:id/versions", auth, getFileVersions);
+
+// Serve/download a specific version
+router.get("/:id/versions/:version/download", auth, serveFileVersion);
+
+// Restore a prior version
+router.post("/:id/versions/:version/restore", auth, restoreVersion);
+
 // Get single file info
 router.get("/:id", auth, getSingleFile);
 
+// Rename file and/or edit its description and metadata
+// Body: { name, changeExtension, description, metadata }
+router.put("/:id", auth, updateFile);
+
 // Delete file
 router.delete("/:id", auth, deleteFile);
 
 // Move file
 router.put("/:id/move", auth, moveFile);
 
-// Unlock file
-router.post("/unlock/:id", auth, unlockFile);
+// Lock file (needs an open vault, its content gets encrypted)
+router.post("/lock/:id", auth, lockFile);
+
+// Unlock file (needs an open vault, or the lock password in the body)
+router.post("/unlock/:id", auth, requireVaultOrLockPassword, unlockFile);
 
 // Assign category to file
 router.post("/assign-category", auth, assignCategoryToFile);
@@ -5,9 +5,10 @@ import{
     lockFolder,
     unlockFolder,toggleImportant,getAllFoldersWithContents,
     getFolderById, renameFolder, getLockedFolders, getImportantFolders,
-    moveFolder, shareFolders
+    moveFolder, shareFolders, getFolderTree
 }from "../controllers/folderController.js";
 import { auth } from "../middleware/auth.js";
+import { requireVault, requireVaultOrLockPassword } from "../middleware/vault.js";
 
 const router = express.Router();
 
@@ -18,7 +19,11 @@ router.get("/", auth, getAllFolders);
 // ✅ New route to fetch all folders with subfolders and files (must come before /:id)
 router.get("/contents", auth, getAllFoldersWithContents);
 
-router.get("/locked", auth, getLockedFolders);
+// Whole hierarchy with file counts and sizes (?rootId=, ?depth=)
+router.get("/tree", auth, getFolderTree);
+
+// Locked folders (needs an open vault: X-Vault-Token)
+router.get("/locked", auth, requireVault, getLockedFolders);
 router.get("/important", auth, getImportantFolders);
 
 router.get("/:id", auth, getFolderById);
@@ -35,7 +40,8 @@ router.delete("/subfolder/:id", auth, deleteSubfolder);
 
 router.post("/lock/:id", auth, lockFolder);
 
-router.post("/unlock/:id", auth, unlockFolder);
+// Unlock folder (needs an open vault, or the lock password in the body)
+router.post("/unlock/:id", auth, requireVaultOrLockPassword, unlockFolder);
 
 router.post("/important/:id", auth, toggleImportant);
 
@@ -3,7 +3,9 @@ import {
     moveItem,
     duplicateItem,
     deleteItem,
-    shareItem
+    shareItem,
+    listItemShares,
+    batchItems
 } from "../controllers/itemsController.js";
 import { auth } from "../middleware/auth.js";
 
@@ -14,6 +16,11 @@ const router = express.Router();
  * These routes handle both files and folders
  */
 
+// Apply one action to many items (multi-select):
+// { items: [{ id, type }], action, dryRun, ...options }
+// action: move, duplicate, delete, lock, markImportant or assignCategory
+router.post("/batch", auth, batchItems);
+
 // Move item (file or folder) to a different location
 router.put("/:id/move", auth, moveItem);
 
@@ -28,6 +35,14 @@ router.delete("/:id", auth, deleteItem);
 // Type must be provided as query parameter: ?type=file or ?type=folder
 router.get("/:id/share", auth, shareItem);
 
+// Same as above, with optional link settings in the body:
+// { expiresInDays, password, maxDownloads }
+router.post("/:id/share", auth, shareItem);
+
+// List the item's active share links (creates nothing)
+// Type must be provided as query parameter: ?type=file or ?type=folder
+router.get("/:id/shares", auth, listItemShares);
+
 export default router;
 
 
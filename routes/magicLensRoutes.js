@@ -1,5 +1,5 @@
 import express from "express";
-import { analyzeFile, getAnalysis, analyzeUploadedFile } from "../controllers/magicLensController.js";
+import { analyzeFile, analyzeAllFiles, getAnalysis, analyzeUploadedFile, getAnalysisJob } from "../controllers/magicLensController.js";
 import { auth } from "../middleware/auth.js";
 import { upload } from "../middleware/upload.js";
 
@@ -9,8 +9,15 @@ const router = express.Router();
 router.post("/analyze-upload", auth, upload.single("file"), analyzeUploadedFile);
 
 // Analyze file with Magic Lens (from database)
+// Queues a background job and returns its id, or the saved analysis if there is one
 router.post("/analyze/:id", auth, analyzeFile);
 
+// Queue analysis for all of the user's un-analyzed files
+router.post("/analyze-all", auth, analyzeAllFiles);
+
+// Status/progress of an analysis job
+router.get("/jobs/:jobId", auth, getAnalysisJob);
+
 // Get saved analysis for a file
 router.get("/analysis/:id", auth, getAnalysis);
 
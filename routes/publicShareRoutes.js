@@ -0,0 +1,21 @@
+import express from "express";
+import { getSharedItem, downloadSharedFile } from "../controllers/shareController.js";
+
+const router = express.Router();
+
+/**
+ * Public Share Routes
+ * No JWT required - access is controlled by the share token
+ * (and its password, if one was set, via the X-Share-Password header or a
+ * POST body { password }; never the URL, which ends up in logs and history)
+ */
+
+// Open a share link: streams a shared file, or lists a shared folder (?folderId= to browse)
+router.get("/:token", getSharedItem);
+router.post("/:token", getSharedItem);
+
+// Download a file from inside a shared folder
+router.get("/:token/files/:fileId", downloadSharedFile);
+router.post("/:token/files/:fileId", downloadSharedFile);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from "express";
+import { search } from "../controllers/searchController.js";
+import { auth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Search files, folders, categories and document text
+// Usage: GET /api/search?q=invoice&mimetype=application/pdf
+router.get("/", auth, search);
+
+export default router;
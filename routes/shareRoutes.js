@@ -0,0 +1,13 @@
+import express from "express";
+import { listShares, revokeShare } from "../controllers/shareController.js";
+import { auth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// List the current user's active share links
+router.get("/", auth, listShares);
+
+// Revoke a share link
+router.delete("/:id", auth, revokeShare);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from "express";
+import { getTrash, restoreItem, purgeItem, emptyTrash } from "../controllers/trashController.js";
+import { auth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+/**
+ * Trash Routes
+ * Type must be provided as query parameter for single items: ?type=file or ?type=folder
+ */
+
+// List deleted files and folders
+router.get("/", auth, getTrash);
+
+// Empty the trash (permanent)
+router.delete("/", auth, emptyTrash);
+
+// Restore item to its original location
+router.post("/:id/restore", auth, restoreItem);
+
+// Permanently delete a single item
+router.delete("/:id", auth, purgeItem);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from "express";
+import {
+    initUpload,
+    getUploadStatus,
+    uploadChunk,
+    completeUpload,
+    cancelUpload,
+} from "../controllers/uploadController.js";
+import { auth } from "../middleware/auth.js";
+import { MAX_CHUNK_SIZE } from "../utils/uploadService.js";
+
+const router = express.Router();
+
+/**
+ * Resumable Upload Routes
+ * init -> PUT chunks at ?offset= -> complete; GET the session to find where to resume
+ */
+
+// Start an upload
+router.post("/", auth, initUpload);
+
+// Current offset/status
+router.get("/:id", auth, getUploadStatus);
+
+// Upload a chunk (raw bytes, any content type)
+router.put("/:id", auth, express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }), uploadChunk);
+
+// Verify and create the file
+router.post("/:id/complete", auth, completeUpload);
+
+// Cancel and discard
+router.delete("/:id", auth, cancelUpload);
+
+export default router;
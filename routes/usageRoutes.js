@@ -0,0 +1,10 @@
+import express from "express";
+import { getUsage } from "../controllers/usageController.js";
+import { auth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Storage quota and usage breakdown for the current user
+router.get("/", auth, getUsage);
+
+export default router;
@@ -0,0 +1,51 @@
+/**
+ * Check Google OAuth configuration
+ * Run this script to confirm the environment is ready for Google sign-in
+ */
+
+import "dotenv/config";
+
+function checkOAuthConfig() {
+  console.log('🔍 Checking Google OAuth configuration...\n');
+
+  const required = ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'JWT_SECRET'];
+  const optional = {
+    GOOGLE_CALLBACK_URL: '/api/auth/google/callback',
+    SESSION_SECRET: 'falls back to JWT_SECRET',
+    FRONTEND_URL: 'https://frontend-fy.vercel.app',
+  };
+
+  let ok = true;
+
+  required.forEach(name => {
+    if (process.env[name]) {
+      console.log(`   ✓ ${name}`);
+    } else {
+      console.error(`   ✗ ${name} is not set`);
+      ok = false;
+    }
+  });
+
+  Object.entries(optional).forEach(([name, fallback]) => {
+    if (process.env[name]) {
+      console.log(`   ✓ ${name} = ${name.includes('SECRET') ? '(set)' : process.env[name]}`);
+    } else {
+      console.log(`   - ${name} not set (default: ${fallback})`);
+    }
+  });
+
+  const frontendUrl = process.env.FRONTEND_URL || optional.FRONTEND_URL;
+  console.log(`\n📋 Authorized redirect URI to register in Google Cloud Console:`);
+  console.log(`   ${process.env.GOOGLE_CALLBACK_URL || '<backend origin>/api/auth/google/callback'}`);
+  console.log(`📋 Frontend receives the result at:`);
+  console.log(`   ${frontendUrl}/auth/google/callback`);
+
+  if (ok) {
+    console.log('\n✅ Google OAuth is configured!');
+  } else {
+    console.error('\n❌ Google OAuth is not fully configured. Add the missing variables to .env');
+  }
+  return ok;
+}
+
+process.exit(checkOAuthConfig() ? 0 : 1);
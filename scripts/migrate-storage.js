@@ -0,0 +1,88 @@
+/**
+ * Copy stored content from one storage driver to another
+ * Copies every blob (and any content stored before deduplication or
+ * encrypted in a vault) that the database refers to, and the thumbnails made
+ * of the blobs; objects already in the target with the same size are
+ * skipped, so it is safe to run again if interrupted. Switch STORAGE_DRIVER
+ * to the target once it has finished.
+ * Usage: node scripts/migrate-storage.js <local|s3> <local|s3> [--delete-source]
+ */
+
+import "dotenv/config";
+import { PrismaClient } from '@prisma/client';
+import { STORAGE_DRIVERS, createStorageDriver, getStorageKey } from '../utils/storage.js';
+import { getBlobKey } from '../utils/blobService.js';
+import { THUMBNAIL_SIZES, getThumbnailKey } from '../utils/thumbnailService.js';
+
+const prisma = new PrismaClient();
+
+async function migrateStorage() {
+  const [from, to] = process.argv.slice(2).filter((arg) => !arg.startsWith('--'));
+  const deleteSource = process.argv.includes('--delete-source');
+
+  if (!STORAGE_DRIVERS.includes(from) || !STORAGE_DRIVERS.includes(to) || from === to) {
+    console.error('Usage: node scripts/migrate-storage.js <local|s3> <local|s3> [--delete-source]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const source = createStorageDriver(from);
+  const target = createStorageDriver(to);
+
+  const blobs = await prisma.blob.findMany({ select: { hash: true } });
+  const legacyVersions = await prisma.fileVersion.findMany({
+    where: { contentHash: null },
+    select: { url: true },
+  });
+
+  const keys = [
+    ...blobs.map((blob) => getBlobKey(blob.hash)),
+    ...new Set(legacyVersions.map((version) => getStorageKey(version.url)).filter(Boolean)),
+  ];
+  // Only made for some blobs (and on demand), so absent ones aren't missing
+  const thumbnailKeys = new Set(blobs.flatMap((blob) =>
+    Object.keys(THUMBNAIL_SIZES).map((size) => getThumbnailKey(blob.hash, size))
+  ));
+
+  console.log(`🔍 Copying ${keys.length} stored object(s) and their thumbnails from ${from} to ${to}...\n`);
+
+  let copied = 0;
+  let skipped = 0;
+  let missing = 0;
+  let thumbnails = 0;
+
+  for (const key of [...keys, ...thumbnailKeys]) {
+    const isThumbnail = thumbnailKeys.has(key);
+    const stored = await source.stat(key);
+    if (!stored) {
+      if (!isThumbnail) {
+        console.warn(`   ⚠ ${key} not found in ${from}`);
+        missing++;
+      }
+      continue;
+    }
+    if (isThumbnail) thumbnails++;
+
+    const existing = await target.stat(key);
+    if (existing && existing.size === stored.size) {
+      skipped++;
+    } else {
+      await source.withLocalFile(key, (filePath) => target.putFile(key, filePath));
+      copied++;
+      console.log(`   ✓ ${key}`);
+    }
+
+    if (deleteSource) await source.delete(key);
+  }
+
+  console.log(`\n✅ Copied ${copied}, already present ${skipped} (${thumbnails} of these are thumbnails), missing ${missing}`);
+  if (deleteSource) console.log(`   Removed the copies from ${from}`);
+  console.log(`   Set STORAGE_DRIVER=${to} to serve from the new storage`);
+}
+
+migrateStorage()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,73 @@
+/**
+ * Move files stored before deduplication into content-addressed blobs
+ * Hashes every version that has no contentHash yet, stores it once per
+ * SHA-256 and deletes the old copy. Safe to run again if interrupted.
+ * Usage: node scripts/migrate-to-blobs.js
+ */
+
+import "dotenv/config";
+import { PrismaClient } from '@prisma/client';
+import { ingestFile, retainBlob } from '../utils/blobService.js';
+import { getStorage, getStorageKey } from '../utils/storage.js';
+
+const prisma = new PrismaClient();
+
+async function migrateToBlobs() {
+  console.log('🔍 Looking for files stored before deduplication...\n');
+
+  const storage = getStorage();
+  const versions = await prisma.fileVersion.findMany({
+    // Encrypted (locked) content stays where it is
+    where: { contentHash: null, isEncrypted: false },
+    select: { id: true, fileId: true, url: true },
+    orderBy: { id: 'asc' },
+  });
+
+  // Group by url so content shared by several rows is only read once
+  const byUrl = new Map();
+  versions.forEach((version) => {
+    byUrl.set(version.url, [...(byUrl.get(version.url) || []), version]);
+  });
+
+  let migrated = 0;
+  let missing = 0;
+
+  for (const [url, rows] of byUrl) {
+    const key = getStorageKey(url);
+
+    if (!key || !(await storage.exists(key))) {
+      console.warn(`   ⚠ ${url} not found, left as is (${rows.length} version(s))`);
+      missing += rows.length;
+      continue;
+    }
+
+    const blob = await storage.withLocalFile(key, (filePath) => ingestFile(filePath, { keepSource: true }));
+    for (let i = 1; i < rows.length; i++) {
+      await retainBlob(blob.hash);
+    }
+
+    await prisma.$transaction([
+      prisma.fileVersion.updateMany({
+        where: { id: { in: rows.map((row) => row.id) } },
+        data: { url: blob.url, contentHash: blob.hash },
+      }),
+      prisma.file.updateMany({
+        where: { id: { in: rows.map((row) => row.fileId) }, url },
+        data: { url: blob.url, contentHash: blob.hash },
+      }),
+    ]);
+
+    await storage.delete(key);
+    migrated += rows.length;
+    console.log(`   ✓ ${url} → ${blob.url}`);
+  }
+
+  console.log(`\n✅ Migrated ${migrated} version(s); ${missing} without stored content`);
+}
+
+migrateToBlobs()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,57 @@
+/**
+ * Set a user's storage quota
+ * Usage: node scripts/set-storage-quota.js <email> <megabytes|unlimited|default>
+ */
+
+import "dotenv/config";
+import { PrismaClient } from '@prisma/client';
+import { DEFAULT_STORAGE_QUOTA_MB, getStorageUsed } from '../utils/quotaService.js';
+
+const prisma = new PrismaClient();
+
+async function setStorageQuota() {
+  const [email, value] = process.argv.slice(2);
+
+  if (!email || !value) {
+    console.error('Usage: node scripts/set-storage-quota.js <email> <megabytes|unlimited|default>');
+    process.exit(1);
+  }
+
+  let storageQuotaMb;
+  if (value === 'default') {
+    storageQuotaMb = null;
+  } else if (value === 'unlimited') {
+    storageQuotaMb = 0;
+  } else {
+    storageQuotaMb = Number(value);
+    if (!Number.isInteger(storageQuotaMb) || storageQuotaMb <= 0) {
+      console.error('❌ Quota must be a positive number of megabytes, "unlimited" or "default"');
+      process.exit(1);
+    }
+  }
+
+  try {
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user) {
+      console.error(`❌ No user with email ${email}`);
+      process.exit(1);
+    }
+
+    await prisma.user.update({ where: { id: user.id }, data: { storageQuotaMb } });
+
+    const used = await getStorageUsed(user.id);
+    const label = storageQuotaMb === null
+      ? `default (${DEFAULT_STORAGE_QUOTA_MB || 'unlimited'} MB)`
+      : storageQuotaMb === 0 ? 'unlimited' : `${storageQuotaMb} MB`;
+
+    console.log(`✅ Storage quota for ${email} set to ${label}`);
+    console.log(`   Currently using ${(used / (1024 * 1024)).toFixed(1)} MB`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+setStorageQuota().catch((error) => {
+  console.error('❌ Failed to set storage quota:', error.message);
+  process.exit(1);
+});
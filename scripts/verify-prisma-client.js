@@ -37,7 +37,6 @@ async function verifyPrismaClient() {
       'emailVerified',
       'isActive',
       'lastLogin',
-      'refreshToken',
       'updatedAt'
     ];
 
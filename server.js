@@ -1,5 +1,8 @@
+import "dotenv/config"; // load .env before any module reads process.env
 import express from "express";
 import cors from "cors";
+import session from "express-session";
+import passport from "./config/passport.js";
 import authRoutes from "./routes/authRoutes.js";
 import folderRoutes from "./routes/folderRoutes.js";
 import {auth} from "./middleware/auth.js";
@@ -7,17 +10,49 @@ import fileRoutes from "./routes/fileRoutes.js";
 import itemsRoutes from "./routes/itemsRoutes.js";
 import magicLensRoutes from "./routes/magicLensRoutes.js";
 import categoryRoutes from "./routes/categoryRoutes.js";
-import dotenv from "dotenv";
+import shareRoutes from "./routes/shareRoutes.js";
+import publicShareRoutes from "./routes/publicShareRoutes.js";
+import trashRoutes from "./routes/trashRoutes.js";
+import searchRoutes from "./routes/searchRoutes.js";
+import uploadRoutes from "./routes/uploadRoutes.js";
+import usageRoutes from "./routes/usageRoutes.js";
+import { startTrashPurgeSchedule } from "./utils/trashService.js";
+import { startJobWorker } from "./utils/jobQueue.js";
+import { startUploadCleanupSchedule } from "./utils/uploadService.js";
+import { startAttemptCleanupSchedule } from "./utils/attemptLimiter.js";
+import { ensureSiblingNameIndexes } from "./utils/nameConflict.js";
 import { PrismaClient } from "@prisma/client";
 
-dotenv.config();
 const app = express();
 const prisma = new PrismaClient();// Prisma Client (DB connection)
 
+// Behind a proxy every request comes from the proxy's address, so req.ip
+// (audit log, per-address attempt limits) would lump all clients together.
+// TRUST_PROXY says which X-Forwarded-For hops to believe: a hop count ("1"
+// for a single proxy in front), addresses or subnets ("loopback",
+// "10.0.0.0/8, uniquelocal"), or "true" when nothing can reach the app
+// except through the proxy. Unset, req.ip is the connecting address.
+const parseTrustProxy = (value) => {
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === "true" || value === "false") return value === "true";
+  return value;
+};
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY.trim()));
+}
+
 // Test Prisma connection
 prisma.$connect()
   .then(async () => {
     console.log("✅ PostgreSQL connected via Prisma");
+
+    // The unique sibling name indexes aren't in the schema, so a
+    // `prisma migrate dev` can drop them (see utils/nameConflict.js)
+    const recreated = await ensureSiblingNameIndexes().catch((error) => {
+      console.error("❌ Unique name indexes are missing and could not be recreated:", error);
+      return [];
+    });
+    if (recreated.length > 0) console.warn(`⚠️ Recreated missing index(es): ${recreated.join(", ")}`);
   })
   .catch((error) => {
     console.error("❌ Failed to connect to PostgreSQL:", error);
@@ -28,14 +63,30 @@ const corsOptions = {
   origin: process.env.FRONTEND_URL || "https://frontend-fy.vercel.app",
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Share-Password", "X-Vault-Token"],
 };
 
 app.use(cors(corsOptions));
 app.options(/.*/, cors(corsOptions));
 
 app.use(express.json());
-app.use(express.static("uploads")); // Serve uploaded files
+
+// Session is only used to carry OAuth state through the Google redirect
+if (!process.env.SESSION_SECRET && !process.env.JWT_SECRET) {
+  throw new Error("SESSION_SECRET or JWT_SECRET must be set");
+}
+app.use(session({
+  secret: process.env.SESSION_SECRET || process.env.JWT_SECRET,
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    maxAge: 10 * 60 * 1000,
+  },
+}));
+app.use(passport.initialize());
 
 // Routes
 app.use("/api/auth", authRoutes);
@@ -46,6 +97,14 @@ app.use("/api/files", fileRoutes);
 app.use("/api/items", itemsRoutes); // Unified items routes (files & folders)
 app.use("/api/magic-lens", magicLensRoutes);
 app.use("/api/categories", categoryRoutes);
+app.use("/api/shares", shareRoutes);
+app.use("/api/trash", trashRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/uploads", uploadRoutes); // Resumable (chunked) uploads
+app.use("/api/usage", usageRoutes);
+
+// Public share links (no auth)
+app.use("/share", publicShareRoutes);
 
 
 //test route 
@@ -63,4 +122,16 @@ app.get("/api/test2", (req , res)=>{
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Permanently remove trash older than TRASH_RETENTION_DAYS
+  startTrashPurgeSchedule();
+
+  // Run queued background jobs (Magic Lens analysis)
+  startJobWorker();
+
+  // Drop resumable uploads that were abandoned
+  startUploadCleanupSchedule();
+
+  // Forget failed password attempts once their counters have reset
+  startAttemptCleanupSchedule();
 });
\ No newline at end of file
@@ -0,0 +1,203 @@
+import { PrismaClient } from "@prisma/client";
+import { recordAuditEvent } from "./auditLog.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Attempt Limiter
+ * Slows down password guessing (login, account, lock and share password
+ * checks) and mail requests (verification and reset emails, where every
+ * request counts and nothing is cleared). Failures are counted per user and
+ * per IP address: the first few are free, after that each one makes the next
+ * attempt wait twice as long, and too many lock the user or address out for
+ * a while. An attempt is counted as failed before the password is compared
+ * and taken back when it succeeds: a success clears the user's counter.
+ * Counters also reset after a quiet period.
+ */
+
+export const ATTEMPT_LIMITS = {
+  user: { freeAttempts: 3, maxAttempts: 10 },
+  // Several people can share an address, so it gets more room
+  ip: { freeAttempts: 10, maxAttempts: 50 },
+};
+
+export const LOCKOUT_MINUTES = Number(process.env.LOCKOUT_MINUTES) || 15;
+const RESET_AFTER_MS = 60 * 60 * 1000; // 1 hour without failures
+const BASE_DELAY_MS = 1000;
+
+/**
+ * Counter keys for an attempt at action by a user (id, or email when the
+ * account may not exist) from the request's address (the client's, once
+ * TRUST_PROXY is set for the proxy in front; see server.js)
+ */
+export const getAttemptKeys = (action, user, req) => ({
+  user: `${action}:user:${user}`,
+  ip: `${action}:ip:${req.ip || "unknown"}`,
+});
+
+// When the next attempt may be made after `failures` failures in a row
+const getLockedUntil = (failures, { freeAttempts, maxAttempts }, now) => {
+  if (failures >= maxAttempts) {
+    return new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  }
+  if (failures > freeAttempts) {
+    return new Date(now.getTime() + BASE_DELAY_MS * 2 ** (failures - freeAttempts));
+  }
+  return null;
+};
+
+const secondsUntil = (date, now = new Date()) => Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+
+// Count one attempt against a key, unless it is paused. The row is locked
+// while it is read and written, so parallel attempts are counted one after
+// another. Returns the new count, or null when the key is paused.
+const reserveKey = (key, limits, now) =>
+  prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`
+      INSERT INTO "AttemptCounter" ("key", "failures", "lastFailureAt")
+      VALUES (${key}, 0, ${now})
+      ON CONFLICT ("key") DO NOTHING
+    `;
+    const [counter] = await tx.$queryRaw`
+      SELECT "failures", "lastFailureAt", "lockedUntil" FROM "AttemptCounter" WHERE "key" = ${key} FOR UPDATE
+    `;
+    if (counter.lockedUntil && counter.lockedUntil > now) return null;
+
+    const isStale = now.getTime() - counter.lastFailureAt.getTime() > RESET_AFTER_MS;
+    const failures = isStale ? 1 : counter.failures + 1;
+    await tx.attemptCounter.update({
+      where: { key },
+      data: { failures, lastFailureAt: now, lockedUntil: getLockedUntil(failures, limits, now) },
+    });
+    return failures;
+  });
+
+// Take back an attempt counted by reserveKey
+const releaseKey = async (key, { freeAttempts }) => {
+  await prisma.$executeRaw`
+    UPDATE "AttemptCounter"
+    SET "failures" = GREATEST("failures" - 1, 0),
+        "lockedUntil" = CASE WHEN "failures" - 1 <= ${freeAttempts} THEN NULL ELSE "lockedUntil" END
+    WHERE "key" = ${key}
+  `;
+};
+
+const getRetryAfter = async (keys, now) => {
+  const counters = await prisma.attemptCounter.findMany({
+    where: { key: { in: Object.values(keys) }, lockedUntil: { gt: now } },
+  });
+  if (counters.length === 0) return null;
+
+  const latest = Math.max(...counters.map((counter) => counter.lockedUntil.getTime()));
+  return secondsUntil(new Date(latest), now);
+};
+
+/**
+ * Count an attempt before the password is compared. It counts as failed
+ * (and makes the next one wait) until clearAttempts is called, so parallel
+ * guesses can't all get through before the first failure is recorded.
+ * Returns null when it may go ahead, or { retryAfter } in seconds when
+ * attempts are paused (and nothing was counted).
+ */
+export const reserveAttempt = async (keys) => {
+  const now = new Date();
+
+  if ((await reserveKey(keys.user, ATTEMPT_LIMITS.user, now)) === null) {
+    return { retryAfter: (await getRetryAfter(keys, now)) || 1 };
+  }
+  if ((await reserveKey(keys.ip, ATTEMPT_LIMITS.ip, now)) === null) {
+    await releaseKey(keys.user, ATTEMPT_LIMITS.user);
+    return { retryAfter: (await getRetryAfter(keys, now)) || 1 };
+  }
+  return null;
+};
+
+/**
+ * Add an audit entry for a failed attempt (already counted by
+ * reserveAttempt). Returns { failures (for the user), retryAfter (seconds,
+ * or null) }.
+ */
+export const recordFailedAttempt = async (keys, { action, userId = null, req, details = {} }) => {
+  const now = new Date();
+  const [user, ip] = await Promise.all([
+    prisma.attemptCounter.findUnique({ where: { key: keys.user } }),
+    prisma.attemptCounter.findUnique({ where: { key: keys.ip } }),
+  ]);
+
+  const failures = user?.failures ?? 0;
+  const ipFailures = ip?.failures ?? 0;
+  const lockedUntil = [user?.lockedUntil, ip?.lockedUntil].filter((date) => date && date > now).sort((a, b) => b - a)[0] || null;
+  const lockedOut = failures >= ATTEMPT_LIMITS.user.maxAttempts || ipFailures >= ATTEMPT_LIMITS.ip.maxAttempts;
+
+  await recordAuditEvent({
+    action,
+    userId,
+    req,
+    details: { ...details, failures, ipFailures, lockedUntil, lockedOut },
+  });
+
+  return { failures, retryAfter: lockedUntil ? secondsUntil(lockedUntil, now) : null };
+};
+
+/**
+ * Clear the user's counter after a successful attempt. The address only
+ * gets this attempt back, so one good account doesn't reset guessing at
+ * others.
+ */
+export const clearAttempts = async (keys) => {
+  await prisma.attemptCounter.deleteMany({ where: { key: keys.user } });
+  await releaseKey(keys.ip, ATTEMPT_LIMITS.ip);
+};
+
+/**
+ * Delete counters that would be reset anyway (quiet for the reset period
+ * and not locked). Returns how many were removed.
+ */
+export const purgeStaleAttempts = async () => {
+  const now = new Date();
+  const result = await prisma.attemptCounter.deleteMany({
+    where: {
+      lastFailureAt: { lt: new Date(now.getTime() - RESET_AFTER_MS) },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+    },
+  });
+  return result.count;
+};
+
+/**
+ * Run purgeStaleAttempts now and then every hour
+ */
+export const startAttemptCleanupSchedule = () => {
+  const run = () =>
+    purgeStaleAttempts()
+      .then((count) => {
+        if (count) console.log(`Attempt cleanup: removed ${count} stale counter(s)`);
+      })
+      .catch((error) => console.error("Attempt cleanup failed:", error));
+
+  run();
+  const timer = setInterval(run, RESET_AFTER_MS);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Body of the 429 sent while attempts are paused
+ */
+export const tooManyAttemptsError = ({ retryAfter }) => ({
+  error: `Too many attempts. Try again in ${retryAfter} second${retryAfter === 1 ? "" : "s"}.`,
+  code: "TOO_MANY_ATTEMPTS",
+  retryAfter,
+});
+
+export default {
+  ATTEMPT_LIMITS,
+  LOCKOUT_MINUTES,
+  getAttemptKeys,
+  reserveAttempt,
+  recordFailedAttempt,
+  clearAttempts,
+  purgeStaleAttempts,
+  startAttemptCleanupSchedule,
+  tooManyAttemptsError,
+};
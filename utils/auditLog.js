@@ -0,0 +1,33 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+/**
+ * Audit Log
+ * Records security events (failed password attempts, lockouts) with the
+ * requesting IP address and user agent
+ */
+
+/**
+ * Record an event. Never throws: failing to audit must not fail the request.
+ */
+export const recordAuditEvent = async ({ action, userId = null, req = null, details = null }) => {
+  try {
+    return await prisma.auditLog.create({
+      data: {
+        action,
+        userId,
+        ipAddress: req?.ip || null,
+        userAgent: req?.get("user-agent")?.slice(0, 255) || null,
+        details: details ? JSON.stringify(details) : null,
+      },
+    });
+  } catch (error) {
+    console.error(`Failed to record audit event ${action}:`, error.message);
+    return null;
+  }
+};
+
+export default {
+  recordAuditEvent,
+};
@@ -0,0 +1,142 @@
+import { PrismaClient } from "@prisma/client";
+import crypto from "crypto";
+import fs from "fs";
+import { getStorage } from "./storage.js";
+import { deleteThumbnails } from "./thumbnailService.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Blob Service
+ * Content-addressed storage: file bytes live once per SHA-256 under the
+ * storage key blobs/<first two hex chars>/<hash>, and every FileVersion using
+ * them holds one reference (Blob.refCount). Identical uploads, duplicates
+ * and restored versions share a blob; its bytes (and thumbnails) are deleted
+ * when the last reference is released.
+ */
+
+/**
+ * Storage key of a blob
+ */
+export const getBlobKey = (hash) => `blobs/${hash.slice(0, 2)}/${hash}`;
+
+/**
+ * Stored url of a blob (like every File.url, "/uploads/" + its storage key)
+ */
+export const getBlobUrl = (hash) => `/uploads/${getBlobKey(hash)}`;
+
+// Storing a large blob can take a while under the lock
+const BLOB_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Adding a reference and dropping the last one both touch the stored bytes,
+// so operations on the same hash run one at a time: fn(tx) runs in a
+// transaction holding an advisory lock on the hash, which also holds across
+// server processes
+const withBlobLock = (hash, fn) =>
+  prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`blob:${hash}`}))`;
+    return fn(tx);
+  }, { maxWait: BLOB_LOCK_TIMEOUT_MS, timeout: BLOB_LOCK_TIMEOUT_MS });
+
+/**
+ * SHA-256 (hex) of a file on disk
+ */
+export const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (data) => hash.update(data))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+/**
+ * Store the file at sourcePath as a blob and take one reference to it.
+ * The source is moved into place, or deleted when the content is already
+ * stored; keepSource copies it instead and leaves it alone.
+ * hash may be passed when it is already known (e.g. verified on upload).
+ * Returns { hash, size, url }.
+ */
+export const ingestFile = async (sourcePath, { hash = null, keepSource = false } = {}) => {
+  const contentHash = hash ? hash.toLowerCase() : await hashFile(sourcePath);
+  const { size } = await fs.promises.stat(sourcePath);
+  const storage = getStorage();
+  const blobKey = getBlobKey(contentHash);
+
+  await withBlobLock(contentHash, async (tx) => {
+    await tx.blob.upsert({
+      where: { hash: contentHash },
+      create: { hash: contentHash, size, refCount: 1 },
+      update: { refCount: { increment: 1 } },
+    });
+
+    try {
+      if (await storage.exists(blobKey)) {
+        if (!keepSource) await fs.promises.unlink(sourcePath);
+      } else {
+        await storage.putFile(blobKey, sourcePath, { move: !keepSource });
+      }
+    } catch (error) {
+      await releaseReference(tx, contentHash);
+      throw error;
+    }
+  });
+
+  return { hash: contentHash, size, url: getBlobUrl(contentHash) };
+};
+
+/**
+ * Take another reference to a stored blob (duplicating or restoring content).
+ * Throws when the blob has already been released.
+ */
+export const retainBlob = async (hash) => {
+  await withBlobLock(hash, async (tx) => {
+    const result = await tx.blob.updateMany({
+      where: { hash, refCount: { gt: 0 } },
+      data: { refCount: { increment: 1 } },
+    });
+
+    if (result.count === 0) {
+      throw new Error("Stored content no longer exists");
+    }
+  });
+};
+
+// Drop one reference; tx holds the lock for hash
+const releaseReference = async (tx, hash) => {
+  await tx.blob.updateMany({
+    where: { hash, refCount: { gt: 0 } },
+    data: { refCount: { decrement: 1 } },
+  });
+
+  // Only removed once nothing refers to it any more
+  const removed = await tx.blob.deleteMany({ where: { hash, refCount: 0 } });
+  if (removed.count === 0) return false;
+
+  try {
+    await getStorage().delete(getBlobKey(hash));
+    await deleteThumbnails(hash);
+    console.log(`Blob deleted: ${hash}`);
+  } catch (error) {
+    console.error(`Failed to delete blob ${hash}:`, error.message);
+  }
+  return true;
+};
+
+/**
+ * Drop one reference to a blob, deleting its bytes when it was the last.
+ * Call after the FileVersion holding the reference is gone.
+ * Returns true when the blob itself was deleted.
+ */
+export const releaseBlob = async (hash) => {
+  return withBlobLock(hash, (tx) => releaseReference(tx, hash));
+};
+
+export default {
+  getBlobKey,
+  getBlobUrl,
+  hashFile,
+  ingestFile,
+  retainBlob,
+  releaseBlob,
+};
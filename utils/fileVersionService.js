@@ -0,0 +1,199 @@
+import { PrismaClient } from "@prisma/client";
+import { ingestFile, retainBlob, releaseBlob } from "./blobService.js";
+import { getStorage, getStorageKey } from "./storage.js";
+import { withDecryptedFile } from "./vaultCrypto.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * File Version Service
+ * Every stored upload is a FileVersion; the File row mirrors the current one.
+ * Callers pass content that already holds a blob reference for the new
+ * version (see blobService.js).
+ */
+
+// Fields derived from a version's content (Magic Lens results and search text)
+const ANALYSIS_FIELDS = [
+  "magicLensSummary",
+  "magicLensKeyPoints",
+  "magicLensFileType",
+  "magicLensConfidence",
+  "magicLensAnalyzedAt",
+  "extractedText",
+  "extractedPages",
+];
+
+// Analysis fields cleared on File when new content arrives (and when content
+// goes into the vault, see vaultEncryption.js)
+export const CLEARED_ANALYSIS = Object.fromEntries(ANALYSIS_FIELDS.map((field) => [field, null]));
+
+/**
+ * Create a File row together with its first version
+ */
+export const createFileWithVersion = async (data) => {
+  return prisma.file.create({
+    data: {
+      ...data,
+      currentVersion: 1,
+      versions: {
+        create: {
+          versionNumber: 1,
+          name: data.name,
+          url: data.url,
+          size: data.size,
+          mimetype: data.mimetype,
+          contentHash: data.contentHash,
+          isEncrypted: data.isEncrypted ?? false,
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Store new content for an existing file as its next version.
+ * analysis (optional) carries Magic Lens fields and extracted text when the
+ * content is already known.
+ */
+export const addFileVersion = async (file, { name, url, size, mimetype, contentHash = null, isEncrypted = false }, analysis = null) => {
+  return prisma.$transaction(async (tx) => {
+    const latest = await tx.fileVersion.findFirst({
+      where: { fileId: file.id },
+      orderBy: { versionNumber: "desc" },
+    });
+    const versionNumber = (latest?.versionNumber || 0) + 1;
+
+    const analysisData = analysis
+      ? Object.fromEntries(ANALYSIS_FIELDS.map((field) => [field, analysis[field] ?? null]))
+      : CLEARED_ANALYSIS;
+
+    await tx.fileVersion.create({
+      data: { fileId: file.id, versionNumber, name, url, size, mimetype, contentHash, isEncrypted, ...analysisData },
+    });
+
+    return tx.file.update({
+      where: { id: file.id },
+      data: { url, size, mimetype, contentHash, isEncrypted, currentVersion: versionNumber, editedAt: new Date(), ...analysisData },
+    });
+  });
+};
+
+/**
+ * Look up one version of a file by its number
+ */
+export const getFileVersion = async (fileId, versionNumber) => {
+  return prisma.fileVersion.findUnique({
+    where: { fileId_versionNumber: { fileId, versionNumber } },
+  });
+};
+
+/**
+ * Page-by-page text of an analyzed version as [{ page, text }], or null when
+ * the content has no pages (only PDFs do)
+ */
+export const getVersionPages = (version) => {
+  if (!version.extractedPages || !version.extractedText) return null;
+
+  try {
+    return JSON.parse(version.extractedPages).map(({ page, start, end }) => ({
+      page,
+      text: version.extractedText.slice(start, end),
+    }));
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Record Magic Lens results (and extracted text) on a version, mirroring them to File when it is
+ * still the current version
+ */
+export const saveVersionAnalysis = async (file, versionNumber, analysisData) => {
+  const [version] = await prisma.$transaction([
+    prisma.fileVersion.update({
+      where: { fileId_versionNumber: { fileId: file.id, versionNumber } },
+      data: analysisData,
+    }),
+    // A newer upload may have landed while the analysis ran
+    prisma.file.updateMany({
+      where: { id: file.id, currentVersion: versionNumber },
+      data: analysisData,
+    }),
+  ]);
+  return version;
+};
+
+/**
+ * Make an older version current again by adding it as a new version that
+ * shares its content, so history stays linear and nothing is lost.
+ * vaultKey is needed for encrypted versions (see shareContent).
+ */
+export const restoreFileVersion = async (file, version, { vaultKey = null } = {}) => {
+  const content = await shareContent(version, { vaultKey });
+
+  try {
+    return await addFileVersion(file, content, version);
+  } catch (error) {
+    await releaseBlob(content.contentHash);
+    throw error;
+  }
+};
+
+/**
+ * Take a reference to the content of a version or File row for a new row.
+ * Encrypted content is decrypted into a blob, which needs the owner's data
+ * key (vaultKey); callers encrypt the new row again if it is in the vault.
+ * Returns { name, url, size, mimetype, contentHash }.
+ */
+export const shareContent = async (source, { vaultKey = null } = {}) => {
+  if (source.contentHash) {
+    await retainBlob(source.contentHash);
+    return {
+      name: source.name,
+      url: source.url,
+      size: source.size,
+      mimetype: source.mimetype,
+      contentHash: source.contentHash,
+    };
+  }
+
+  const storage = getStorage();
+  const key = getStorageKey(source.url);
+
+  if (!key || !(await storage.exists(key))) {
+    throw new Error("Stored content not found on server");
+  }
+
+  if (source.isEncrypted) {
+    if (!vaultKey) throw new Error("Encrypted content needs an open vault");
+
+    const blob = await withDecryptedFile(key, vaultKey, (plainPath) => ingestFile(plainPath));
+    return { name: source.name, url: blob.url, size: blob.size, mimetype: source.mimetype, contentHash: blob.hash };
+  }
+
+  const blob = await storage.withLocalFile(key, (filePath) => ingestFile(filePath, { keepSource: true }));
+  return { name: source.name, url: blob.url, size: blob.size, mimetype: source.mimetype, contentHash: blob.hash };
+};
+
+/**
+ * Stored content of every version of the given files as [{ url, contentHash }],
+ * one entry per version (each holds its own blob reference)
+ */
+export const getVersionContent = async (fileIds) => {
+  return prisma.fileVersion.findMany({
+    where: { fileId: { in: fileIds } },
+    select: { url: true, contentHash: true },
+  });
+};
+
+export default {
+  CLEARED_ANALYSIS,
+  createFileWithVersion,
+  addFileVersion,
+  getFileVersion,
+  getVersionPages,
+  saveVersionAnalysis,
+  restoreFileVersion,
+  shareContent,
+  getVersionContent,
+};
@@ -0,0 +1,322 @@
+import { PrismaClient, Prisma } from "@prisma/client";
+import { findSibling, getAvailableName } from "./nameConflict.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Folder tree helpers shared by folder, items and trash controllers
+ */
+
+// Deepest a folder may sit (1 for a top-level folder)
+export const MAX_FOLDER_DEPTH = Number(process.env.MAX_FOLDER_DEPTH) || 32;
+
+/**
+ * Folder and its ancestors in one recursive query, nearest first:
+ * [{ id, name, parentId, userId, isLocked, depth }], depth 0 being folderId.
+ * A cycle in the data ends the walk instead of looping.
+ */
+export const getAncestors = async (folderId, client = prisma) => {
+  if (!folderId) return [];
+
+  return client.$queryRaw`
+    WITH RECURSIVE ancestors AS (
+      SELECT id, name, "parentId", "userId", "isLocked", 0 AS depth, ARRAY[id] AS visited
+      FROM "Folder" WHERE id = ${folderId}
+      UNION ALL
+      SELECT f.id, f.name, f."parentId", f."userId", f."isLocked", a.depth + 1, a.visited || f.id
+      FROM "Folder" f JOIN ancestors a ON f.id = a."parentId"
+      WHERE NOT f.id = ANY(a.visited)
+    )
+    SELECT id, name, "parentId", "userId", "isLocked", depth FROM ancestors ORDER BY depth
+  `;
+};
+
+/**
+ * How many levels of subfolders (trashed ones included) sit below a folder
+ */
+export const getSubtreeHeight = async (folderId, client = prisma) => {
+  const [row] = await client.$queryRaw`
+    WITH RECURSIVE descendants AS (
+      SELECT id, 0 AS depth, ARRAY[id] AS visited FROM "Folder" WHERE id = ${folderId}
+      UNION ALL
+      SELECT f.id, d.depth + 1, d.visited || f.id
+      FROM "Folder" f JOIN descendants d ON f."parentId" = d.id
+      WHERE NOT f.id = ANY(d.visited)
+    )
+    SELECT MAX(depth) AS height FROM descendants
+  `;
+  return Number(row?.height ?? 0);
+};
+
+/**
+ * Path from the top-level folder down to folderId (inclusive) as [{ id, name }]
+ */
+export const getFolderPath = async (folderId, userId) => {
+  const path = [];
+
+  for (const folder of await getAncestors(folderId)) {
+    if (folder.userId !== userId) break;
+    path.unshift({ id: folder.id, name: folder.name });
+  }
+
+  return path;
+};
+
+/**
+ * Ancestors of folderId (exclusive) from the top-level folder down
+ */
+export const getParentChain = async (folderId, userId) => {
+  const path = await getFolderPath(folderId, userId);
+  return path.slice(0, -1);
+};
+
+/**
+ * Whether folderId is ancestorId or somewhere inside it
+ */
+export const isWithinFolder = async (folderId, ancestorId) => {
+  return (await getAncestors(folderId)).some((folder) => folder.id === ancestorId);
+};
+
+/**
+ * Whether folderId or any folder above it is locked
+ */
+export const isInLockedFolder = async (folderId, userId) => {
+  for (const folder of await getAncestors(folderId)) {
+    if (folder.userId !== userId) return false;
+    if (folder.isLocked) return true;
+  }
+
+  return false;
+};
+
+const tooDeepError = () => ({
+  error: `Folders can only be nested ${MAX_FOLDER_DEPTH} levels deep`,
+  status: 400,
+});
+
+/**
+ * Check that a folder whose subtree is `height` levels deep fits under
+ * parentId (null for the top level) within MAX_FOLDER_DEPTH.
+ * Returns { error, status } when it doesn't, otherwise null.
+ */
+export const checkFolderDepth = async (parentId, height = 0, client = prisma) => {
+  const parentPath = await getAncestors(parentId, client);
+  return parentPath.length + 1 + height > MAX_FOLDER_DEPTH ? tooDeepError() : null;
+};
+
+/**
+ * Check that folderId can be moved under parentId (null for the top level):
+ * never into itself or anything below it, and no deeper than
+ * MAX_FOLDER_DEPTH. Returns { error, status } when it can't, otherwise null.
+ */
+export const checkFolderMove = async (folderId, parentId, client = prisma) => {
+  if (parentId === folderId) {
+    return { error: "Cannot move folder into itself", status: 400 };
+  }
+
+  const parentPath = await getAncestors(parentId, client);
+  if (parentPath.some((folder) => folder.id === folderId)) {
+    return { error: "Cannot move a folder into one of its own subfolders", status: 400 };
+  }
+
+  const height = await getSubtreeHeight(folderId, client);
+  return parentPath.length + 1 + height > MAX_FOLDER_DEPTH ? tooDeepError() : null;
+};
+
+/**
+ * Make moves (and merges) of one user's folders run one at a time, so two
+ * of them can't together create a cycle. Call first thing in a transaction.
+ */
+export const lockFolderMoves = (tx, userId) =>
+  tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`folder-move:${userId}`}))`;
+
+/**
+ * Move a folder under parentId (null for the top level) after
+ * checkFolderMove, renaming it to name when given.
+ * Returns { folder } (the updated folder) or { error, status }.
+ */
+export const moveFolderTo = async (folder, parentId, { name = folder.name } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    await lockFolderMoves(tx, folder.userId);
+
+    const invalid = await checkFolderMove(folder.id, parentId, tx);
+    if (invalid) return invalid;
+
+    const updated = await tx.folder.update({
+      where: { id: folder.id },
+      data: { parentId, name },
+    });
+    return { folder: updated };
+  });
+};
+
+// Thrown when a merge reaches a locked subfolder while the vault is closed
+class VaultMergeError extends Error {}
+
+// Move source's contents into target, merging subfolders both have and
+// numbering files whose names are taken, then delete the emptied source.
+// Trashed items move along so they restore into target. Merging a locked
+// subfolder (on either side) needs the vault open, since the merge can leave
+// its contents outside the vault.
+const mergeContents = async (tx, source, target, vaultOpen) => {
+  // Out of the way first: source can be target's child, and its name free
+  // for a subfolder of the same name
+  await tx.folder.update({ where: { id: source.id }, data: { deletedAt: new Date() } });
+
+  const files = await tx.file.findMany({ where: { folderId: source.id } });
+  for (const file of files) {
+    const name = file.deletedAt
+      ? file.name
+      : await getAvailableName("file", { userId: target.userId, parentId: target.id, name: file.name }, tx);
+    await tx.file.update({ where: { id: file.id }, data: { folderId: target.id, name } });
+  }
+
+  const subfolders = await tx.folder.findMany({ where: { parentId: source.id } });
+  for (const subfolder of subfolders) {
+    const existing = !subfolder.deletedAt
+      && await findSibling("folder", { userId: target.userId, parentId: target.id, name: subfolder.name }, tx);
+
+    if (existing) {
+      if (!vaultOpen && (subfolder.isLocked || existing.isLocked)) {
+        throw new VaultMergeError(`Cannot merge locked folder "${subfolder.name}" while the vault is closed`);
+      }
+      await mergeContents(tx, subfolder, existing, vaultOpen);
+    } else {
+      await tx.folder.update({ where: { id: subfolder.id }, data: { parentId: target.id } });
+    }
+  }
+
+  await tx.folder.delete({ where: { id: source.id } });
+};
+
+/**
+ * Merge a folder into target, a folder of the same name it is being moved
+ * next to: everything inside moves into target (see checkFolderMove for what
+ * is refused) and the folder itself is deleted. vaultOpen: whether the
+ * request has vault access (needed when locked subfolders would be merged).
+ * Returns { folder } (target, updated) or { error, status }, with vaultLocked
+ * set when the vault has to be opened first.
+ */
+export const mergeFolderInto = async (folder, target, { vaultOpen = false } = {}) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      await lockFolderMoves(tx, folder.userId);
+
+      const invalid = await checkFolderMove(folder.id, target.parentId, tx);
+      if (invalid) return invalid;
+
+      await mergeContents(tx, folder, target, vaultOpen);
+      return { folder: await tx.folder.findUnique({ where: { id: target.id } }) };
+    }, { timeout: 60000 });
+  } catch (error) {
+    if (error instanceof VaultMergeError) return { error: error.message, status: 403, vaultLocked: true };
+    throw error;
+  }
+};
+
+/**
+ * Ids of a folder and every folder below it, one query per level.
+ * skipFolder(folder) can prune a branch (the folder and everything under it).
+ */
+export const getDescendantFolderIds = async (folderId, { where = {}, skipFolder = null } = {}) => {
+  const ids = [folderId];
+  const seen = new Set(ids);
+  let frontier = [folderId];
+
+  while (frontier.length > 0) {
+    const children = await prisma.folder.findMany({
+      where: { parentId: { in: frontier }, ...where },
+      select: { id: true, isTrashRoot: true, deletedAt: true },
+    });
+
+    frontier = children
+      .filter((child) => !seen.has(child.id) && (!skipFolder || !skipFolder(child)))
+      .map((child) => child.id);
+    frontier.forEach((id) => seen.add(id));
+    ids.push(...frontier);
+  }
+
+  return ids;
+};
+
+/**
+ * A user's folders (not trashed) as a nested tree, in one recursive query:
+ * the top-level folders, or the subtree of rootId (rootId included), down to
+ * maxDepth levels. Every node has its own fileCount and size plus
+ * totalFileCount and totalSize for everything below it, and hasSubfolders
+ * tells whether there is more below the depth limit.
+ * Locked folders (with their subtrees) and locked files are left out unless
+ * includeVault is set.
+ */
+export const buildFolderTree = async (userId, { rootId = null, maxDepth = MAX_FOLDER_DEPTH, includeVault = false } = {}) => {
+  const start = rootId ? Prisma.sql`id = ${rootId}` : Prisma.sql`"parentId" IS NULL`;
+  const visibleFolder = (alias) =>
+    includeVault ? Prisma.sql`TRUE` : Prisma.sql`NOT ${Prisma.raw(alias)}."isLocked"`;
+
+  const rows = await prisma.$queryRaw`
+    WITH RECURSIVE tree AS (
+      SELECT id, name, "parentId", "isLocked", "isImportant", "folderColor", "createdAt",
+        1 AS depth, ARRAY[id] AS visited
+      FROM "Folder" f
+      WHERE "userId" = ${userId} AND "deletedAt" IS NULL AND ${start} AND ${visibleFolder("f")}
+      UNION ALL
+      SELECT f.id, f.name, f."parentId", f."isLocked", f."isImportant", f."folderColor", f."createdAt",
+        t.depth + 1, t.visited || f.id
+      FROM "Folder" f JOIN tree t ON f."parentId" = t.id
+      WHERE f."deletedAt" IS NULL AND t.depth < ${maxDepth}
+        AND NOT f.id = ANY(t.visited) AND ${visibleFolder("f")}
+    )
+    SELECT t.id, t.name, t."parentId", t."isLocked", t."isImportant", t."folderColor", t."createdAt", t.depth,
+      COUNT(fi.id)::int AS "fileCount",
+      COALESCE(SUM(fi.size), 0)::float8 AS size,
+      EXISTS (
+        SELECT 1 FROM "Folder" c
+        WHERE c."parentId" = t.id AND c."deletedAt" IS NULL AND ${visibleFolder("c")}
+      ) AS "hasSubfolders"
+    FROM tree t
+    LEFT JOIN "File" fi ON fi."folderId" = t.id AND fi."deletedAt" IS NULL
+      AND ${includeVault ? Prisma.sql`TRUE` : Prisma.sql`NOT fi."isLocked"`}
+    GROUP BY t.id, t.name, t."parentId", t."isLocked", t."isImportant", t."folderColor", t."createdAt", t.depth
+    ORDER BY t.depth DESC, t."createdAt" DESC
+  `;
+
+  // Deepest first, so every node's subfolders are complete before its own
+  // totals are added up (and siblings stay newest first)
+  const subfoldersOf = new Map();
+  const top = [];
+  for (const row of rows) {
+    const subfolders = subfoldersOf.get(row.id) || [];
+    const node = {
+      ...row,
+      totalFileCount: subfolders.reduce((sum, child) => sum + child.totalFileCount, row.fileCount),
+      totalSize: subfolders.reduce((sum, child) => sum + child.totalSize, row.size),
+      subfolders,
+    };
+
+    if (row.depth === 1) {
+      top.push(node);
+    } else {
+      if (!subfoldersOf.has(row.parentId)) subfoldersOf.set(row.parentId, []);
+      subfoldersOf.get(row.parentId).push(node);
+    }
+  }
+
+  return top;
+};
+
+export default {
+  MAX_FOLDER_DEPTH,
+  getAncestors,
+  getSubtreeHeight,
+  getFolderPath,
+  getParentChain,
+  isWithinFolder,
+  isInLockedFolder,
+  checkFolderDepth,
+  checkFolderMove,
+  lockFolderMoves,
+  moveFolderTo,
+  mergeFolderInto,
+  getDescendantFolderIds,
+  buildFolderTree,
+};
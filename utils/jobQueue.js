@@ -0,0 +1,245 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+/**
+ * Job Queue for Prisma/PostgreSQL
+ * Jobs are rows in the Job table so queued work survives restarts.
+ * Handlers are registered per job type; a poller in this process claims due
+ * jobs up to JOB_CONCURRENCY at a time and retries failures with backoff.
+ */
+
+export const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+const POLL_INTERVAL_MS = 5000;
+const RETRY_BASE_DELAY_MS = 30 * 1000; // doubles with each attempt
+// A running job that hasn't reported in this long is assumed lost (e.g. the
+// process died) and goes back on the queue, or fails once it has used up its
+// attempts (a job that keeps crashing the process must not loop forever)
+const STALE_JOB_MS = 10 * 60 * 1000;
+// Running jobs refresh updatedAt this often, however slow their handler is
+const HEARTBEAT_MS = 60 * 1000;
+
+/**
+ * Throw from a handler for failures retrying can't fix (e.g. the file is gone)
+ */
+export class PermanentJobError extends Error {}
+
+const handlers = new Map();
+const runningJobIds = new Set();
+let activeJobs = 0;
+let polling = false;
+let workerStarted = false;
+
+/**
+ * Register the function that runs jobs of a type.
+ * handler(payload, { job, reportProgress }) may return a JSON-serializable result.
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Queue a job. With a dedupeKey, an already queued or running job for the
+ * same key is returned instead of adding another; enqueues for one key take
+ * a lock, so two at once can't both add a job.
+ */
+export const enqueueJob = async (type, payload, { userId = null, dedupeKey = null, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) => {
+  const data = { type, payload: JSON.stringify(payload), userId, dedupeKey, maxAttempts };
+
+  const job = !dedupeKey
+    ? await prisma.job.create({ data })
+    : await prisma.$transaction(async (tx) => {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`job:${dedupeKey}`}))`;
+
+        const pending = await tx.job.findFirst({
+          where: { dedupeKey, status: { in: ["queued", "running"] } },
+          orderBy: { id: "desc" },
+        });
+        return pending || tx.job.create({ data });
+      });
+
+  // Start it now if there is a free slot rather than waiting for the next poll
+  if (workerStarted) setImmediate(pollJobs);
+
+  return job;
+};
+
+/**
+ * Look up a job by id
+ */
+export const getJob = async (jobId) => {
+  return prisma.job.findUnique({ where: { id: jobId } });
+};
+
+/**
+ * Claim the next due job. The status check in the update means two pollers
+ * can never both take the same job.
+ */
+const claimNextJob = async () => {
+  const candidates = await prisma.job.findMany({
+    where: {
+      status: "queued",
+      runAfter: { lte: new Date() },
+      type: { in: [...handlers.keys()] },
+      attempts: { lt: prisma.job.fields.maxAttempts },
+    },
+    orderBy: { runAfter: "asc" },
+    take: 5,
+  });
+
+  for (const job of candidates) {
+    const claimed = await prisma.job.updateMany({
+      where: { id: job.id, status: "queued" },
+      data: { status: "running", startedAt: new Date(), attempts: { increment: 1 } },
+    });
+    if (claimed.count === 1) return { ...job, attempts: job.attempts + 1 };
+  }
+
+  return null;
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  // updatedAt is how stale jobs are detected: progress writes (throttled)
+  // refresh it, and so does a heartbeat for handlers that report rarely
+  runningJobIds.add(job.id);
+  const heartbeat = setInterval(() => {
+    prisma.job
+      .updateMany({ where: { id: job.id, status: "running" }, data: { updatedAt: new Date() } })
+      .catch((error) => console.error(`Failed to record heartbeat for job ${job.id}:`, error.message));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  let reported = { progress: 0, stage: null };
+  const reportProgress = (progress, stage = reported.stage) => {
+    const value = Math.min(Math.max(progress, 0), 1);
+    if (stage === reported.stage && value - reported.progress < 0.05) return;
+
+    reported = { progress: value, stage };
+    prisma.job
+      .update({ where: { id: job.id }, data: { progress: value, stage } })
+      .catch((error) => console.error(`Failed to record progress for job ${job.id}:`, error.message));
+  };
+
+  try {
+    const result = await handler(JSON.parse(job.payload), { job, reportProgress });
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: "completed",
+        progress: 1,
+        stage: null,
+        lastError: null,
+        result: result === undefined ? null : JSON.stringify(result),
+        finishedAt: new Date(),
+      },
+    });
+  } catch (error) {
+    const retry = !(error instanceof PermanentJobError) && job.attempts < job.maxAttempts;
+    console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}/${job.maxAttempts}:`, error.message);
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: retry
+        ? {
+            status: "queued",
+            progress: 0,
+            stage: null,
+            lastError: error.message,
+            runAfter: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1)),
+          }
+        : { status: "failed", lastError: error.message, finishedAt: new Date() },
+    });
+  } finally {
+    clearInterval(heartbeat);
+    runningJobIds.delete(job.id);
+  }
+};
+
+/**
+ * Fill free slots with due jobs
+ */
+const pollJobs = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    while (activeJobs < JOB_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job)
+        .catch((error) => console.error(`Job ${job.id} could not be finalized:`, error))
+        .finally(() => {
+          activeJobs--;
+          pollJobs();
+        });
+    }
+  } catch (error) {
+    console.error("Job queue poll failed:", error);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Put running jobs that stopped reporting back on the queue, or fail them
+ * when they have no attempts left. Jobs this process is still running are
+ * never touched.
+ */
+const requeueStaleJobs = async () => {
+  const stale = {
+    status: "running",
+    updatedAt: { lt: new Date(Date.now() - STALE_JOB_MS) },
+    id: { notIn: [...runningJobIds] },
+  };
+
+  const failed = await prisma.job.updateMany({
+    where: { ...stale, attempts: { gte: prisma.job.fields.maxAttempts } },
+    data: { status: "failed", lastError: "Job stopped responding on its last attempt", finishedAt: new Date() },
+  });
+  const requeued = await prisma.job.updateMany({
+    where: stale,
+    data: { status: "queued", progress: 0, stage: null, runAfter: new Date() },
+  });
+
+  if (failed.count > 0) {
+    console.warn(`Job queue: failed ${failed.count} stale job(s) with no attempts left`);
+  }
+  if (requeued.count > 0) {
+    console.warn(`Job queue: requeued ${requeued.count} stale job(s)`);
+  }
+};
+
+/**
+ * Start processing jobs in this process
+ */
+export const startJobWorker = () => {
+  if (workerStarted) return null;
+  workerStarted = true;
+
+  const run = () =>
+    requeueStaleJobs()
+      .catch((error) => console.error("Job queue stale check failed:", error))
+      .then(pollJobs);
+
+  run();
+  const timer = setInterval(run, POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+export default {
+  JOB_CONCURRENCY,
+  DEFAULT_MAX_ATTEMPTS,
+  PermanentJobError,
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  startJobWorker,
+};
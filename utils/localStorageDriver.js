@@ -0,0 +1,80 @@
+import fs from "fs";
+import path from "path";
+import { UPLOADS_DIR } from "../middleware/upload.js";
+
+/**
+ * Local Disk Storage Driver
+ * Keys are paths under the uploads directory (e.g. "blobs/ab/<hash>").
+ * See storage.js for the driver interface.
+ */
+
+export const createLocalStorageDriver = ({ root = UPLOADS_DIR } = {}) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    // Never touch anything outside the storage root
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.promises.stat(resolveKey(key));
+      return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: "local",
+
+    async putFile(key, sourcePath, { move = false } = {}) {
+      const targetPath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+
+      if (!move) {
+        await fs.promises.copyFile(sourcePath, targetPath);
+        return;
+      }
+
+      try {
+        await fs.promises.rename(sourcePath, targetPath);
+      } catch (error) {
+        // temp/ and uploads/ may be on different volumes
+        if (error.code !== "EXDEV") throw error;
+        await fs.promises.copyFile(sourcePath, targetPath);
+        await fs.promises.unlink(sourcePath);
+      }
+    },
+
+    stat,
+
+    async exists(key) {
+      return (await stat(key)) !== null;
+    },
+
+    async openReadStream(key, { start, end } = {}) {
+      return fs.createReadStream(resolveKey(key), { start, end });
+    },
+
+    // Already on disk, so the stored file itself is used
+    async withLocalFile(key, fn) {
+      return fn(resolveKey(key));
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+  };
+};
+
+export default {
+  createLocalStorageDriver,
+};
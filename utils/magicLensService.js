@@ -0,0 +1,81 @@
+import { PrismaClient } from "@prisma/client";
+import { enqueueJob } from "./jobQueue.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Magic Lens Service
+ * Queues analysis jobs (the handler lives in magicLensController) and files
+ * analyzed documents into categories
+ */
+
+export const MAGIC_LENS_JOB = "magic-lens-analysis";
+
+// Detected document type (see detectDocType) -> category name.
+// Generic types ("PDF Document", "Image Document", "Document") are left alone.
+const CATEGORY_RULES = [
+  [/^Financial Document/, "Finance"],
+  [/^Resume/, "Resumes"],
+  [/^Employment Document/, "Work"],
+  [/^Academic Result/, "Academics"],
+  [/^(Study Material|Notes)/, "Study"],
+  [/^Legal Document/, "Legal"],
+  [/^Identification Document/, "Identity"],
+  [/^Report/, "Reports"],
+];
+
+/**
+ * Queue analysis of a file's current version (reuses a pending job for it).
+ * autoCategorize files the document into a category once analyzed; language
+ * is the OCR language (defaults to OCR_LANGUAGES).
+ */
+export const enqueueAnalysis = async (file, { autoCategorize = false, language = null } = {}) => {
+  return enqueueJob(
+    MAGIC_LENS_JOB,
+    { fileId: file.id, versionNumber: file.currentVersion, autoCategorize, language },
+    {
+      userId: file.userId,
+      dedupeKey: `${MAGIC_LENS_JOB}:${file.id}:${file.currentVersion}`,
+    }
+  );
+};
+
+/**
+ * Category name for a detected document type, or null when it has none
+ */
+export const getCategoryNameForFileType = (fileType) => {
+  const rule = CATEGORY_RULES.find(([pattern]) => pattern.test(fileType || ""));
+  return rule ? rule[1] : null;
+};
+
+/**
+ * Put an uncategorized file into the category matching its detected type.
+ * Uses the user's category of that name, then a global one, creating the
+ * user's own if neither exists. Never overrides a category the user chose.
+ */
+export const autoAssignCategory = async (file, fileType) => {
+  const name = getCategoryNameForFileType(fileType);
+  if (!name) return null;
+
+  let category =
+    (await prisma.category.findFirst({ where: { name, userId: file.userId } })) ||
+    (await prisma.category.findFirst({ where: { name, userId: null } }));
+
+  if (!category) {
+    category = await prisma.category.create({ data: { name, userId: file.userId } });
+  }
+
+  const result = await prisma.file.updateMany({
+    where: { id: file.id, categoryId: null },
+    data: { categoryId: category.id },
+  });
+
+  return result.count > 0 ? category : null;
+};
+
+export default {
+  MAGIC_LENS_JOB,
+  enqueueAnalysis,
+  getCategoryNameForFileType,
+  autoAssignCategory,
+};
@@ -0,0 +1,101 @@
+import nodemailer from "nodemailer";
+
+/**
+ * Mailer
+ * Transport is chosen by MAIL_TRANSPORT:
+ *   - "smtp": SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+ *     (point it at a local SMTP stand-in such as MailHog for testing)
+ *   - "json": nothing is sent, messages are serialized and logged
+ * Defaults to "smtp" when SMTP_HOST is set, otherwise "json".
+ * Tests can also inject any nodemailer transport with setMailTransport().
+ */
+
+let transporter = null;
+
+function createTransport() {
+  const mode = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "json");
+
+  if (mode === "json") {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  if (mode === "smtp") {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${mode}" (expected "smtp" or "json")`);
+}
+
+/**
+ * Replace the transport (e.g. a jsonTransport or stub in tests)
+ */
+export const setMailTransport = (transport) => {
+  transporter = transport;
+};
+
+/**
+ * Send a message through the configured transport
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!transporter) transporter = createTransport();
+
+  const info = await transporter.sendMail({
+    from: process.env.MAIL_FROM || "Fynora <no-reply@fynora.app>",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  // jsonTransport returns the serialized message instead of delivering it
+  if (info.message && typeof info.message === "string" && process.env.NODE_ENV !== "production") {
+    console.log(`Mail (json transport) to ${to}: ${info.message}`);
+  }
+
+  return info;
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+const frontendUrl = () => process.env.FRONTEND_URL || "https://frontend-fy.vercel.app";
+
+/**
+ * Email verification link sent after signup
+ */
+export const sendVerificationEmail = async (user, token) => {
+  const link = `${frontendUrl()}/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: "Verify your Fynora email",
+    text: `Hi ${user.name},\n\nConfirm your email address to finish setting up your Fynora account:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address to finish setting up your Fynora account:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours.</p>`,
+  });
+};
+
+/**
+ * Password reset link sent from forgot-password
+ */
+export const sendPasswordResetEmail = async (user, token) => {
+  const link = `${frontendUrl()}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: "Reset your Fynora password",
+    text: `Hi ${user.name},\n\nUse this link to choose a new password:\n${link}\n\nThe link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Use this link to choose a new password:</p><p><a href="${link}">Reset password</a></p><p>The link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.</p>`,
+  });
+};
+
+export default {
+  setMailTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
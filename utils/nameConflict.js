@@ -0,0 +1,196 @@
+import { PrismaClient } from "@prisma/client";
+import path from "path";
+
+const prisma = new PrismaClient();
+
+/**
+ * Name Conflict Service
+ * Live (not trashed) files in a folder never share a name, and neither do
+ * live subfolders: a unique index on (userId, parent, name) guarantees it.
+ * Those indexes are partial expression indexes made by hand in a migration
+ * (the schema can't describe them), so `prisma migrate dev` sees them as
+ * drift and writes a DROP INDEX for them: apply migrations with
+ * `npm run prisma:migrate` (migrate deploy), delete those DROP INDEX lines
+ * from any migration `migrate dev` generates, and ensureSiblingNameIndexes
+ * puts them back at startup if they went missing anyway.
+ * Endpoints that put an item somewhere take an onConflict policy for when
+ * the name is already taken:
+ * - fail: refuse with 409
+ * - rename: use the first free "name (2)", "name (3)", ... (numbered before
+ *   the extension for files)
+ * - replace: the existing item goes to the trash (uploads store a new
+ *   version of the existing file instead)
+ * - merge: folders only, the contents go into the existing folder
+ */
+
+export const CONFLICT_POLICIES = ["fail", "rename", "replace", "merge"];
+
+const getDelegate = (type, client) => (type === "folder" ? client.folder : client.file);
+const getParentField = (type) => (type === "folder" ? "parentId" : "folderId");
+
+/**
+ * Read an onConflict value for an item type, using fallback when it is
+ * missing. Returns { policy } or { error, status }.
+ */
+export const parseConflictPolicy = (value, type, fallback) => {
+  if (value === undefined || value === null || value === "") return { policy: fallback };
+
+  const allowed = type === "folder" ? CONFLICT_POLICIES : CONFLICT_POLICIES.filter((policy) => policy !== "merge");
+  if (!allowed.includes(value)) {
+    return { error: `onConflict must be one of: ${allowed.join(", ")}`, status: 400 };
+  }
+  return { policy: value };
+};
+
+/**
+ * The live item of type called name under parentId (null for the top
+ * level), ignoring excludeId; null when the name is free
+ */
+export const findSibling = async (type, { userId, parentId, name, excludeId = null }, client = prisma) => {
+  return getDelegate(type, client).findFirst({
+    where: {
+      userId,
+      [getParentField(type)]: parentId,
+      name,
+      deletedAt: null,
+      ...(excludeId && { id: { not: excludeId } }),
+    },
+  });
+};
+
+// "Report (2).pdf" -> ["Report", ".pdf"]; folder names keep their dots
+const splitName = (type, name) => {
+  const extension = type === "file" ? path.extname(name) : "";
+  const stem = name.slice(0, name.length - extension.length);
+  return [stem.replace(/ \(\d+\)$/, "") || stem, extension];
+};
+
+/**
+ * name if it is free under parentId, otherwise the first free numbered
+ * variant ("Report (2).pdf", "Photos (3)"). Names in reserved (a Set) count
+ * as taken too.
+ */
+export const getAvailableName = async (type, { userId, parentId, name, excludeId = null, reserved = null }, client = prisma) => {
+  const [base, extension] = splitName(type, name);
+
+  const siblings = await getDelegate(type, client).findMany({
+    where: {
+      userId,
+      [getParentField(type)]: parentId,
+      name: { startsWith: base },
+      deletedAt: null,
+      ...(excludeId && { id: { not: excludeId } }),
+    },
+    select: { name: true },
+  });
+
+  const taken = new Set([...siblings.map((sibling) => sibling.name), ...(reserved || [])]);
+  if (!taken.has(name)) return name;
+
+  let number = 2;
+  while (taken.has(`${base} (${number})${extension}`)) number++;
+  return `${base} (${number})${extension}`;
+};
+
+/**
+ * Name for a copy: "Report (Copy).pdf", "Photos (Copy)"
+ */
+export const getCopyName = (type, name) => {
+  const extension = type === "file" ? path.extname(name) : "";
+  return `${name.slice(0, name.length - extension.length)} (Copy)${extension}`;
+};
+
+/**
+ * Apply a policy to putting an item of type called name under parentId.
+ * Returns { name } to go ahead with (renamed when needed), { name, existing }
+ * when the policy is replace or merge and the caller has to deal with the
+ * existing item, or { conflict } (the existing item) when it fails.
+ */
+export const resolveNameConflict = async (type, { userId, parentId, name, policy, excludeId = null }, client = prisma) => {
+  const existing = await findSibling(type, { userId, parentId, name, excludeId }, client);
+  if (!existing) return { name };
+
+  if (policy === "rename") {
+    return { name: await getAvailableName(type, { userId, parentId, name, excludeId }, client) };
+  }
+  if (policy === "replace" || (policy === "merge" && type === "folder")) {
+    return { name, existing };
+  }
+  return { conflict: existing };
+};
+
+/**
+ * Whether error is the unique index refusing a duplicate name (another
+ * request took it between the check and the write)
+ */
+/**
+ * Recreate the unique sibling name indexes if they are missing (see the
+ * header). Returns the names of the indexes that had to be created.
+ */
+export const ensureSiblingNameIndexes = async () => {
+  const existing = await prisma.$queryRaw`
+    SELECT indexname FROM pg_indexes
+    WHERE indexname IN ('Folder_sibling_name_key', 'File_sibling_name_key')
+  `;
+  const present = new Set(existing.map((index) => index.indexname));
+  const created = [];
+
+  if (!present.has("Folder_sibling_name_key")) {
+    await prisma.$executeRaw`
+      CREATE UNIQUE INDEX IF NOT EXISTS "Folder_sibling_name_key"
+      ON "Folder"("userId", COALESCE("parentId", 0), "name") WHERE "deletedAt" IS NULL
+    `;
+    created.push("Folder_sibling_name_key");
+  }
+  if (!present.has("File_sibling_name_key")) {
+    await prisma.$executeRaw`
+      CREATE UNIQUE INDEX IF NOT EXISTS "File_sibling_name_key"
+      ON "File"("userId", COALESCE("folderId", 0), "name") WHERE "deletedAt" IS NULL
+    `;
+    created.push("File_sibling_name_key");
+  }
+  return created;
+};
+
+/**
+ * Pick a free name with getAvailableName and apply it with save(name).
+ * Another request can take the same name in between, making save fail on
+ * the unique index; the next free name is tried then.
+ */
+export const saveWithAvailableName = async (type, sibling, save, attempts = 5) => {
+  for (let attempt = 1; ; attempt++) {
+    const name = await getAvailableName(type, sibling);
+    try {
+      return await save(name);
+    } catch (error) {
+      if (!isNameTakenError(error) || attempt >= attempts) throw error;
+    }
+  }
+};
+
+export const isNameTakenError = (error) =>
+  error?.code === "P2002" && ["File", "Folder"].includes(error.meta?.modelName);
+
+/**
+ * Body of the 409 sent when the name is taken and the policy is fail
+ */
+export const nameConflictError = (type, existing) => ({
+  error: existing
+    ? `A ${type} named "${existing.name}" already exists here`
+    : `A ${type} with that name already exists here`,
+  code: "NAME_CONFLICT",
+  ...(existing && { conflict: { id: existing.id, type, name: existing.name } }),
+});
+
+export default {
+  CONFLICT_POLICIES,
+  parseConflictPolicy,
+  findSibling,
+  getAvailableName,
+  getCopyName,
+  resolveNameConflict,
+  isNameTakenError,
+  nameConflictError,
+  ensureSiblingNameIndexes,
+  saveWithAvailableName,
+};
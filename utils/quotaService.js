@@ -0,0 +1,128 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+/**
+ * Quota Service
+ * Storage usage is every stored version of every file the user owns, trash
+ * included, since all of those bytes are still on disk.
+ * User.storageQuotaMb overrides DEFAULT_STORAGE_QUOTA_MB; 0 means unlimited.
+ * Writes reserve their bytes while they run (QuotaReservation), so parallel
+ * uploads and copies are checked against each other too.
+ */
+
+export const DEFAULT_STORAGE_QUOTA_MB = Number(process.env.DEFAULT_STORAGE_QUOTA_MB ?? 5120);
+const MB = 1024 * 1024;
+// Reservations older than this are from writes that crashed and are ignored
+const RESERVATION_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Bytes the user is storing (client: a transaction to run in)
+ */
+export const getStorageUsed = async (userId, client = prisma) => {
+  const result = await client.fileVersion.aggregate({
+    where: { file: { userId } },
+    _sum: { size: true },
+  });
+  return result._sum.size || 0;
+};
+
+/**
+ * The user's quota in bytes, or null when unlimited
+ */
+export const getStorageQuota = async (userId, client = prisma) => {
+  const user = await client.user.findUnique({
+    where: { id: userId },
+    select: { storageQuotaMb: true },
+  });
+
+  const quotaMb = user?.storageQuotaMb ?? DEFAULT_STORAGE_QUOTA_MB;
+  return quotaMb > 0 ? quotaMb * MB : null;
+};
+
+/**
+ * Bytes set aside by writes that are still running (see withQuota)
+ */
+const getReservedBytes = async (userId, client = prisma) => {
+  const result = await client.quotaReservation.aggregate({
+    where: { userId, expiresAt: { gt: new Date() } },
+    _sum: { bytes: true },
+  });
+  return Number(result._sum.bytes || 0);
+};
+
+/**
+ * Check whether storing additionalBytes more would fit.
+ * Bytes reserved by running writes count as used.
+ * Returns { allowed, quota, used, required }.
+ * Queries run one after another, so a transaction can be passed as client.
+ */
+export const checkQuota = async (userId, additionalBytes, client = prisma) => {
+  const quota = await getStorageQuota(userId, client);
+  const stored = await getStorageUsed(userId, client);
+  const reserved = await getReservedBytes(userId, client);
+  const used = stored + reserved;
+
+  return {
+    allowed: quota === null || used + additionalBytes <= quota,
+    quota,
+    used,
+    required: additionalBytes,
+  };
+};
+
+/**
+ * Run write() only if additionalBytes more fit in the user's quota.
+ * The check and a reservation for those bytes are made under a per-user
+ * lock, so concurrent uploads and copies can't all pass against the same
+ * usage; the reservation is dropped once write() has finished.
+ * Returns { quota } (the check, see checkQuota) and, when it passed,
+ * { result } (what write returned).
+ */
+export const withQuota = async (userId, additionalBytes, write) => {
+  if ((await getStorageQuota(userId)) === null) {
+    return { quota: await checkQuota(userId, additionalBytes), result: await write() };
+  }
+
+  const { quota, reservation } = await prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`quota:${userId}`}))`;
+
+    // Left behind by writes that never finished
+    await tx.quotaReservation.deleteMany({ where: { userId, expiresAt: { lte: new Date() } } });
+
+    const quota = await checkQuota(userId, additionalBytes, tx);
+    if (!quota.allowed) return { quota };
+
+    const reservation = await tx.quotaReservation.create({
+      data: { userId, bytes: additionalBytes, expiresAt: new Date(Date.now() + RESERVATION_TTL_MS) },
+    });
+    return { quota, reservation };
+  });
+  if (!reservation) return { quota };
+
+  try {
+    return { quota, result: await write() };
+  } finally {
+    await prisma.quotaReservation.delete({ where: { id: reservation.id } });
+  }
+};
+
+/**
+ * Body for the 413 response sent when a quota check fails
+ */
+export const quotaExceededError = ({ quota, used, required }) => ({
+  error: `Storage quota exceeded: this needs ${required} bytes but only ${Math.max(quota - used, 0)} of your ${quota} bytes are free`,
+  code: "QUOTA_EXCEEDED",
+  quota,
+  used,
+  required,
+});
+
+export default {
+  DEFAULT_STORAGE_QUOTA_MB,
+  getStorageUsed,
+  getStorageQuota,
+  checkQuota,
+  withQuota,
+  quotaExceededError,
+};
@@ -0,0 +1,115 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+
+/**
+ * S3-Compatible Storage Driver
+ * Configured by S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+ * S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE and S3_PREFIX (prepended to every
+ * key). Point S3_ENDPOINT at a local MinIO-style stand-in, with
+ * S3_FORCE_PATH_STYLE=true, for testing.
+ * See storage.js for the driver interface.
+ */
+
+const isNotFound = (error) =>
+  error.name === "NotFound" || error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404;
+
+export const createS3StorageDriver = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true",
+  prefix = process.env.S3_PREFIX || "",
+} = {}) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET must be set to use the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    // Not every S3-compatible service accepts the SDK's default streaming checksums
+    requestChecksumCalculation: "WHEN_REQUIRED",
+    responseChecksumValidation: "WHEN_REQUIRED",
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  const stat = async (key) => {
+    try {
+      const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return { size: head.ContentLength, lastModified: head.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  const openReadStream = async (key, { start, end } = {}) => {
+    const range = start !== undefined || end !== undefined
+      ? `bytes=${start ?? 0}-${end ?? ""}`
+      : undefined;
+
+    const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key), Range: range }));
+    return object.Body;
+  };
+
+  return {
+    name: "s3",
+
+    async putFile(key, sourcePath, { move = false } = {}) {
+      const { size } = await fs.promises.stat(sourcePath);
+
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+      }));
+
+      if (move) await fs.promises.unlink(sourcePath);
+    },
+
+    stat,
+
+    async exists(key) {
+      return (await stat(key)) !== null;
+    },
+
+    openReadStream,
+
+    // Tools like pdf-parse and tesseract need a real file, so download a
+    // temporary copy for the duration of fn
+    async withLocalFile(key, fn) {
+      const tempPath = path.join(os.tmpdir(), `fynora-${crypto.randomUUID()}${path.extname(key)}`);
+
+      try {
+        await pipeline(await openReadStream(key), fs.createWriteStream(tempPath));
+        return await fn(tempPath);
+      } finally {
+        fs.promises.unlink(tempPath).catch(() => {});
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+  };
+};
+
+export default {
+  createS3StorageDriver,
+};
@@ -0,0 +1,315 @@
+import { PrismaClient } from "@prisma/client";
+import Fuse from "fuse.js";
+import { getDescendantFolderIds } from "./folderTree.js";
+import { getVaultFolderIds } from "./vaultService.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Search Service
+ * Fuzzy search over a user's file, folder and category names and the text
+ * extracted from file contents (stored when a file is analyzed).
+ * Postgres picks the candidates (trigram similarity on names, substring
+ * matches in the text; see the pg_trgm indexes) and Fuse ranks only those.
+ */
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 100;
+
+// Only the start of very long documents is matched, to keep searches fast
+const MAX_SEARCHABLE_TEXT = 50000;
+// Most files and folders fetched from Postgres for Fuse to rank
+const MAX_CANDIDATES = 500;
+// pg_trgm word_similarity a name needs to be a candidate (typos still match)
+const NAME_SIMILARITY = 0.3;
+// Characters of context shown either side of a match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+const FUSE_OPTIONS = {
+  keys: [
+    { name: "name", weight: 3 },
+    { name: "category", weight: 1 },
+    { name: "text", weight: 1 },
+  ],
+  includeScore: true,
+  includeMatches: true,
+  ignoreLocation: true,
+  threshold: 0.35,
+  minMatchCharLength: 2,
+};
+
+/**
+ * Fuse reports every fragment it matched, down to scattered pairs of letters;
+ * keep the ranges long enough to be worth highlighting
+ */
+const significantRanges = (indices, query) => {
+  const minLength = Math.max(2, Math.ceil(query.length / 2));
+  return indices.filter(([start, end]) => end - start + 1 >= minLength);
+};
+
+/**
+ * Page number containing a text offset, from stored page offsets (PDFs)
+ */
+const findPage = (pages, offset) => {
+  const page = pages?.find(({ start, end }) => offset >= start && offset < end);
+  return page ? page.page : null;
+};
+
+const parsePages = (extractedPages) => {
+  try {
+    return extractedPages ? JSON.parse(extractedPages) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Cut a window of text around the best match and return it with the match
+ * ranges ([start, end], end inclusive) relative to the snippet, and the page
+ * the match is on when the document has pages
+ */
+const buildSnippet = (text, indices, query, pages) => {
+  const [bestStart, bestEnd] = indices.reduce((best, range) =>
+    range[1] - range[0] > best[1] - best[0] ? range : best
+  );
+
+  let start = Math.max(0, bestStart - SNIPPET_CONTEXT);
+  let end = Math.min(text.length, bestEnd + 1 + SNIPPET_CONTEXT);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    if (space !== -1 && space < bestStart) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    if (space > bestEnd) end = space;
+  }
+
+  return {
+    // Same-length whitespace replacement keeps the ranges valid
+    text: (start > 0 ? "…" : "") + text.slice(start, end).replace(/\s/g, " ") + (end < text.length ? "…" : ""),
+    highlights: significantRanges(indices, query)
+      .filter(([s, e]) => s >= start && e < end)
+      .map(([s, e]) => [s - start + (start > 0 ? 1 : 0), e - start + (start > 0 ? 1 : 0)]),
+    page: findPage(pages, bestStart),
+  };
+};
+
+// Escape LIKE wildcards so the query is matched literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+/**
+ * Ids of the user's live files or folders whose name contains the query or
+ * is similar to it, most similar first
+ */
+const findNameCandidates = async (table, userId, query) => {
+  const pattern = `%${escapeLike(query)}%`;
+  const rows = table === "File"
+    ? await prisma.$queryRaw`
+        SELECT id FROM "File"
+        WHERE "userId" = ${userId} AND "deletedAt" IS NULL
+          AND (name ILIKE ${pattern} OR word_similarity(${query}, name) >= ${NAME_SIMILARITY})
+        ORDER BY word_similarity(${query}, name) DESC
+        LIMIT ${MAX_CANDIDATES}
+      `
+    : await prisma.$queryRaw`
+        SELECT id FROM "Folder"
+        WHERE "userId" = ${userId} AND "deletedAt" IS NULL
+          AND (name ILIKE ${pattern} OR word_similarity(${query}, name) >= ${NAME_SIMILARITY})
+        ORDER BY word_similarity(${query}, name) DESC
+        LIMIT ${MAX_CANDIDATES}
+      `;
+  return rows.map((row) => row.id);
+};
+
+/**
+ * The given folders and all their ancestors in one recursive query,
+ * as a Map of id to { id, name, parentId, isLocked }
+ */
+const loadFolderChains = async (folderIds) => {
+  if (folderIds.length === 0) return new Map();
+
+  const folders = await prisma.$queryRaw`
+    WITH RECURSIVE chain AS (
+      SELECT id, name, "parentId", "isLocked" FROM "Folder" WHERE id = ANY(${folderIds})
+      UNION
+      SELECT f.id, f.name, f."parentId", f."isLocked"
+      FROM "Folder" f JOIN chain c ON f.id = c."parentId"
+    )
+    SELECT id, name, "parentId", "isLocked" FROM chain
+  `;
+  return new Map(folders.map((folder) => [folder.id, folder]));
+};
+
+/**
+ * Search a user's live items.
+ * filters: { type, mimetype, categoryId, folderId, from, to, minSize, maxSize, limit }
+ * mimetype ending in "/" matches a prefix (e.g. "image/").
+ *
+ * Locked files and folders can be found by name only; their contents (the
+ * extracted text of a locked file, anything inside a locked folder) never are.
+ */
+export const searchItems = async (userId, query, filters = {}) => {
+  const fileOnlyFilter = filters.mimetype || filters.categoryId || filters.minSize != null || filters.maxSize != null;
+  const includeFiles = !filters.type || filters.type === "file";
+  const includeFolders = (!filters.type || filters.type === "folder") && !fileOnlyFilter;
+  const includeCategories = (!filters.type || filters.type === "category")
+    && !fileOnlyFilter && !filters.folderId && !filters.from && !filters.to;
+
+  // Anything inside a locked folder is left out; so is anything outside
+  // the folderId subtree when one is given
+  const vaultFolderIds = await getVaultFolderIds(userId);
+  const scopeIds = filters.folderId
+    ? await getDescendantFolderIds(filters.folderId, { where: { deletedAt: null } })
+    : null;
+  const parentWhere = (field) => {
+    const where = scopeIds ? { [field]: { in: scopeIds } } : {};
+    if (vaultFolderIds.length === 0) return where;
+    return { AND: [where, { OR: [{ [field]: null }, { [field]: { notIn: vaultFolderIds } }] }] };
+  };
+
+  const documents = [];
+  let files = [];
+  let folders = [];
+
+  if (includeFiles) {
+    const where = { userId, deletedAt: null, ...parentWhere("folderId") };
+    if (filters.mimetype) {
+      where.mimetype = filters.mimetype.endsWith("/") ? { startsWith: filters.mimetype } : filters.mimetype;
+    }
+    if (filters.categoryId) where.categoryId = filters.categoryId;
+    if (filters.from || filters.to) {
+      where.createdAt = {};
+      if (filters.from) where.createdAt.gte = filters.from;
+      if (filters.to) where.createdAt.lte = filters.to;
+    }
+    if (filters.minSize != null || filters.maxSize != null) {
+      where.size = {};
+      if (filters.minSize != null) where.size.gte = filters.minSize;
+      if (filters.maxSize != null) where.size.lte = filters.maxSize;
+    }
+
+    // Text is matched word by word (short words would match nearly everything)
+    const words = query.split(/\s+/).filter((word) => word.length >= 3);
+    where.OR = [
+      { id: { in: await findNameCandidates("File", userId, query) } },
+      { category: { name: { contains: query, mode: "insensitive" } } },
+      ...(words.length > 0 ? words : [query]).map((word) => ({
+        isLocked: false,
+        extractedText: { contains: word, mode: "insensitive" },
+      })),
+    ];
+
+    files = await prisma.file.findMany({
+      where,
+      select: {
+        id: true,
+        name: true,
+        size: true,
+        mimetype: true,
+        folderId: true,
+        categoryId: true,
+        isLocked: true,
+        createdAt: true,
+        updatedAt: true,
+        extractedText: true,
+        extractedPages: true,
+        category: { select: { name: true } },
+      },
+      orderBy: { updatedAt: "desc" },
+      take: MAX_CANDIDATES,
+    });
+  }
+
+  if (includeFolders) {
+    const where = {
+      id: { in: await findNameCandidates("Folder", userId, query) },
+      ...parentWhere("parentId"),
+    };
+    if (filters.from || filters.to) {
+      where.createdAt = {};
+      if (filters.from) where.createdAt.gte = filters.from;
+      if (filters.to) where.createdAt.lte = filters.to;
+    }
+
+    folders = await prisma.folder.findMany({
+      where,
+      select: { id: true, name: true, parentId: true, isLocked: true, folderColor: true, createdAt: true },
+    });
+  }
+
+  // Paths only need the folders above the candidates
+  const folderMap = await loadFolderChains([
+    ...new Set([...files.map((file) => file.folderId), ...folders.map((folder) => folder.parentId)].filter(Boolean)),
+  ]);
+
+  // Ancestor chain of folderId (inclusive), top-level first
+  const getPath = (folderId) => {
+    const path = [];
+    const seen = new Set();
+    let current = folderMap.get(folderId);
+    while (current && !seen.has(current.id)) {
+      seen.add(current.id);
+      path.unshift(current);
+      current = folderMap.get(current.parentId);
+    }
+    return path;
+  };
+
+  for (const file of files) {
+    const { extractedText, extractedPages, category, ...item } = file;
+    documents.push({
+      type: "file",
+      item,
+      path: file.folderId ? getPath(file.folderId) : [],
+      name: file.name,
+      category: category?.name || "",
+      text: file.isLocked ? "" : (extractedText || "").slice(0, MAX_SEARCHABLE_TEXT),
+      pages: parsePages(extractedPages),
+    });
+  }
+
+  for (const folder of folders) {
+    documents.push({
+      type: "folder",
+      item: folder,
+      path: folder.parentId ? getPath(folder.parentId) : [],
+      name: folder.name,
+    });
+  }
+
+  if (includeCategories) {
+    const categories = await prisma.category.findMany({
+      where: { OR: [{ userId }, { userId: null }] },
+      select: { id: true, name: true, userId: true },
+    });
+    categories.forEach((category) => {
+      documents.push({ type: "category", item: category, path: [], name: category.name });
+    });
+  }
+
+  const limit = filters.limit || DEFAULT_SEARCH_LIMIT;
+  const results = new Fuse(documents, FUSE_OPTIONS).search(query, { limit });
+
+  return results.map(({ item: document, score, matches = [] }) => {
+    const nameMatch = matches.find((match) => match.key === "name");
+    const textMatch = matches.find((match) => match.key === "text");
+
+    return {
+      type: document.type,
+      ...document.item,
+      path: document.path.map(({ id, name }) => ({ id, name })),
+      score: Number((1 - score).toFixed(3)),
+      matchedIn: [...new Set(matches.map((match) => match.key))],
+      highlights: nameMatch ? significantRanges(nameMatch.indices, query) : [],
+      snippet: textMatch ? buildSnippet(textMatch.value, textMatch.indices, query, document.pages) : null,
+    };
+  });
+};
+
+export default {
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  searchItems,
+};
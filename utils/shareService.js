@@ -0,0 +1,129 @@
+import { PrismaClient } from "@prisma/client";
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+
+const prisma = new PrismaClient();
+
+/**
+ * Share Service for Prisma/PostgreSQL
+ * Persists share links and resolves public share tokens
+ */
+
+// Links expire after this many days unless the owner picks another lifetime
+export const DEFAULT_SHARE_EXPIRY_DAYS = 7;
+export const MAX_SHARE_EXPIRY_DAYS = 365;
+
+/**
+ * Build the public URL for a share token
+ */
+export const buildShareLink = (req, token) => {
+  return `${req.protocol}://${req.get("host")}/share/${token}`;
+};
+
+/**
+ * Create a persisted share link for a file or folder
+ */
+export const createShare = async ({ userId, itemType, itemId, expiresInDays, password, maxDownloads }) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  let expiresAt = null;
+  if (expiresInDays !== 0) {
+    const days = expiresInDays || DEFAULT_SHARE_EXPIRY_DAYS;
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const share = await prisma.share.create({
+    data: {
+      token,
+      itemType,
+      itemId,
+      userId,
+      password: password ? await bcrypt.hash(password, 10) : null,
+      maxDownloads: maxDownloads || null,
+      expiresAt,
+    },
+  });
+  return share;
+};
+
+/**
+ * Active shares matching where (e.g. { userId } or one item), newest first
+ */
+export const findActiveShares = async (where) => {
+  const shares = await prisma.share.findMany({
+    where: {
+      ...where,
+      revokedAt: null,
+      OR: [
+        { expiresAt: null },
+        { expiresAt: { gt: new Date() } },
+      ],
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  // Exhausted download limits can't be filtered in the query (column-to-column comparison)
+  return shares.filter((share) => !getShareInactiveReason(share));
+};
+
+/**
+ * Share fields returned to the owner (never the token hash or password)
+ */
+export const formatShare = (req, share) => ({
+  id: share.id,
+  shareLink: buildShareLink(req, share.token),
+  passwordProtected: !!share.password,
+  maxDownloads: share.maxDownloads,
+  downloadCount: share.downloadCount,
+  expiresAt: share.expiresAt,
+  createdAt: share.createdAt,
+});
+
+/**
+ * Check whether a share can still be used.
+ * Returns null when usable, otherwise the reason it is not.
+ */
+export const getShareInactiveReason = (share, { ignoreDownloadLimit = false } = {}) => {
+  if (share.revokedAt) return "This link has been revoked";
+  if (share.expiresAt && share.expiresAt <= new Date()) return "This link has expired";
+  if (!ignoreDownloadLimit && share.maxDownloads !== null && share.downloadCount >= share.maxDownloads) {
+    return "This link has reached its download limit";
+  }
+  return null;
+};
+
+/**
+ * Compare a supplied password against the share's password hash
+ */
+export const verifySharePassword = async (share, password) => {
+  if (!share.password) return true;
+  if (!password) return false;
+  return bcrypt.compare(password, share.password);
+};
+
+/**
+ * Count a download against the share's limit.
+ * Returns false when the limit was reached by a concurrent request.
+ */
+export const recordShareDownload = async (share) => {
+  const where = { id: share.id };
+  if (share.maxDownloads !== null) {
+    where.downloadCount = { lt: share.maxDownloads };
+  }
+
+  const result = await prisma.share.updateMany({
+    where,
+    data: { downloadCount: { increment: 1 } },
+  });
+  return result.count > 0;
+};
+
+export default {
+  buildShareLink,
+  createShare,
+  findActiveShares,
+  formatShare,
+  getShareInactiveReason,
+  verifySharePassword,
+  recordShareDownload,
+};
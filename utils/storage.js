@@ -0,0 +1,66 @@
+import { createLocalStorageDriver } from "./localStorageDriver.js";
+import { createS3StorageDriver } from "./s3StorageDriver.js";
+
+/**
+ * Storage
+ * Where file content lives. The driver is chosen by STORAGE_DRIVER:
+ *   - "local" (default): files under uploads/
+ *   - "s3": an S3-compatible bucket (see s3StorageDriver.js)
+ * Tests can inject any driver with setStorageDriver().
+ *
+ * Every driver takes keys relative to the storage root (a File.url of
+ * "/uploads/blobs/ab/<hash>" is the key "blobs/ab/<hash>") and provides:
+ *   putFile(key, sourcePath, { move })   store a local file
+ *   stat(key)                            { size, lastModified } or null
+ *   exists(key)
+ *   openReadStream(key, { start, end })  readable stream (end inclusive)
+ *   withLocalFile(key, fn)               fn(path of a local copy)
+ *   delete(key)                          no error when already gone
+ */
+
+export const STORAGE_DRIVERS = ["local", "s3"];
+
+let driver = null;
+
+/**
+ * Create a driver by name ("local" or "s3"), configured from the environment
+ */
+export const createStorageDriver = (name) => {
+  if (name === "local") return createLocalStorageDriver();
+  if (name === "s3") return createS3StorageDriver();
+
+  throw new Error(`Unknown storage driver "${name}" (expected "local" or "s3")`);
+};
+
+/**
+ * The configured driver
+ */
+export const getStorage = () => {
+  if (!driver) driver = createStorageDriver(process.env.STORAGE_DRIVER || "local");
+  return driver;
+};
+
+/**
+ * Replace the driver (e.g. a stub in tests)
+ */
+export const setStorageDriver = (storageDriver) => {
+  driver = storageDriver;
+};
+
+/**
+ * Storage key for a stored url ("/uploads/x" and legacy "x" both map to "x").
+ * Returns null for urls that would escape the storage root.
+ */
+export const getStorageKey = (url) => {
+  const key = url.startsWith("/uploads/") ? url.slice("/uploads/".length) : url.replace(/^\/+/, "");
+  if (!key || key.split(/[\\/]/).includes("..")) return null;
+  return key;
+};
+
+export default {
+  STORAGE_DRIVERS,
+  createStorageDriver,
+  getStorage,
+  setStorageDriver,
+  getStorageKey,
+};
@@ -0,0 +1,180 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import gm from "gm";
+import { fileURLToPath } from "url";
+import { getStorage, getStorageKey } from "./storage.js";
+import { registerJobHandler, enqueueJob, PermanentJobError } from "./jobQueue.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Thumbnail Service
+ * PNG previews of images and the first page of PDFs, one per size, stored
+ * next to the content they were made from under
+ * thumbnails/<first two hex chars>/<hash>-<size>.png.
+ * They are keyed by content hash, so a new version gets new thumbnails,
+ * duplicates share them, and they are deleted along with their blob.
+ * Rendering uses GraphicsMagick (and Ghostscript for PDFs), as pdf2pic does.
+ */
+
+export const THUMBNAIL_JOB = "thumbnails";
+
+// Longest side in pixels
+export const THUMBNAIL_SIZES = {
+  small: 128,
+  medium: 256,
+  large: 512,
+};
+export const DEFAULT_THUMBNAIL_SIZE = "medium";
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp", "image/bmp", "image/tiff"];
+
+const tempDir = path.join(__dirname, "../temp");
+
+// Content that failed to render this run isn't retried on every request
+const failedHashes = new Set();
+
+/**
+ * Storage key of a thumbnail
+ */
+export const getThumbnailKey = (hash, size) => `thumbnails/${hash.slice(0, 2)}/${hash}-${size}.png`;
+
+/**
+ * Whether thumbnails can be made for a file or version: the content must be
+ * stored as a blob, of a type that can be rendered, and not locked
+ */
+export const canHaveThumbnail = (stored) =>
+  Boolean(stored.contentHash)
+  && !stored.isLocked
+  && (IMAGE_TYPES.includes(stored.mimetype) || stored.mimetype === "application/pdf");
+
+const tempPath = () => path.join(tempDir, `thumb-${Date.now()}-${crypto.randomUUID()}.png`);
+
+// Shrink an image to fit size x size (never enlarging). "[0]" takes the
+// first frame of animated GIFs.
+const renderImage = (sourcePath, px) =>
+  new Promise((resolve, reject) => {
+    const outputPath = tempPath();
+    gm(`${sourcePath}[0]`)
+      .autoOrient()
+      .resize(px, px, ">")
+      .write(outputPath, (error) => (error ? reject(error) : resolve(outputPath)));
+  });
+
+// Render the first page of a PDF to fit size x size
+const renderPdfPage = async (sourcePath, px) => {
+  const pdf2pic = (await import("pdf2pic")).default;
+  const convert = pdf2pic.fromPath(sourcePath, {
+    density: 96,
+    width: px,
+    height: px,
+    preserveAspectRatio: true,
+    format: "png",
+    savePath: tempDir,
+    saveFilename: `thumb-${Date.now()}-${crypto.randomUUID()}`,
+  });
+
+  const page = await convert(1, { responseType: "image" });
+  return page.path;
+};
+
+/**
+ * Make every missing thumbnail size for stored content ({ url, mimetype,
+ * contentHash }). Returns the sizes that were created.
+ */
+export const generateThumbnails = async (stored, sizes = Object.keys(THUMBNAIL_SIZES)) => {
+  const storage = getStorage();
+  const missing = [];
+  for (const size of sizes) {
+    if (!(await storage.exists(getThumbnailKey(stored.contentHash, size)))) missing.push(size);
+  }
+  if (missing.length === 0) return [];
+
+  const key = getStorageKey(stored.url);
+  if (!key || !(await storage.exists(key))) {
+    throw new PermanentJobError("Stored content not found");
+  }
+
+  const render = stored.mimetype === "application/pdf" ? renderPdfPage : renderImage;
+
+  await storage.withLocalFile(key, async (sourcePath) => {
+    for (const size of missing) {
+      const outputPath = await render(sourcePath, THUMBNAIL_SIZES[size]);
+      try {
+        await storage.putFile(getThumbnailKey(stored.contentHash, size), outputPath, { move: true });
+      } finally {
+        fs.promises.unlink(outputPath).catch(() => {});
+      }
+    }
+  });
+
+  return missing;
+};
+
+/**
+ * Thumbnail of stored content at a size, rendering it first when needed.
+ * Returns { key, size (bytes) } or null when it can't be rendered.
+ */
+export const getThumbnail = async (stored, size) => {
+  const storage = getStorage();
+  const thumbnailKey = getThumbnailKey(stored.contentHash, size);
+
+  let info = await storage.stat(thumbnailKey);
+  if (!info && !failedHashes.has(stored.contentHash)) {
+    try {
+      await generateThumbnails(stored, [size]);
+      info = await storage.stat(thumbnailKey);
+    } catch (error) {
+      console.error(`Thumbnail generation failed for ${stored.contentHash}:`, error.message);
+      failedHashes.add(stored.contentHash);
+    }
+  }
+
+  return info ? { key: thumbnailKey, size: info.size } : null;
+};
+
+/**
+ * Delete every thumbnail of a blob (when the blob itself goes)
+ */
+export const deleteThumbnails = async (hash) => {
+  const storage = getStorage();
+  await Promise.all(Object.keys(THUMBNAIL_SIZES).map((size) => storage.delete(getThumbnailKey(hash, size))));
+};
+
+/**
+ * Render thumbnails for new content in the background
+ */
+export const queueThumbnails = async (file) => {
+  if (!canHaveThumbnail(file)) return null;
+
+  try {
+    return await enqueueJob(
+      THUMBNAIL_JOB,
+      { url: file.url, mimetype: file.mimetype, contentHash: file.contentHash },
+      { userId: file.userId, dedupeKey: `${THUMBNAIL_JOB}:${file.contentHash}` }
+    );
+  } catch (error) {
+    // Thumbnails are also rendered on first request
+    console.error("Failed to queue thumbnails:", error);
+    return null;
+  }
+};
+
+registerJobHandler(THUMBNAIL_JOB, async (stored) => {
+  const created = await generateThumbnails(stored);
+  return { created };
+});
+
+export default {
+  THUMBNAIL_JOB,
+  THUMBNAIL_SIZES,
+  DEFAULT_THUMBNAIL_SIZE,
+  getThumbnailKey,
+  canHaveThumbnail,
+  generateThumbnails,
+  getThumbnail,
+  deleteThumbnails,
+  queueThumbnails,
+};
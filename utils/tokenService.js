@@ -0,0 +1,221 @@
+import { PrismaClient } from "@prisma/client";
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+
+const prisma = new PrismaClient();
+
+/**
+ * Token Service for Prisma/PostgreSQL
+ * Issues short-lived access tokens, rotating per-device refresh tokens
+ * and the single-use tokens sent by email
+ */
+
+// Access tokens are JWTs checked by middleware/auth.js without a DB lookup,
+// so their lifetime bounds how long a revoked session keeps working
+export const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || "15m";
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+export const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+export const GOOGLE_LINK_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Sign an access token (same payload login has always issued)
+ */
+export const signAccessToken = (user) => {
+  return jwt.sign(
+    { id: user.id, email: user.email },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRY }
+  );
+};
+
+/**
+ * Sign a short-lived token for one purpose (opening the vault, confirming a
+ * Google link). The purpose is its audience, and middleware/auth.js refuses
+ * tokens with an audience, so it never works as an access token.
+ */
+export const signPurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign(payload, process.env.JWT_SECRET, { audience: purpose, expiresIn });
+};
+
+/**
+ * Check a token from signPurposeToken. Returns its payload, or null when it
+ * is invalid, expired or for another purpose.
+ */
+export const verifyPurposeToken = (token, purpose) => {
+  if (!token) return null;
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, { audience: purpose });
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Store a new refresh token for a device and return the raw token
+ */
+const createRefreshToken = async (userId, device, familyId = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+
+  await prisma.refreshToken.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      familyId,
+      userId,
+      deviceName: device.deviceName || null,
+      userAgent: device.userAgent || null,
+      ipAddress: device.ipAddress || null,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  });
+
+  return refreshToken;
+};
+
+/**
+ * Read device details from the request
+ */
+export const getDeviceInfo = (req) => ({
+  deviceName: typeof req.body?.deviceName === "string" ? req.body.deviceName.trim().slice(0, 100) : null,
+  userAgent: req.get("user-agent")?.slice(0, 255) || null,
+  ipAddress: req.ip || null,
+});
+
+/**
+ * Issue an access/refresh token pair for a fresh login
+ */
+export const issueTokens = async (user, device) => {
+  const refreshToken = await createRefreshToken(user.id, device);
+  return {
+    token: signAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRY,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new pair.
+ * The old token is revoked; presenting an already-rotated token is treated as
+ * theft and revokes every token in its family.
+ * Returns null when the token can't be used.
+ */
+export const rotateRefreshToken = async (refreshToken, device) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { user: { select: { id: true, email: true, isActive: true } } },
+  });
+
+  if (!stored) return null;
+
+  if (stored.revokedAt) {
+    console.warn(`Refresh token reuse detected for user ${stored.userId}, revoking family ${stored.familyId}`);
+    await prisma.refreshToken.updateMany({
+      where: { familyId: stored.familyId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    return null;
+  }
+
+  if (stored.expiresAt <= new Date() || !stored.user.isActive) return null;
+
+  // Revoke only if still active so two concurrent refreshes can't both succeed
+  const revoked = await prisma.refreshToken.updateMany({
+    where: { id: stored.id, revokedAt: null },
+    data: { revokedAt: new Date(), lastUsedAt: new Date() },
+  });
+  if (revoked.count === 0) return null;
+
+  const nextRefreshToken = await createRefreshToken(stored.userId, {
+    deviceName: device.deviceName || stored.deviceName,
+    userAgent: device.userAgent || stored.userAgent,
+    ipAddress: device.ipAddress || stored.ipAddress,
+  }, stored.familyId);
+
+  return {
+    user: stored.user,
+    token: signAccessToken(stored.user),
+    refreshToken: nextRefreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRY,
+  };
+};
+
+/**
+ * Revoke a single refresh token (logout on one device)
+ */
+export const revokeRefreshToken = async (refreshToken) => {
+  const result = await prisma.refreshToken.updateMany({
+    where: { tokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return result.count > 0;
+};
+
+/**
+ * Revoke every refresh token a user holds (logout everywhere)
+ */
+export const revokeAllRefreshTokens = async (userId) => {
+  const result = await prisma.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return result.count;
+};
+
+/**
+ * Create a single-use token (email verification, password reset, starting a
+ * Google link).
+ * Earlier unused tokens for the same purpose are invalidated.
+ */
+export const createAuthToken = async (userId, purpose, ttlMs) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await prisma.authToken.updateMany({
+    where: { userId, purpose, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  await prisma.authToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      purpose,
+      userId,
+      expiresAt: new Date(Date.now() + ttlMs),
+    },
+  });
+
+  return token;
+};
+
+/**
+ * Use up an emailed token. Returns the owning userId, or null when the token
+ * is unknown, for another purpose, expired or already used.
+ */
+export const consumeAuthToken = async (token, purpose) => {
+  const stored = await prisma.authToken.findUnique({ where: { tokenHash: hashToken(token) } });
+  if (!stored || stored.purpose !== purpose || stored.usedAt || stored.expiresAt <= new Date()) {
+    return null;
+  }
+
+  // Mark used only if still unused so the token can't be redeemed twice
+  const result = await prisma.authToken.updateMany({
+    where: { id: stored.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  return result.count > 0 ? stored.userId : null;
+};
+
+export default {
+  signAccessToken,
+  signPurposeToken,
+  verifyPurposeToken,
+  getDeviceInfo,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  createAuthToken,
+  consumeAuthToken,
+};
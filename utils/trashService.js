@@ -0,0 +1,294 @@
+import { PrismaClient } from "@prisma/client";
+import { getFolderPath, getDescendantFolderIds } from "./folderTree.js";
+import { getVersionContent } from "./fileVersionService.js";
+import { releaseBlob } from "./blobService.js";
+import { getStorage, getStorageKey } from "./storage.js";
+import { isNameTakenError, saveWithAvailableName } from "./nameConflict.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Trash Service
+ * Soft-deletes files and folder subtrees, restores them to where they were,
+ * and permanently purges them (releasing their stored content)
+ */
+
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When an item deleted at deletedAt will be purged automatically
+ */
+export const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Remove a file's stored bytes (the database row is handled by the caller)
+ */
+export const removeUploadedFile = async (file) => {
+  // Never touch anything outside the storage root
+  const key = getStorageKey(file.url);
+  if (!key) return;
+
+  try {
+    await getStorage().delete(key);
+    console.log(`Stored file deleted: ${key}`);
+  } catch (error) {
+    console.error(`Failed to delete stored file: ${error.message}`);
+  }
+};
+
+/**
+ * Release the stored content of deleted versions. Blobs go when their last
+ * reference does; content stored before deduplication belongs to one version
+ * and is removed directly.
+ */
+const releaseVersionContent = async (versions) => {
+  for (const version of versions) {
+    if (version.contentHash) {
+      await releaseBlob(version.contentHash);
+    } else {
+      await removeUploadedFile(version);
+    }
+  }
+};
+
+// Run fn in a transaction, or in the one client already belongs to
+const withTransaction = (client, fn) => (client.$transaction ? client.$transaction(fn) : fn(client));
+
+/**
+ * Move a single file to the trash (client: a transaction to run in)
+ */
+export const moveFileToTrash = async (file, client = prisma) => {
+  const originalPath = file.folderId ? await getFolderPath(file.folderId, file.userId) : [];
+
+  return client.file.update({
+    where: { id: file.id },
+    data: {
+      deletedAt: new Date(),
+      isTrashRoot: true,
+      originalPath: JSON.stringify(originalPath),
+    },
+  });
+};
+
+/**
+ * Move a folder and everything in it to the trash (client: a transaction to
+ * run in). Items already in the trash keep their own entry.
+ */
+export const moveFolderToTrash = async (folder, client = prisma) => {
+  const now = new Date();
+  const originalPath = folder.parentId ? await getFolderPath(folder.parentId, folder.userId) : [];
+  const folderIds = await getDescendantFolderIds(folder.id, { where: { deletedAt: null } });
+
+  await withTransaction(client, async (tx) => {
+    await tx.folder.update({
+      where: { id: folder.id },
+      data: { deletedAt: now, isTrashRoot: true, originalPath: JSON.stringify(originalPath) },
+    });
+    await tx.folder.updateMany({
+      where: { id: { in: folderIds.slice(1) } },
+      data: { deletedAt: now },
+    });
+    await tx.file.updateMany({
+      where: { folderId: { in: folderIds }, deletedAt: null },
+      data: { deletedAt: now },
+    });
+  });
+};
+
+/**
+ * Work out which folder a restored item goes back into.
+ * Uses the current parent if it is still live; otherwise walks the path saved
+ * at deletion time, reusing the deepest surviving ancestor and recreating the
+ * missing folders below it.
+ */
+async function resolveRestoreFolder(parentId, originalPath, userId) {
+  if (parentId) {
+    const parent = await prisma.folder.findUnique({ where: { id: parentId } });
+    if (parent && parent.userId === userId && !parent.deletedAt) return parent.id;
+  }
+
+  let savedPath = [];
+  try {
+    savedPath = JSON.parse(originalPath || "[]");
+  } catch (e) {
+    savedPath = [];
+  }
+
+  let targetId = null;
+  let missingFrom = 0;
+  for (let i = savedPath.length - 1; i >= 0; i--) {
+    const ancestor = await prisma.folder.findUnique({ where: { id: savedPath[i].id } });
+    if (ancestor && ancestor.userId === userId && !ancestor.deletedAt) {
+      targetId = ancestor.id;
+      missingFrom = i + 1;
+      break;
+    }
+  }
+
+  for (const entry of savedPath.slice(missingFrom)) {
+    // Prefer a live folder of the same name so repeated restores don't fan out
+    const where = { userId, parentId: targetId, name: entry.name, deletedAt: null };
+    let folder = await prisma.folder.findFirst({ where });
+    if (!folder) {
+      try {
+        folder = await prisma.folder.create({
+          data: { name: entry.name, userId, parentId: targetId },
+        });
+      } catch (error) {
+        // Another restore recreated it first
+        if (!isNameTakenError(error)) throw error;
+        folder = await prisma.folder.findFirst({ where });
+        if (!folder) throw error;
+      }
+    }
+    targetId = folder.id;
+  }
+
+  return targetId;
+}
+
+/**
+ * Restore a trashed file to its original location (numbered, e.g.
+ * "Report (2).pdf", when its name has been taken meanwhile)
+ */
+export const restoreFile = async (file) => {
+  const folderId = await resolveRestoreFolder(file.folderId, file.originalPath, file.userId);
+
+  return saveWithAvailableName("file", { userId: file.userId, parentId: folderId, name: file.name }, (name) =>
+    prisma.file.update({
+      where: { id: file.id },
+      data: { deletedAt: null, isTrashRoot: false, originalPath: null, folderId, name },
+    })
+  );
+};
+
+/**
+ * Restore a trashed folder and everything that was deleted along with it
+ * (numbered like restoreFile when its name has been taken)
+ */
+export const restoreFolder = async (folder) => {
+  const parentId = await resolveRestoreFolder(folder.parentId, folder.originalPath, folder.userId);
+
+  // Items trashed separately before the folder stay in the trash
+  const folderIds = await getDescendantFolderIds(folder.id, {
+    where: { deletedAt: { not: null }, isTrashRoot: false },
+  });
+
+  return saveWithAvailableName("folder", { userId: folder.userId, parentId, name: folder.name }, async (name) => {
+    const [restored] = await prisma.$transaction([
+      prisma.folder.update({
+        where: { id: folder.id },
+        data: { deletedAt: null, isTrashRoot: false, originalPath: null, parentId, name },
+      }),
+      prisma.folder.updateMany({
+        where: { id: { in: folderIds.slice(1) } },
+        data: { deletedAt: null },
+      }),
+      prisma.file.updateMany({
+        where: { folderId: { in: folderIds }, deletedAt: { not: null }, isTrashRoot: false },
+        data: { deletedAt: null },
+      }),
+    ]);
+    return restored;
+  });
+};
+
+/**
+ * Permanently delete a trashed file and release the content of all its versions
+ */
+export const purgeFile = async (file) => {
+  const versions = await getVersionContent([file.id]);
+
+  await prisma.file.delete({ where: { id: file.id } });
+
+  await releaseVersionContent(versions);
+};
+
+/**
+ * Permanently delete a trashed folder and its contents.
+ * Items inside that were trashed on their own are detached so they stay
+ * restorable (their saved path lets restore recreate the folders).
+ */
+export const purgeFolder = async (folder) => {
+  const folderIds = await getDescendantFolderIds(folder.id, {
+    skipFolder: (child) => child.isTrashRoot,
+  });
+
+  const files = await prisma.file.findMany({
+    where: { folderId: { in: folderIds }, isTrashRoot: false },
+    select: { id: true },
+  });
+  const versions = await getVersionContent(files.map((file) => file.id));
+
+  await prisma.$transaction([
+    prisma.file.updateMany({
+      where: { folderId: { in: folderIds }, isTrashRoot: true },
+      data: { folderId: null },
+    }),
+    prisma.folder.updateMany({
+      where: { parentId: { in: folderIds }, isTrashRoot: true },
+      data: { parentId: null },
+    }),
+    // Cascades to the remaining subfolders and files
+    prisma.folder.delete({ where: { id: folder.id } }),
+  ]);
+
+  await releaseVersionContent(versions);
+};
+
+/**
+ * Purge everything that has been in the trash longer than the retention period
+ */
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+
+  const folders = await prisma.folder.findMany({
+    where: { isTrashRoot: true, deletedAt: { lte: cutoff } },
+  });
+  for (const folder of folders) {
+    await purgeFolder(folder);
+  }
+
+  const files = await prisma.file.findMany({
+    where: { isTrashRoot: true, deletedAt: { lte: cutoff } },
+  });
+  for (const file of files) {
+    await purgeFile(file);
+  }
+
+  return { folders: folders.length, files: files.length };
+};
+
+/**
+ * Run purgeExpiredTrash now and then every hour
+ */
+export const startTrashPurgeSchedule = () => {
+  const run = () =>
+    purgeExpiredTrash()
+      .then(({ folders, files }) => {
+        if (folders || files) {
+          console.log(`Trash retention: purged ${folders} folder(s) and ${files} file(s)`);
+        }
+      })
+      .catch((error) => console.error("Trash retention purge failed:", error));
+
+  run();
+  const timer = setInterval(run, 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+export default {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  removeUploadedFile,
+  moveFileToTrash,
+  moveFolderToTrash,
+  restoreFile,
+  restoreFolder,
+  purgeFile,
+  purgeFolder,
+  purgeExpiredTrash,
+  startTrashPurgeSchedule,
+};
@@ -0,0 +1,342 @@
+import { PrismaClient } from "@prisma/client";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createFileWithVersion, addFileVersion } from "./fileVersionService.js";
+import { enqueueAnalysis } from "./magicLensService.js";
+import { hashFile, ingestFile, releaseBlob } from "./blobService.js";
+import { queueThumbnails } from "./thumbnailService.js";
+import { isFileInVault, isFolderInVault } from "./vaultService.js";
+import { encryptUpload } from "./vaultEncryption.js";
+import { getStorage, getStorageKey } from "./storage.js";
+import { parseConflictPolicy, resolveNameConflict } from "./nameConflict.js";
+
+const prisma = new PrismaClient();
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Upload Service
+ * Turns uploaded files into stored content and File rows (shared by the
+ * multipart and resumable upload endpoints) and manages resumable upload
+ * sessions, whose chunks are written into temp/chunks/<sessionId>.part
+ */
+
+// File.size is a 32-bit Int, so uploads can't go past 2GB
+export const MAX_RESUMABLE_UPLOAD_SIZE = Math.min(
+  Number(process.env.MAX_RESUMABLE_UPLOAD_SIZE) || 1024 * 1024 * 1024,
+  2147483647
+);
+export const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+export const UPLOAD_SESSION_TTL_HOURS = Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+
+const chunksDir = path.join(__dirname, "../temp/chunks");
+if (!fs.existsSync(chunksDir)) {
+  fs.mkdirSync(chunksDir, { recursive: true });
+}
+
+const getPartPath = (sessionId) => path.join(chunksDir, `${sessionId}.part`);
+const getSessionExpiry = () => new Date(Date.now() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+/**
+ * Work out where an upload goes: the file it replaces (replaceFileId) or the
+ * folder it lands in ("root"/empty = root), and whether that is in the vault.
+ * When a file called name is already there, onConflict decides: replace
+ * (the default) stores a new version of it, rename picks a free name and
+ * fail refuses.
+ * Returns { folderId, replaceFile, name (when not replacing explicitly),
+ * inVault }, { conflict } (the existing file) or { error, status }.
+ */
+export const resolveUploadTarget = async (userId, { folderId, replaceFileId, name, onConflict }) => {
+  if (replaceFileId) {
+    const replaceFile = await prisma.file.findUnique({ where: { id: Number(replaceFileId) } });
+    if (!replaceFile || replaceFile.deletedAt) {
+      return { error: "File to replace not found", status: 404 };
+    }
+
+    if (replaceFile.userId !== userId) {
+      return { error: "Unauthorized", status: 403 };
+    }
+
+    return { folderId: replaceFile.folderId, replaceFile, inVault: await isFileInVault(replaceFile) };
+  }
+
+  const { policy, error, status } = parseConflictPolicy(onConflict, "file", "replace");
+  if (error) return { error, status };
+
+  let folder = null;
+  // If folderId is "root" or empty, upload to root (folderId = null)
+  if (folderId && folderId !== "root") {
+    // Check folder exists and user owns it
+    folder = await prisma.folder.findUnique({ where: { id: Number(folderId) } });
+    if (!folder || folder.deletedAt) {
+      return { error: "Folder not found", status: 404 };
+    }
+
+    if (folder.userId !== userId) {
+      return { error: "Unauthorized", status: 403 };
+    }
+  }
+
+  const placed = await resolveNameConflict("file", { userId, parentId: folder?.id ?? null, name, policy });
+  if (placed.conflict) return { conflict: placed.conflict };
+
+  // Same name with the replace policy: keep history instead of a duplicate
+  const replaceFile = placed.existing || null;
+  const inVault = replaceFile
+    ? await isFileInVault(replaceFile)
+    : Boolean(folder) && await isFolderInVault(folder);
+
+  return { folderId: folder?.id ?? null, replaceFile, name: placed.name, inVault };
+};
+
+/**
+ * Queue Magic Lens for new content when the owner has automatic analysis on.
+ * Returns the job id, or null when nothing was queued.
+ */
+const queueAutoAnalysis = async (file) => {
+  if (file.isLocked || file.isEncrypted) return null;
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: file.userId },
+      select: { autoAnalyzeUploads: true },
+    });
+    if (!user?.autoAnalyzeUploads) return null;
+
+    const job = await enqueueAnalysis(file, { autoCategorize: true });
+    return job.id;
+  } catch (error) {
+    // The upload itself succeeded; analysis can still be requested manually
+    console.error("Failed to queue automatic analysis:", error);
+    return null;
+  }
+};
+
+/**
+ * Store an uploaded file (moved from upload.path into blob storage) and
+ * record it under target.name (or its own name).
+ * When the target has a file to replace (see resolveUploadTarget), a new
+ * version of it is stored instead of a new File row.
+ * upload: { name, path, mimetype, hash (SHA-256 when already verified) }
+ * Uploads into the vault are encrypted with vaultKey (the owner's data key)
+ * on the way in, without a plaintext blob.
+ * Returns { file, isNewVersion, analysisJobId }
+ */
+export const saveUpload = async (userId, target, upload, { locked = false, vaultKey = null } = {}) => {
+  let stored;
+  if (vaultKey && (target.inVault || locked)) {
+    stored = await encryptUpload(upload.path, userId, vaultKey);
+  } else {
+    const blob = await ingestFile(upload.path, { hash: upload.hash });
+    stored = { url: blob.url, size: blob.size, contentHash: blob.hash, isEncrypted: false };
+  }
+  const content = {
+    name: target.name || upload.name,
+    mimetype: upload.mimetype,
+    ...stored,
+  };
+
+  let file;
+  let isNewVersion = false;
+  try {
+    if (target.replaceFile) {
+      file = await addFileVersion(target.replaceFile, content);
+      isNewVersion = true;
+    } else {
+      // Create file record
+      file = await createFileWithVersion({
+        ...content,
+        folderId: target.folderId,
+        userId,
+        isLocked: locked,
+      });
+    }
+  } catch (error) {
+    if (content.isEncrypted) {
+      await getStorage().delete(getStorageKey(content.url));
+    } else {
+      await releaseBlob(content.contentHash);
+    }
+    throw error;
+  }
+
+  await queueThumbnails(file);
+
+  if (isNewVersion) {
+    console.log(`New version uploaded: ID=${file.id}, Version=${file.currentVersion}, UserID=${userId}`);
+    return { file, isNewVersion, analysisJobId: await queueAutoAnalysis(file) };
+  }
+
+  console.log(`File uploaded: ID=${file.id}, Name=${file.name}, UserID=${file.userId}`);
+  return { file, isNewVersion, analysisJobId: await queueAutoAnalysis(file) };
+};
+
+/**
+ * Start a resumable upload. The empty part file is created up front so
+ * chunks can be written at their offsets.
+ */
+export const createUploadSession = async (userId, { fileName, mimetype, size, checksum, target, locked, replaceFileId, onConflict }) => {
+  const session = await prisma.uploadSession.create({
+    data: {
+      id: crypto.randomUUID(),
+      userId,
+      fileName,
+      mimetype,
+      totalSize: size,
+      checksum: checksum || null,
+      folderId: target.folderId,
+      // A same-name file found through onConflict is looked up again on completion
+      replaceFileId: replaceFileId ? target.replaceFile.id : null,
+      onConflict: onConflict || null,
+      isLocked: locked,
+      expiresAt: getSessionExpiry(),
+    },
+  });
+
+  fs.writeFileSync(getPartPath(session.id), Buffer.alloc(0));
+  return session;
+};
+
+/**
+ * Write a chunk at offset. The offset must be where the session left off;
+ * the guarded update means two clients can't both advance the same session.
+ * Returns the updated session, or null when the offset no longer matches.
+ */
+export const writeUploadChunk = async (session, offset, chunk) => {
+  const handle = await fs.promises.open(getPartPath(session.id), "r+");
+  try {
+    // Positional write: resending a chunk overwrites the same bytes
+    await handle.write(chunk, 0, chunk.length, offset);
+  } finally {
+    await handle.close();
+  }
+
+  const result = await prisma.uploadSession.updateMany({
+    where: { id: session.id, status: "active", receivedBytes: offset },
+    data: { receivedBytes: offset + chunk.length, expiresAt: getSessionExpiry() },
+  });
+  if (result.count === 0) return null;
+
+  return prisma.uploadSession.findUnique({ where: { id: session.id } });
+};
+
+/**
+ * Claim a fully received session for completion so a retried request can't
+ * assemble it twice. Returns false when it isn't ready or is already claimed.
+ */
+export const claimUploadSession = async (session) => {
+  const result = await prisma.uploadSession.updateMany({
+    where: { id: session.id, status: "active", receivedBytes: session.totalSize },
+    data: { status: "completing" },
+  });
+  return result.count === 1;
+};
+
+/**
+ * Put a claimed session back. A checksum mismatch discards the received
+ * bytes, since there is no telling which chunk was corrupted.
+ */
+export const releaseUploadSession = async (session, { discardData = false } = {}) => {
+  if (discardData) {
+    await fs.promises.truncate(getPartPath(session.id), 0);
+  }
+
+  await prisma.uploadSession.update({
+    where: { id: session.id },
+    data: { status: "active", ...(discardData && { receivedBytes: 0 }) },
+  });
+};
+
+/**
+ * Verify the checksum of a claimed session.
+ * Returns { upload } for saveUpload, or { error, status }.
+ */
+export const verifyUpload = async (session) => {
+  const partPath = getPartPath(session.id);
+  const digest = await hashFile(partPath);
+  if (digest !== session.checksum.toLowerCase()) {
+    return { error: "Checksum mismatch; the upload must be restarted", status: 422 };
+  }
+
+  return {
+    upload: {
+      name: session.fileName,
+      path: partPath,
+      mimetype: session.mimetype,
+      hash: digest,
+    },
+  };
+};
+
+/**
+ * Mark a session completed with the File it produced (kept until it expires
+ * so a retried complete request gets the same answer)
+ */
+export const finishUploadSession = async (session, file) => {
+  return prisma.uploadSession.update({
+    where: { id: session.id },
+    data: { status: "completed", fileId: file.id },
+  });
+};
+
+/**
+ * Abandon a session and delete what was received
+ */
+export const deleteUploadSession = async (session) => {
+  await prisma.uploadSession.delete({ where: { id: session.id } });
+  try {
+    fs.unlinkSync(getPartPath(session.id));
+  } catch (e) {}
+};
+
+/**
+ * Remove expired sessions and their partial data
+ */
+export const purgeExpiredUploads = async () => {
+  const expired = await prisma.uploadSession.findMany({
+    where: { expiresAt: { lt: new Date() } },
+    select: { id: true },
+  });
+
+  for (const session of expired) {
+    await deleteUploadSession(session);
+  }
+
+  return expired.length;
+};
+
+/**
+ * Run purgeExpiredUploads now and then every hour
+ */
+export const startUploadCleanupSchedule = () => {
+  const run = () =>
+    purgeExpiredUploads()
+      .then((count) => {
+        if (count) console.log(`Upload cleanup: removed ${count} expired upload session(s)`);
+      })
+      .catch((error) => console.error("Upload cleanup failed:", error));
+
+  run();
+  const timer = setInterval(run, 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+export default {
+  MAX_RESUMABLE_UPLOAD_SIZE,
+  MAX_CHUNK_SIZE,
+  UPLOAD_SESSION_TTL_HOURS,
+  resolveUploadTarget,
+  saveUpload,
+  createUploadSession,
+  writeUploadChunk,
+  claimUploadSession,
+  releaseUploadSession,
+  verifyUpload,
+  finishUploadSession,
+  deleteUploadSession,
+  purgeExpiredUploads,
+  startUploadCleanupSchedule,
+};
@@ -65,37 +65,6 @@ export const updateLastLogin = async (userId) => {
   }
 };
 
-/**
- * Update refresh token
- */
-export const updateRefreshToken = async (userId, refreshToken) => {
-  try {
-    await prisma.user.update({
-      where: { id: parseInt(userId) },
-      data: { refreshToken },
-    });
-  } catch (error) {
-    console.error("Error updating refresh token:", error);
-    throw error;
-  }
-};
-
-/**
- * Verify refresh token matches stored token
- */
-export const verifyRefreshToken = async (userId, token) => {
-  try {
-    const user = await prisma.user.findUnique({
-      where: { id: parseInt(userId) },
-      select: { refreshToken: true },
-    });
-    return user && user.refreshToken === token;
-  } catch (error) {
-    console.error("Error verifying refresh token:", error);
-    return false;
-  }
-};
-
 /**
  * Create local user (email/password)
  */
@@ -117,13 +86,114 @@ export const createLocalUser = async (name, email, password) => {
   }
 };
 
+/**
+ * Sign in with a Google profile.
+ * Matches on googleId first, then links an existing account with the same
+ * email (only when Google has verified that email), otherwise creates a user.
+ * Returns { user } or { error } with an error code for the frontend.
+ */
+export const findOrCreateGoogleUser = async (googleProfile) => {
+  const { googleId, email, emailVerified, name, avatar } = googleProfile;
+
+  const existingGoogleUser = await prisma.user.findUnique({ where: { googleId } });
+  if (existingGoogleUser) {
+    if (!existingGoogleUser.isActive) return { error: "account_disabled" };
+    return { user: existingGoogleUser };
+  }
+
+  if (!email) return { error: "google_email_missing" };
+
+  // Case-insensitive lookup, same as login
+  const matches = await prisma.$queryRaw`
+    SELECT id, password, avatar, "isActive" FROM "User" WHERE LOWER(email) = LOWER(${email}) LIMIT 1
+  `;
+
+  if (matches && matches.length > 0) {
+    const existing = matches[0];
+    if (!existing.isActive) return { error: "account_disabled" };
+
+    // An unverified Google email could belong to someone else, so the owner
+    // has to sign in with their password and link from their account instead
+    if (!emailVerified) return { error: "link_required" };
+
+    const user = await prisma.user.update({
+      where: { id: existing.id },
+      data: {
+        googleId,
+        googleEmail: email,
+        avatar: existing.avatar || avatar,
+        authMethod: existing.password ? "both" : "google",
+        emailVerified: true,
+      },
+    });
+    console.log(`Linked Google account to existing user ${user.id}`);
+    return { user };
+  }
+
+  const user = await prisma.user.create({
+    data: {
+      name,
+      email,
+      googleId,
+      googleEmail: email,
+      avatar,
+      authMethod: "google",
+      emailVerified,
+    },
+  });
+  console.log(`Created user ${user.id} from Google sign-in`);
+  return { user };
+};
+
+/**
+ * Link a Google account to an already signed-in user
+ * Returns { user } or { error } with an error code for the frontend.
+ */
+export const linkGoogleAccount = async (userId, googleProfile) => {
+  const { googleId, email, avatar } = googleProfile;
+
+  const owner = await prisma.user.findUnique({ where: { googleId } });
+  if (owner && owner.id !== parseInt(userId)) return { error: "google_account_in_use" };
+
+  const user = await prisma.user.findUnique({ where: { id: parseInt(userId) } });
+  if (!user || !user.isActive) return { error: "account_disabled" };
+
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      googleId,
+      googleEmail: email,
+      avatar: user.avatar || avatar,
+      authMethod: user.password ? "both" : "google",
+    },
+  });
+  return { user: updated };
+};
+
+/**
+ * Remove the Google link from a user (requires a password to fall back on)
+ */
+export const unlinkGoogleAccount = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: parseInt(userId) } });
+  if (!user) return { error: "User not found" };
+  if (!user.googleId) return { error: "No Google account linked" };
+  if (!user.password) return { error: "Set a password before unlinking Google" };
+
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: { googleId: null, googleEmail: null, authMethod: "local" },
+  });
+  return { user: updated };
+};
+
 export default {
   findUserById,
   findUserByEmail,
   updateLastLogin,
-  updateRefreshToken,
-  verifyRefreshToken,
   createLocalUser,
+  findOrCreateGoogleUser,
+  linkGoogleAccount,
+  unlinkGoogleAccount,
 };
 
 
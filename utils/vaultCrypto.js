@@ -0,0 +1,206 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Readable, pipeline } from "stream";
+import { pipeline as pipelineAsync } from "stream/promises";
+import { fileURLToPath } from "url";
+import { getStorage } from "./storage.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Vault Crypto
+ * Each user with a lock password has one random 256-bit data key. It is
+ * stored wrapped (AES-256-GCM) with a key derived from the lock password by
+ * scrypt, so changing the lock password only re-wraps it. While the vault is
+ * open the data key travels inside the vault token, sealed with a server key.
+ *
+ * Encrypted content is stored as "FYV1" + 12-byte IV + AES-256-GCM
+ * ciphertext + 16-byte auth tag.
+ */
+
+const CIPHER = "aes-256-gcm";
+const MAGIC = Buffer.from("FYV1");
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + IV_LENGTH;
+
+// Bytes encryption adds to the content
+export const ENCRYPTION_OVERHEAD = HEADER_LENGTH + TAG_LENGTH;
+
+// scrypt cost (16 MB of memory per derivation)
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+const WRAP_VERSION = "v1";
+
+const tempDir = path.join(__dirname, "../temp");
+
+const encode = (buffer) => buffer.toString("base64url");
+const decode = (text) => Buffer.from(text, "base64url");
+
+// AES-256-GCM of a small value, as [iv, tag, ciphertext]
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext];
+};
+
+// Throws when the key is wrong or the value was tampered with
+const unseal = (key, [iv, tag, ciphertext]) => {
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const deriveWrappingKey = (lockPassword, salt) =>
+  new Promise((resolve, reject) => {
+    crypto.scrypt(lockPassword, salt, 32, SCRYPT_OPTIONS, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+
+/**
+ * A new random data key
+ */
+export const createDataKey = () => crypto.randomBytes(32);
+
+/**
+ * Wrap a data key with the lock password, for User.vaultKey
+ */
+export const wrapDataKey = async (dataKey, lockPassword) => {
+  const salt = crypto.randomBytes(16);
+  const wrappingKey = await deriveWrappingKey(lockPassword, salt);
+  return [WRAP_VERSION, salt, ...seal(wrappingKey, dataKey)]
+    .map((part) => (Buffer.isBuffer(part) ? encode(part) : part))
+    .join(".");
+};
+
+/**
+ * Unwrap User.vaultKey with the lock password. Throws when the password
+ * doesn't match.
+ */
+export const unwrapDataKey = async (wrapped, lockPassword) => {
+  const [version, salt, ...sealed] = wrapped.split(".");
+  if (version !== WRAP_VERSION || sealed.length !== 3) {
+    throw new Error("Unsupported vault key format");
+  }
+
+  const wrappingKey = await deriveWrappingKey(lockPassword, decode(salt));
+  try {
+    return unseal(wrappingKey, sealed.map(decode));
+  } catch {
+    throw new Error("Vault key could not be unwrapped");
+  }
+};
+
+// Seals data keys carried in vault tokens; changing the secret closes every vault
+const getSessionKey = () =>
+  crypto.createHash("sha256")
+    .update(`vault-session:${process.env.VAULT_SESSION_SECRET || process.env.JWT_SECRET}`)
+    .digest();
+
+/**
+ * Seal a data key for a vault token
+ */
+export const sealDataKey = (dataKey) => seal(getSessionKey(), dataKey).map(encode).join(".");
+
+/**
+ * Open a data key sealed by sealDataKey; null when it isn't valid
+ */
+export const openDataKey = (sealed) => {
+  try {
+    const parts = sealed.split(".");
+    return parts.length === 3 ? unseal(getSessionKey(), parts.map(decode)) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Encrypt the file at sourcePath into storage under key
+ */
+export const encryptToStorage = async (sourcePath, dataKey, key) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, dataKey, iv);
+  const tempPath = path.join(tempDir, `vault-${crypto.randomUUID()}`);
+
+  try {
+    await pipelineAsync(
+      fs.createReadStream(sourcePath),
+      cipher,
+      async function* (ciphertext) {
+        yield Buffer.concat([MAGIC, iv]);
+        yield* ciphertext;
+        // Available once the cipher has finished
+        yield cipher.getAuthTag();
+      },
+      fs.createWriteStream(tempPath)
+    );
+
+    await getStorage().putFile(key, tempPath, { move: true });
+  } finally {
+    fs.promises.unlink(tempPath).catch(() => {});
+  }
+};
+
+const readStoredRange = async (storage, key, start, end) => {
+  const chunks = [];
+  for await (const chunk of await storage.openReadStream(key, { start, end })) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Readable stream of the decrypted content stored under key.
+ * The auth tag is checked at the end, so a tampered file errors the stream
+ * once it has been read.
+ */
+export const openDecryptedStream = async (key, dataKey) => {
+  const storage = getStorage();
+  const info = await storage.stat(key);
+  if (!info || info.size < ENCRYPTION_OVERHEAD) {
+    throw new Error("Encrypted content not found");
+  }
+
+  const header = await readStoredRange(storage, key, 0, HEADER_LENGTH - 1);
+  if (!header.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error("Stored content is not encrypted");
+  }
+
+  const decipher = crypto.createDecipheriv(CIPHER, dataKey, header.subarray(MAGIC.length));
+  decipher.setAuthTag(await readStoredRange(storage, key, info.size - TAG_LENGTH, info.size - 1));
+
+  const body = info.size > ENCRYPTION_OVERHEAD
+    ? await storage.openReadStream(key, { start: HEADER_LENGTH, end: info.size - TAG_LENGTH - 1 })
+    : Readable.from([]);
+
+  // Errors on either side end up on the returned stream
+  return pipeline(body, decipher, () => {});
+};
+
+/**
+ * Decrypt the content stored under key to a temporary file for the duration
+ * of fn (which may move or delete it)
+ */
+export const withDecryptedFile = async (key, dataKey, fn) => {
+  const tempPath = path.join(tempDir, `vault-${crypto.randomUUID()}`);
+
+  try {
+    await pipelineAsync(await openDecryptedStream(key, dataKey), fs.createWriteStream(tempPath));
+    return await fn(tempPath);
+  } finally {
+    fs.promises.unlink(tempPath).catch(() => {});
+  }
+};
+
+export default {
+  ENCRYPTION_OVERHEAD,
+  createDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  sealDataKey,
+  openDataKey,
+  encryptToStorage,
+  openDecryptedStream,
+  withDecryptedFile,
+};
@@ -0,0 +1,192 @@
+import { PrismaClient } from "@prisma/client";
+import fs from "fs";
+import crypto from "crypto";
+import { ingestFile, releaseBlob } from "./blobService.js";
+import { getStorage, getStorageKey } from "./storage.js";
+import { removeUploadedFile } from "./trashService.js";
+import { getDescendantFolderIds } from "./folderTree.js";
+import { queueThumbnails } from "./thumbnailService.js";
+import { CLEARED_ANALYSIS } from "./fileVersionService.js";
+import { isFileInVault, getVaultFolderIds } from "./vaultService.js";
+import { encryptToStorage, withDecryptedFile } from "./vaultCrypto.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Vault Encryption
+ * Keeps stored content in step with the vault: every version of a file in
+ * the vault is encrypted with its owner's data key and stored under
+ * vault/<userId>/<uuid>, and goes back to being a shared blob when the file
+ * leaves the vault. The plaintext copy is released once the encrypted one
+ * is in place.
+ * Everything here needs the data key, so it runs while the vault is open
+ * (see getVaultKey in vaultService.js).
+ * Vault files keep no Magic Lens results or extracted text, which would
+ * hold their content in plaintext.
+ */
+
+/**
+ * New storage key for encrypted content
+ */
+export const getVaultStorageKey = (userId) => `vault/${userId}/${crypto.randomUUID()}`;
+
+// Point a version, and the File when it is the current one, at new content.
+// Returns false when someone else changed the version first.
+const replaceVersionContent = (file, version, content) =>
+  prisma.$transaction(async (tx) => {
+    const updated = await tx.fileVersion.updateMany({
+      where: { id: version.id, isEncrypted: version.isEncrypted },
+      data: content,
+    });
+    if (updated.count === 0) return false;
+
+    await tx.file.updateMany({
+      where: { id: file.id, currentVersion: version.versionNumber },
+      data: content,
+    });
+    return true;
+  });
+
+/**
+ * Encrypt a new upload straight from its temp file, which is removed, so
+ * vault content never exists as a plaintext blob.
+ * Returns the content fields for its version: { url, size, contentHash, isEncrypted }.
+ */
+export const encryptUpload = async (sourcePath, userId, dataKey) => {
+  const { size } = await fs.promises.stat(sourcePath);
+  const key = getVaultStorageKey(userId);
+
+  await encryptToStorage(sourcePath, dataKey, key);
+  await fs.promises.unlink(sourcePath).catch(() => {});
+  return { url: `/uploads/${key}`, size, contentHash: null, isEncrypted: true };
+};
+
+/**
+ * Encrypt every version of a file that isn't encrypted yet, and drop its
+ * analysis. Returns the updated file.
+ */
+export const encryptFileContent = async (file, dataKey) => {
+  const storage = getStorage();
+  const versions = await prisma.fileVersion.findMany({ where: { fileId: file.id, isEncrypted: false } });
+
+  for (const version of versions) {
+    const sourceKey = getStorageKey(version.url);
+    if (!sourceKey || !(await storage.exists(sourceKey))) {
+      console.warn(`Cannot encrypt version ${version.id}: stored content not found`);
+      continue;
+    }
+
+    const key = getVaultStorageKey(file.userId);
+    await storage.withLocalFile(sourceKey, (sourcePath) => encryptToStorage(sourcePath, dataKey, key));
+
+    const replaced = await replaceVersionContent(file, version, {
+      url: `/uploads/${key}`,
+      contentHash: null,
+      isEncrypted: true,
+    }).catch(async (error) => {
+      await storage.delete(key);
+      throw error;
+    });
+
+    if (!replaced) {
+      await storage.delete(key);
+    } else if (version.contentHash) {
+      await releaseBlob(version.contentHash);
+    } else {
+      await removeUploadedFile(version);
+    }
+  }
+
+  await prisma.$transaction([
+    prisma.fileVersion.updateMany({ where: { fileId: file.id }, data: CLEARED_ANALYSIS }),
+    prisma.file.update({ where: { id: file.id }, data: CLEARED_ANALYSIS }),
+  ]);
+  return prisma.file.findUnique({ where: { id: file.id } });
+};
+
+/**
+ * Decrypt every encrypted version of a file back into blobs.
+ * Returns the updated file.
+ */
+export const decryptFileContent = async (file, dataKey) => {
+  const versions = await prisma.fileVersion.findMany({ where: { fileId: file.id, isEncrypted: true } });
+
+  for (const version of versions) {
+    const key = getStorageKey(version.url);
+    const blob = await withDecryptedFile(key, dataKey, (plainPath) => ingestFile(plainPath));
+
+    const replaced = await replaceVersionContent(file, version, {
+      url: blob.url,
+      contentHash: blob.hash,
+      isEncrypted: false,
+    }).catch(async (error) => {
+      await releaseBlob(blob.hash);
+      throw error;
+    });
+
+    if (replaced) {
+      await removeUploadedFile(version);
+    } else {
+      await releaseBlob(blob.hash);
+    }
+  }
+
+  const updated = await prisma.file.findUnique({ where: { id: file.id } });
+  if (versions.length > 0) await queueThumbnails(updated);
+  return updated;
+};
+
+/**
+ * Encrypt or decrypt a file depending on whether it is in the vault
+ * (after it was locked, unlocked or moved)
+ */
+export const syncFileEncryption = async (file, dataKey) => {
+  return (await isFileInVault(file))
+    ? encryptFileContent(file, dataKey)
+    : decryptFileContent(file, dataKey);
+};
+
+/**
+ * syncFileEncryption for every file in a folder and below it, trashed or not
+ */
+export const syncFolderEncryption = async (folder, dataKey) => {
+  const folderIds = await getDescendantFolderIds(folder.id);
+  const files = await prisma.file.findMany({
+    where: { folderId: { in: folderIds }, userId: folder.userId },
+  });
+
+  for (const file of files) {
+    await syncFileEncryption(file, dataKey);
+  }
+};
+
+/**
+ * Encrypt vault files still stored in plaintext (locked before encryption
+ * existed, or added while the vault was closed).
+ * Returns how many files were encrypted.
+ */
+export const encryptPendingVaultFiles = async (userId, dataKey) => {
+  const folderIds = await getVaultFolderIds(userId);
+  const files = await prisma.file.findMany({
+    where: {
+      userId,
+      OR: [{ isLocked: true }, { folderId: { in: folderIds } }],
+      versions: { some: { isEncrypted: false } },
+    },
+  });
+
+  for (const file of files) {
+    await encryptFileContent(file, dataKey);
+  }
+  return files.length;
+};
+
+export default {
+  getVaultStorageKey,
+  encryptUpload,
+  encryptFileContent,
+  decryptFileContent,
+  syncFileEncryption,
+  syncFolderEncryption,
+  encryptPendingVaultFiles,
+};
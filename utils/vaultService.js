@@ -0,0 +1,257 @@
+import { PrismaClient } from "@prisma/client";
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { isInLockedFolder, getDescendantFolderIds } from "./folderTree.js";
+import { createDataKey, wrapDataKey, unwrapDataKey, sealDataKey, openDataKey } from "./vaultCrypto.js";
+import { getAttemptKeys, reserveAttempt, recordFailedAttempt, clearAttempts } from "./attemptLimiter.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Vault Service
+ * Locked folders and files (and everything inside a locked folder) form the
+ * user's vault. Verifying the lock password issues a short-lived vault token,
+ * sent back in the X-Vault-Token header, and every endpoint touching vault
+ * items checks it. Tokens are bound to the current lock password, so
+ * changing it ends every open vault session. They also carry the user's
+ * data key (sealed), which decrypts locked files while the vault is open.
+ * Vault items are left out of listings unless the vault is open.
+ */
+
+export const VAULT_TOKEN_EXPIRY = process.env.VAULT_TOKEN_EXPIRY || "10m";
+export const VAULT_TOKEN_HEADER = "X-Vault-Token";
+
+const VAULT_SCOPE = "vault";
+
+// Short fingerprint of the lock password hash (never the hash itself)
+const lockFingerprint = (lockPassword) =>
+  crypto.createHash("sha256").update(lockPassword).digest("hex").slice(0, 16);
+
+/**
+ * Data key of a user whose lock password has just been verified, creating
+ * it on first use (accounts whose lock password predates encryption)
+ */
+export const openVault = async (user, lockPassword) => {
+  if (user.vaultKey) {
+    return unwrapDataKey(user.vaultKey, lockPassword);
+  }
+
+  const dataKey = createDataKey();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { vaultKey: await wrapDataKey(dataKey, lockPassword) },
+  });
+  return dataKey;
+};
+
+/**
+ * Sign a vault token for a user whose lock password has just been verified,
+ * carrying their data key (see openVault).
+ * Returns { vaultToken, expiresAt }.
+ */
+export const signVaultToken = (user, dataKey) => {
+  const vaultToken = jwt.sign(
+    {
+      id: user.id,
+      scope: VAULT_SCOPE,
+      lock: lockFingerprint(user.lockPassword),
+      key: sealDataKey(dataKey),
+    },
+    process.env.JWT_SECRET,
+    // The audience keeps it from passing as an access token (middleware/auth.js)
+    { audience: VAULT_SCOPE, expiresIn: VAULT_TOKEN_EXPIRY }
+  );
+
+  const { exp } = jwt.decode(vaultToken);
+  return { vaultToken, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Check a vault token for userId: signed by us, unexpired, vault-scoped,
+ * issued to that user and for their current lock password.
+ * Returns its payload, or null when it isn't valid.
+ */
+export const verifyVaultToken = async (token, userId) => {
+  if (!token) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET, { audience: VAULT_SCOPE });
+  } catch {
+    return null;
+  }
+
+  if (payload.scope !== VAULT_SCOPE || payload.id !== userId) return null;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { lockPassword: true },
+  });
+
+  const current = Boolean(user?.lockPassword) && payload.lock === lockFingerprint(user.lockPassword);
+  return current ? payload : null;
+};
+
+/**
+ * Check a user's lock password, with the same attempt limits as verifying it.
+ * On success the vault counts as open for the rest of the request and
+ * { user, dataKey } is returned; otherwise { error, status }, with
+ * retryAfter (seconds) when attempts are paused.
+ */
+export const unlockWithPassword = async (req, password) => {
+  const userId = req.user.id;
+  const attempt = getAttemptKeys("lock_password", userId, req);
+  const blocked = await reserveAttempt(attempt);
+  if (blocked) return { error: "Too many failed attempts", status: 429, retryAfter: blocked.retryAfter };
+
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) return { error: "User not found", status: 404 };
+  if (!user.lockPassword) return { error: "Lock password not set", status: 400 };
+
+  const match = await bcrypt.compare(password.trim(), user.lockPassword);
+  if (!match) {
+    await recordFailedAttempt(attempt, { action: "lock_password_failed", userId, req });
+    return { error: "Incorrect lock password", status: 401 };
+  }
+
+  await clearAttempts(attempt);
+
+  const dataKey = await openVault(user, password.trim());
+  req.vault = { id: userId, scope: VAULT_SCOPE, lock: lockFingerprint(user.lockPassword), key: sealDataKey(dataKey) };
+  return { user, dataKey };
+};
+
+/**
+ * Whether the request carries a valid vault token (checked once per request)
+ */
+export const hasVaultAccess = async (req) => {
+  if (req.vault === undefined) {
+    req.vault = await verifyVaultToken(req.get(VAULT_TOKEN_HEADER), req.user.id);
+  }
+  return req.vault !== null;
+};
+
+/**
+ * Data key from the request's vault token, or null when the vault isn't open
+ */
+export const getVaultKey = async (req) => {
+  if (!(await hasVaultAccess(req)) || !req.vault.key) return null;
+  return openDataKey(req.vault.key);
+};
+
+/**
+ * Whether a folder is in the vault (locked itself or inside a locked folder)
+ */
+export const isFolderInVault = async (folder) => {
+  return folder.isLocked || isInLockedFolder(folder.parentId, folder.userId);
+};
+
+/**
+ * Whether a file is in the vault (locked itself or inside a locked folder)
+ */
+export const isFileInVault = async (file) => {
+  return file.isLocked || isInLockedFolder(file.folderId, file.userId);
+};
+
+/**
+ * Whether the request may touch a folder: always outside the vault,
+ * and with a valid vault token inside it
+ */
+export const canAccessFolder = async (req, folder) => {
+  return !(await isFolderInVault(folder)) || hasVaultAccess(req);
+};
+
+/**
+ * Whether the request may touch a file (see canAccessFolder)
+ */
+export const canAccessFile = async (req, file) => {
+  return !(await isFileInVault(file)) || hasVaultAccess(req);
+};
+
+/**
+ * Whether anything live below a folder is locked or encrypted (copying the
+ * folder would copy vault content)
+ */
+export const hasVaultContents = async (folder) => {
+  const folderIds = await getDescendantFolderIds(folder.id, { where: { deletedAt: null } });
+  const [lockedFolder, lockedFile] = await Promise.all([
+    prisma.folder.findFirst({ where: { id: { in: folderIds }, isLocked: true }, select: { id: true } }),
+    prisma.file.findFirst({
+      where: { folderId: { in: folderIds }, deletedAt: null, OR: [{ isLocked: true }, { isEncrypted: true }] },
+      select: { id: true },
+    }),
+  ]);
+  return !!(lockedFolder || lockedFile);
+};
+
+/**
+ * Ids of the user's locked folders and every folder inside them
+ */
+export const getVaultFolderIds = async (userId) => {
+  const lockedFolders = await prisma.folder.findMany({
+    where: { userId, isLocked: true },
+    select: { id: true },
+  });
+
+  const folderIds = new Set();
+  for (const folder of lockedFolders) {
+    if (folderIds.has(folder.id)) continue;
+    (await getDescendantFolderIds(folder.id)).forEach((id) => folderIds.add(id));
+  }
+  return [...folderIds];
+};
+
+/**
+ * Prisma filter for the files a listing may show: all of them while the
+ * vault is open, otherwise only those outside it
+ */
+export const visibleFilesWhere = async (req) => {
+  if (await hasVaultAccess(req)) return {};
+
+  const folderIds = await getVaultFolderIds(req.user.id);
+  if (folderIds.length === 0) return { isLocked: false };
+  return {
+    isLocked: false,
+    OR: [{ folderId: null }, { folderId: { notIn: folderIds } }],
+  };
+};
+
+/**
+ * Prisma filter for the folders a listing may show (see visibleFilesWhere)
+ */
+export const visibleFoldersWhere = async (req) => {
+  if (await hasVaultAccess(req)) return {};
+
+  const folderIds = await getVaultFolderIds(req.user.id);
+  return folderIds.length > 0 ? { id: { notIn: folderIds } } : {};
+};
+
+/**
+ * Body of the 403 sent when a vault token is missing, expired or invalid
+ */
+export const vaultLockedError = () => ({
+  error: "This item is locked. Verify your lock password to open the vault.",
+  code: "VAULT_LOCKED",
+  isLocked: true,
+});
+
+export default {
+  VAULT_TOKEN_EXPIRY,
+  VAULT_TOKEN_HEADER,
+  openVault,
+  signVaultToken,
+  unlockWithPassword,
+  verifyVaultToken,
+  hasVaultAccess,
+  getVaultKey,
+  isFolderInVault,
+  isFileInVault,
+  canAccessFolder,
+  canAccessFile,
+  hasVaultContents,
+  getVaultFolderIds,
+  visibleFilesWhere,
+  visibleFoldersWhere,
+  vaultLockedError,
+};